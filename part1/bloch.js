@@ -0,0 +1,1877 @@
+/**
+ * Part 1 Bloch simulation core
+ *
+ * DOM-free physics shared by the browser simulation (script.js) and scripts run in Node:
+ * spins and ensembles, shaped RF pulses, EPG, Bloch–McConnell pools, closed-form
+ * steady-state signals and the JSON sequence scripts of Module H.
+ *
+ * Browser: loaded by index.html before script.js; everything below is a global.
+ * Node:    const bloch = require('./part1/bloch.js');
+ *
+ *     const sim = new bloch.BlochSimulation({ count: 100, T1: 1000, T2: 100, freqSpread: 20, seed: 1 });
+ *     sim.applyRF(90).evolve(20).applyRF(180, 90).evolve(20);
+ *     sim.history; // [{ time, Mx, My, Mz, mxy, b1 }, ...] every 0.5 ms
+ *
+ * All random numbers (spin frequencies, orientations, diffusion, receiver noise) come from a
+ * seeded generator, so a seed reproduces the ensemble the browser draws for ?seed=N.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const GAMMA = 42.577; // Gyromagnetic ratio for 1H (MHz/T)
+const LINESHAPE_CUSTOM_RANGE = 3; // Custom lineshape bins span ±3 × the frequency spread
+const DEFAULT_RANDOM_SEED = 1;
+
+// ============================================================================
+// RANDOM NUMBERS - Seeded generator (mulberry32)
+// ============================================================================
+
+let randomState = DEFAULT_RANDOM_SEED;
+
+/**
+ * Restart the random sequence; the same seed draws the same ensembles
+ * @param {number} seed - Integer seed
+ */
+function setRandomSeed(seed) {
+    randomState = seed >>> 0;
+}
+
+/**
+ * Uniform random number in [0, 1), drop-in for Math.random
+ */
+function seededRandom() {
+    randomState = (randomState + 0x6D2B79F5) >>> 0;
+    let t = randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// ============================================================================
+// SPIN CLASS - Represents a single nuclear spin
+// ============================================================================
+
+class Spin {
+    constructor(T1, T2, deltaOmega = 0, B0 = 1.5) {
+        // Magnetization components (normalized to M0 = 1)
+        this.Mx = 0;
+        this.My = 0;
+        this.Mz = 1.0;  // Equilibrium along B0
+
+        // Relaxation times
+        this.T1 = T1;
+        this.T2 = T2;
+
+        // B0 inhomogeneity offset (Hz) - causes T2* decay
+        // This is FIXED and NOT refocused by gradient reversal
+        this.deltaOmegaB0 = deltaOmega;
+
+        // Gradient-induced frequency offset (Hz)
+        // This IS refocused by gradient reversal (sign flip)
+        this.deltaOmegaGrad = 0;
+        this.gradientSign = 1;
+
+        // B0 field strength (Tesla)
+        this.B0 = B0;
+
+        // Position along the gradient axis (mm) - used by spatially distributed ensembles
+        this.position = 0;
+
+        // Multi-species ensembles: species key and share of the total proton density
+        this.species = null;
+        this.weight = 1;
+
+        // Phase accumulation
+        this.phase = 0;
+
+        // Continuous on-resonance lock ({ b1 (Hz), phase (rad), T1rho (ms) }) or null
+        this.spinLock = null;
+    }
+
+    /**
+     * Get total frequency offset (B0 inhomogeneity + gradient)
+     */
+    getTotalDeltaOmega() {
+        return this.deltaOmegaB0 + (this.deltaOmegaGrad * this.gradientSign);
+    }
+
+    /**
+     * Apply RF pulse (instantaneous rotation)
+     * @param {number} flipAngle - Flip angle in degrees
+     * @param {number} phaseAngle - Phase of RF pulse in degrees (0 = along x)
+     */
+    applyRFPulse(flipAngle, phaseAngle = 0) {
+        const alpha = flipAngle * Math.PI / 180;
+        const phi = phaseAngle * Math.PI / 180;
+
+        // Rotation about axis in xy-plane at angle phi from x-axis
+        this.rotateAboutAxis(Math.cos(phi), Math.sin(phi), 0, alpha);
+    }
+
+    /**
+     * Rotate magnetization about an arbitrary unit axis (right-handed)
+     * Shared by instantaneous RF pulses and finite-duration RF steps
+     * @param {number} ux - Axis x component (unit vector)
+     * @param {number} uy - Axis y component
+     * @param {number} uz - Axis z component
+     * @param {number} alpha - Rotation angle in radians
+     */
+    rotateAboutAxis(ux, uy, uz, alpha) {
+        // Current magnetization
+        const Mx0 = this.Mx;
+        const My0 = this.My;
+        const Mz0 = this.Mz;
+
+        const cosA = Math.cos(alpha);
+        const sinA = Math.sin(alpha);
+
+        // Apply Rodrigues' rotation formula
+        this.Mx = (cosA + ux * ux * (1 - cosA)) * Mx0 +
+            (ux * uy * (1 - cosA) - uz * sinA) * My0 +
+            (ux * uz * (1 - cosA) + uy * sinA) * Mz0;
+
+        this.My = (uy * ux * (1 - cosA) + uz * sinA) * Mx0 +
+            (cosA + uy * uy * (1 - cosA)) * My0 +
+            (uy * uz * (1 - cosA) - ux * sinA) * Mz0;
+
+        this.Mz = (uz * ux * (1 - cosA) - uy * sinA) * Mx0 +
+            (uz * uy * (1 - cosA) + ux * sinA) * My0 +
+            (cosA + uz * uz * (1 - cosA)) * Mz0;
+    }
+
+    /**
+     * Apply one step of a finite-duration RF pulse
+     * In the rotating frame the spin sees an effective field
+     * B_eff = (B1x, B1y, Δω/γ): the RF nutates M while off-resonance keeps precessing it,
+     * so off-resonant isochromats are tipped less than on-resonant ones.
+     * @param {number} b1x - RF amplitude along x' (Hz, i.e. γB1/2π)
+     * @param {number} b1y - RF amplitude along y' (Hz)
+     * @param {number} dt - Time step in ms
+     */
+    applyRFStep(b1x, b1y, dt) {
+        const dtSec = dt / 1000;
+
+        // Effective field as angular frequency (rad/s)
+        const wx = 2 * Math.PI * b1x;
+        const wy = 2 * Math.PI * b1y;
+        const wz = 2 * Math.PI * this.getTotalDeltaOmega();
+        const wEff = Math.sqrt(wx * wx + wy * wy + wz * wz);
+
+        if (wEff > 0) {
+            this.rotateAboutAxis(wx / wEff, wy / wEff, wz / wEff, wEff * dtSec);
+        }
+        this.phase += wz * dtSec;
+
+        this.relax(dt);
+    }
+
+    /**
+     * Evolve magnetization using Bloch equations
+     * In rotating frame at Larmor frequency
+     * @param {number} dt - Time step in ms
+     */
+    evolve(dt) {
+        if (this.spinLock) {
+            this.evolveLocked(dt);
+            return;
+        }
+
+        // Convert dt to seconds for calculation
+        const dtSec = dt / 1000;
+
+        // Precession due to total frequency offset (B0 inhomogeneity + gradient)
+        // Both components contribute to phase accumulation
+        const totalDeltaOmega = this.getTotalDeltaOmega();
+        const dPhi = 2 * Math.PI * totalDeltaOmega * dtSec;
+        this.phase += dPhi;
+
+        // Rotation due to off-resonance
+        const Mx0 = this.Mx;
+        const My0 = this.My;
+        this.Mx = Mx0 * Math.cos(dPhi) - My0 * Math.sin(dPhi);
+        this.My = Mx0 * Math.sin(dPhi) + My0 * Math.cos(dPhi);
+
+        this.relax(dt);
+    }
+
+    /**
+     * Free evolution under a spin-lock field
+     * M rotates about B_eff = (B1 cos φ, B1 sin φ, Δω/γ). Relaxation acts in the tilted frame:
+     * the component along B_eff relaxes towards M0·cos θ with R1ρ(θ) = R1 cos²θ + sin²θ / T1ρ,
+     * the perpendicular part decays with T2. On resonance the locked magnetization decays with T1ρ.
+     * @param {number} dt - Time step in ms
+     */
+    evolveLocked(dt) {
+        const dtSec = dt / 1000;
+        const { b1, phase, T1rho } = this.spinLock;
+
+        const wx = 2 * Math.PI * b1 * Math.cos(phase);
+        const wy = 2 * Math.PI * b1 * Math.sin(phase);
+        const wz = 2 * Math.PI * this.getTotalDeltaOmega();
+        const wEff = Math.sqrt(wx * wx + wy * wy + wz * wz);
+        this.phase += wz * dtSec;
+        if (wEff === 0) {
+            this.relax(dt);
+            return;
+        }
+
+        const nx = wx / wEff, ny = wy / wEff, nz = wz / wEff;
+        this.rotateAboutAxis(nx, ny, nz, wEff * dtSec);
+
+        const sin2 = nx * nx + ny * ny;
+        const E1rho = Math.exp(-dt * ((1 - sin2) / this.T1 + sin2 / T1rho));
+        const E2 = Math.exp(-dt / this.T2);
+        const parallel = this.Mx * nx + this.My * ny + this.Mz * nz;
+        const relaxed = parallel * E1rho + nz * (1 - E1rho);
+        this.Mx = (this.Mx - parallel * nx) * E2 + relaxed * nx;
+        this.My = (this.My - parallel * ny) * E2 + relaxed * ny;
+        this.Mz = (this.Mz - parallel * nz) * E2 + relaxed * nz;
+    }
+
+    /**
+     * Apply T1/T2 relaxation over a time step
+     * @param {number} dt - Time step in ms
+     */
+    relax(dt) {
+        // T2 relaxation (transverse decay)
+        const E2 = Math.exp(-dt / this.T2);
+        this.Mx *= E2;
+        this.My *= E2;
+
+        // T1 relaxation (longitudinal recovery)
+        const E1 = Math.exp(-dt / this.T1);
+        this.Mz = this.Mz * E1 + (1 - E1);
+    }
+
+    /**
+     * Copy of this spin (same frequency offsets, relaxation and current magnetization)
+     */
+    clone() {
+        const copy = new Spin(this.T1, this.T2, this.deltaOmegaB0, this.B0);
+        copy.Mx = this.Mx;
+        copy.My = this.My;
+        copy.Mz = this.Mz;
+        copy.deltaOmegaGrad = this.deltaOmegaGrad;
+        copy.gradientSign = this.gradientSign;
+        copy.position = this.position;
+        copy.species = this.species;
+        copy.weight = this.weight;
+        copy.phase = this.phase;
+        copy.spinLock = this.spinLock;
+        return copy;
+    }
+
+    /**
+     * Get transverse magnetization magnitude
+     */
+    getMxy() {
+        return Math.sqrt(this.Mx * this.Mx + this.My * this.My);
+    }
+
+    /**
+     * Get phase angle in xy-plane
+     */
+    getPhase() {
+        return Math.atan2(this.My, this.Mx);
+    }
+
+    /**
+     * Reset to equilibrium
+     */
+    reset() {
+        this.Mx = 0;
+        this.My = 0;
+        this.Mz = 1.0;
+        this.phase = 0;
+        // Reset gradient state but keep B0 inhomogeneity
+        this.deltaOmegaGrad = 0;
+        this.gradientSign = 1;
+        this.spinLock = null;
+    }
+
+    /**
+     * Invert phase (180° pulse effect on phase)
+     * Used for spin echo - inverts ALL accumulated phase
+     */
+    invertPhase() {
+        this.phase = -this.phase;
+        // Also invert the actual magnetization phase
+        const currentPhase = Math.atan2(this.My, this.Mx);
+        const Mxy = this.getMxy();
+        const newPhase = -currentPhase;
+        this.Mx = Mxy * Math.cos(newPhase);
+        this.My = Mxy * Math.sin(newPhase);
+    }
+
+    /**
+     * Set gradient frequency offset (Hz)
+     * For gradient echo, this creates additional dephasing that can be refocused
+     */
+    setGradient(gradFreq) {
+        this.deltaOmegaGrad = gradFreq;
+    }
+
+    /**
+     * Toggle gradient direction (for gradient echo refocusing)
+     * ONLY affects gradient-induced offset, NOT B0 inhomogeneity
+     */
+    toggleGradient() {
+        this.gradientSign *= -1;
+    }
+
+    /**
+     * Restore gradient to original direction
+     */
+    restoreGradient() {
+        this.gradientSign = 1;
+    }
+}
+
+// ============================================================================
+// SPIN ENSEMBLE - Collection of spins for FID simulation
+// ============================================================================
+
+/**
+ * Standard normal random number (Box-Muller)
+ */
+function randomGaussian() {
+    const u1 = seededRandom();
+    const u2 = seededRandom();
+    return Math.sqrt(-2 * Math.log(u1 || 0.0001)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Draw off-resonance frequencies from a lineshape
+ * Samples sit at the quantile midpoints (one per equal-probability band) and are shuffled, so
+ * even small ensembles give a smooth line without tying frequency to spin index
+ * @param {number} count - Number of samples
+ * @param {number} width - Gaussian σ or Lorentzian half width at half maximum (Hz)
+ * @param {string} lineshape - 'gaussian', 'lorentzian' or 'custom'
+ * @param {number[]|null} customDensity - Relative density bins spanning ±LINESHAPE_CUSTOM_RANGE · width
+ * @returns {number[]} Frequency offsets (Hz)
+ */
+function sampleLineshape(count, width, lineshape = 'gaussian', customDensity = null) {
+    if (count === 0) return [];
+    if (width === 0) return new Array(count).fill(0);
+
+    let inverse;
+    if (lineshape === 'lorentzian') {
+        inverse = u => width * Math.tan(Math.PI * (u - 0.5));
+    } else {
+        // Tabulated inverse CDF; custom densities are piecewise constant over their bins
+        const range = lineshape === 'custom' ? LINESHAPE_CUSTOM_RANGE * width : 5 * width;
+        const density = lineshape === 'custom' && customDensity && customDensity.some(v => v > 0)
+            ? x => customDensity[Math.min(customDensity.length - 1, Math.floor((x + range) / (2 * range) * customDensity.length))]
+            : x => Math.exp(-0.5 * (x / width) ** 2);
+        const steps = 2000;
+        const xs = [-range];
+        const cdf = [0];
+        for (let k = 1; k <= steps; k++) {
+            const x = -range + 2 * range * k / steps;
+            xs.push(x);
+            cdf.push(cdf[k - 1] + density(x - range / steps));
+        }
+        inverse = u => {
+            const target = u * cdf[steps];
+            let lo = 0;
+            let hi = steps;
+            while (hi - lo > 1) {
+                const mid = (lo + hi) >> 1;
+                if (cdf[mid] < target) lo = mid; else hi = mid;
+            }
+            const span = cdf[hi] - cdf[lo];
+            return xs[lo] + (span > 0 ? (target - cdf[lo]) / span : 0) * (xs[hi] - xs[lo]);
+        };
+    }
+
+    const offsets = [];
+    for (let k = 0; k < count; k++) {
+        offsets.push(inverse((k + 0.5) / count));
+    }
+    for (let k = count - 1; k > 0; k--) {
+        const j = Math.floor(seededRandom() * (k + 1));
+        [offsets[k], offsets[j]] = [offsets[j], offsets[k]];
+    }
+    return offsets;
+}
+
+class SpinEnsemble {
+    constructor(numSpins, T1, T2, freqSpread, B0 = 1.5, lineshape = 'gaussian', customDensity = null) {
+        this.numSpins = numSpins;
+        this.T1 = T1;
+        this.T2 = T2;
+        this.freqSpread = freqSpread;
+        this.B0 = B0;
+        this.lineshape = lineshape;
+        this.customDensity = customDensity;
+        this.spins = [];
+
+        // Diffusion: spins random-walk along the gradient axis when adc > 0
+        this.adc = 0;             // Apparent diffusion coefficient (mm²/s)
+        this.spatialGradient = 0; // Current physical gradient (mT/m), re-applied as spins move
+
+        this.createSpins();
+    }
+
+    createSpins() {
+        // Frequency offsets follow the chosen lineshape (freqSpread is σ or the HWHM)
+        this.spins = sampleLineshape(this.numSpins, this.freqSpread, this.lineshape, this.customDensity)
+            .map(deltaOmega => new Spin(this.T1, this.T2, deltaOmega, this.B0));
+    }
+
+    /**
+     * Build an ensemble from several proton species
+     * Each spectral peak gets isochromats at its chemical shift (ppm · γB0) plus the usual
+     * line broadening; spin weights carry the species fraction × peak amplitude
+     * @param {Object[]} mix - Species ({ key, T1, T2, fraction, peaks: [{ ppm, amplitude }] })
+     * @param {number} numSpins - Approximate total number of isochromats
+     * @param {number} freqSpread - Frequency spread (Hz), σ or HWHM depending on the lineshape
+     * @param {number} B0 - Field strength (T)
+     * @param {string} lineshape - 'gaussian', 'lorentzian' or 'custom'
+     * @param {number[]|null} customDensity - Density bins for the custom lineshape
+     */
+    static fromSpecies(mix, numSpins, freqSpread, B0 = 1.5, lineshape = 'gaussian', customDensity = null) {
+        const result = new SpinEnsemble(0, mix[0].T1, mix[0].T2, freqSpread, B0, lineshape, customDensity);
+        mix.forEach(species => {
+            species.peaks.forEach(peak => {
+                const share = species.fraction * peak.amplitude;
+                if (share <= 0) return;
+                const count = Math.max(3, Math.round(numSpins * share));
+                const shiftHz = peak.ppm * GAMMA * B0;
+                sampleLineshape(count, freqSpread, lineshape, customDensity).forEach(offset => {
+                    const spin = new Spin(species.T1, species.T2, shiftHz + offset, B0);
+                    spin.species = species.key;
+                    spin.weight = share / count;
+                    result.spins.push(spin);
+                });
+            });
+        });
+        result.numSpins = result.spins.length;
+        return result;
+    }
+
+    applyRFPulse(flipAngle, phaseAngle = 0) {
+        this.spins.forEach(spin => spin.applyRFPulse(flipAngle, phaseAngle));
+    }
+
+    /**
+     * Apply one step of a finite-duration RF pulse to all spins
+     * @param {number} b1x - RF amplitude along x' (Hz)
+     * @param {number} b1y - RF amplitude along y' (Hz)
+     * @param {number} dt - Time step in ms
+     */
+    applyRFStep(b1x, b1y, dt) {
+        this.spins.forEach(spin => spin.applyRFStep(b1x, b1y, dt));
+    }
+
+    /**
+     * Switch on a continuous spin-lock field for all spins
+     * @param {number} b1 - Lock amplitude (Hz, γB1/2π)
+     * @param {number|function(Spin): number} T1rho - T1ρ (ms), or a function of the spin
+     * @param {number} phaseAngle - Lock phase in degrees (90 = along y′, parallel to M after a 90°x′)
+     */
+    setSpinLock(b1, T1rho, phaseAngle = 90) {
+        const phase = phaseAngle * Math.PI / 180;
+        this.spins.forEach(spin => {
+            spin.spinLock = { b1, phase, T1rho: typeof T1rho === 'function' ? T1rho(spin) : T1rho };
+        });
+    }
+
+    clearSpinLock() {
+        this.spins.forEach(spin => {
+            spin.spinLock = null;
+        });
+    }
+
+    evolve(dt) {
+        if (this.adc > 0) this.diffuse(dt);
+        this.spins.forEach(spin => spin.evolve(dt));
+    }
+
+    /**
+     * Brownian random walk: each spin moves by N(0, 2·ADC·dt) along the gradient axis
+     * The gradient frequency follows the new positions
+     * @param {number} dt - Time step in ms
+     */
+    diffuse(dt) {
+        const stepRMS = Math.sqrt(2 * this.adc * dt / 1000); // mm
+        this.spins.forEach(spin => {
+            spin.position += stepRMS * randomGaussian();
+            if (this.spatialGradient !== 0) {
+                spin.setGradient(GAMMA * this.spatialGradient * spin.position);
+            }
+        });
+    }
+
+    reset() {
+        this.spatialGradient = 0;
+        this.spins.forEach(spin => spin.reset());
+    }
+
+    /**
+     * Update T2 for all spins (for interactive control)
+     */
+    setT2(newT2) {
+        this.T2 = newT2;
+        this.spins.forEach(spin => {
+            spin.T2 = newT2;
+        });
+    }
+
+    /**
+     * Update T1 for all spins
+     */
+    setT1(newT1) {
+        this.T1 = newT1;
+        this.spins.forEach(spin => {
+            spin.T1 = newT1;
+        });
+    }
+
+    /**
+     * Update B0 for all spins (affects precession rate scaling)
+     */
+    setB0(newB0) {
+        this.B0 = newB0;
+        this.spins.forEach(spin => {
+            spin.B0 = newB0;
+        });
+    }
+
+    /**
+     * Apply gradient to all spins
+     * Gradient creates spatial-dependent frequency offset (independent of B0 inhomogeneity)
+     * For simulation, we create a separate gradient offset distribution
+     * @param {number} gradientStrength - Frequency spread for gradient (Hz)
+     */
+    applyGradient(gradientStrength = 1.0) {
+        this.spins.forEach((spin, i) => {
+            // Create gradient offset INDEPENDENT of B0 inhomogeneity
+            // Use spin index to create a spread of gradient-induced offsets
+            // This simulates spatial position along the gradient direction
+            const normalizedPos = (i / (this.numSpins - 1)) * 2 - 1; // Range: -1 to +1
+            const gradOffset = normalizedPos * this.freqSpread * gradientStrength;
+            spin.setGradient(gradOffset);
+        });
+    }
+
+    /**
+     * Toggle gradient direction for all spins (for GRE refocusing)
+     * Only affects gradient-induced offset, NOT B0 inhomogeneity
+     */
+    toggleGradient() {
+        this.spins.forEach(spin => spin.toggleGradient());
+    }
+
+    /**
+     * Restore gradient to original direction for all spins
+     */
+    restoreGradient() {
+        this.spins.forEach(spin => spin.restoreGradient());
+    }
+
+    /**
+     * Clear gradient offset (back to pure B0 inhomogeneity)
+     */
+    clearGradient() {
+        this.spins.forEach(spin => spin.setGradient(0));
+    }
+
+    /**
+     * Place spins at explicit positions along the gradient axis
+     * @param {number[]} positions - Position of each spin (mm)
+     */
+    setPositions(positions) {
+        this.spins.forEach((spin, i) => {
+            spin.position = positions[i];
+        });
+    }
+
+    /**
+     * Apply a physical gradient to position-encoded spins
+     * Frequency offset: Δf (Hz) = γ (MHz/T) · G (mT/m) · z (mm)
+     * @param {number} gradientMTm - Gradient amplitude (mT/m), 0 switches it off
+     */
+    applySpatialGradient(gradientMTm) {
+        this.spatialGradient = gradientMTm;
+        this.spins.forEach(spin => {
+            spin.setGradient(GAMMA * gradientMTm * spin.position);
+            spin.restoreGradient();
+        });
+    }
+
+    /**
+     * Gradient spoiler lobe (instantaneous): twists the phase by 2π · cycles · position / voxelSize
+     * @param {number} cycles - Spoiler moment in cycles of phase across the voxel
+     * @param {number} voxelSize - Voxel extent in the units of spin.position (mm)
+     */
+    applySpoiler(cycles, voxelSize = 1) {
+        this.spins.forEach(spin => {
+            const angle = 2 * Math.PI * cycles * spin.position / voxelSize;
+            spin.rotateAboutAxis(0, 0, 1, angle);
+            spin.phase += angle;
+        });
+    }
+
+    /**
+     * Apply gradient with fixed frequency spread (Hz)
+     * Independent of B0 inhomogeneity settings
+     * @param {number} freqSpreadHz - Total frequency spread in Hz
+     */
+    applyGradientFixed(freqSpreadHz) {
+        this.spins.forEach((spin, i) => {
+            // Create linear gradient offset based on position
+            const normalizedPos = (i / (this.numSpins - 1)) * 2 - 1; // Range: -1 to +1
+            const gradOffset = normalizedPos * freqSpreadHz / 2; // ±freqSpreadHz/2
+            spin.setGradient(gradOffset);
+        });
+    }
+
+    /**
+     * Get sum magnetization (macroscopic signal)
+     */
+    getSumMagnetization() {
+        // Weighted by proton density share (all weights are 1 for single-species ensembles)
+        let sumMx = 0, sumMy = 0, sumMz = 0, sumWeight = 0;
+        this.spins.forEach(spin => {
+            sumMx += spin.weight * spin.Mx;
+            sumMy += spin.weight * spin.My;
+            sumMz += spin.weight * spin.Mz;
+            sumWeight += spin.weight;
+        });
+        if (sumWeight === 0) return { Mx: 0, My: 0, Mz: 0 };
+        return {
+            Mx: sumMx / sumWeight,
+            My: sumMy / sumWeight,
+            Mz: sumMz / sumWeight
+        };
+    }
+
+    /**
+     * Get phase coherence (0-100%)
+     */
+    getPhaseCoherence() {
+        const sum = this.getSumMagnetization();
+        const sumMxy = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
+
+        // Average individual Mxy
+        let avgIndividualMxy = 0, sumWeight = 0;
+        this.spins.forEach(spin => {
+            avgIndividualMxy += spin.weight * spin.getMxy();
+            sumWeight += spin.weight;
+        });
+        avgIndividualMxy /= sumWeight || 1;
+
+        if (avgIndividualMxy < 0.001) return 0;
+        return Math.min(100, (sumMxy / avgIndividualMxy) * 100);
+    }
+
+    invertPhases() {
+        this.spins.forEach(spin => spin.invertPhase());
+    }
+
+    /**
+     * Randomize all spin orientations (B0 OFF state)
+     * Each spin points in a random direction on the unit sphere
+     */
+    randomizeOrientations() {
+        this.spins.forEach(spin => {
+            // Random point on unit sphere using spherical coordinates
+            const theta = seededRandom() * 2 * Math.PI;  // azimuthal angle
+            const phi = Math.acos(2 * seededRandom() - 1);  // polar angle (uniform on sphere)
+
+            spin.Mx = Math.sin(phi) * Math.cos(theta);
+            spin.My = Math.sin(phi) * Math.sin(theta);
+            spin.Mz = Math.cos(phi);
+            spin.phase = theta;
+        });
+    }
+
+    /**
+     * Get average Mz (for alignment visualization)
+     */
+    getAverageMz() {
+        let sumMz = 0;
+        this.spins.forEach(spin => {
+            sumMz += spin.Mz;
+        });
+        return sumMz / this.numSpins;
+    }
+}
+
+// ============================================================================
+// RF PULSE - Shaped, finite-duration excitation
+// ============================================================================
+
+class RFPulse {
+    /**
+     * @param {Object} options
+     * @param {string} options.shape - 'block', 'sinc', 'gaussian' or 'custom'
+     * @param {number} options.duration - Pulse duration (ms)
+     * @param {number} options.flipAngle - Nominal (on-resonance) flip angle in degrees
+     * @param {number} options.phase - RF phase in degrees (0 = along x')
+     * @param {number} options.tbw - Time-bandwidth product (sinc/Gaussian)
+     * @param {number[]} options.customEnvelope - User-defined amplitudes (shape 'custom')
+     * @param {number} options.numSamples - Number of waveform samples (finer for the frequency-swept 'hs')
+     * @param {number} options.b1Scale - Transmit B1 error (actual / nominal amplitude)
+     * @param {number} options.peakB1 - Peak B1 in Hz for the adiabatic 'hs' shape (flip angle is not used)
+     * @param {number} options.mu - HS frequency-sweep factor
+     * @param {number} options.beta - HS truncation factor
+     */
+    constructor({ shape = 'sinc', duration = 4, flipAngle = 90, phase = 0, tbw = 4, customEnvelope = null,
+        numSamples = shape === 'hs' ? 1000 : 200, b1Scale = 1, peakB1 = 800, mu = 5, beta = 5.3 } = {}) {
+        this.shape = shape;
+        this.duration = duration;
+        this.flipAngle = flipAngle;
+        this.phase = phase;
+        this.tbw = tbw;
+        this.mu = mu;
+        this.beta = beta;
+        this.numSamples = numSamples;
+        this.sampleDt = duration / numSamples; // ms
+
+        this.envelope = RFPulse.createEnvelope(shape, numSamples, tbw, customEnvelope, beta);
+        this.phaseTrack = null;
+
+        if (shape === 'hs') {
+            // Hyperbolic secant: B1(t) = B1max·sech(βt), Δf(t) = −(μβ/2π)·tanh(βt).
+            // The frequency sweep is played as accumulated RF phase, so spins stay in the ω₀ frame.
+            this.peakB1 = peakB1 * b1Scale;
+            this.phaseTrack = [];
+            let phi = 0;
+            for (let k = 0; k < numSamples; k++) {
+                const tau = (k + 0.5) / numSamples - 0.5;
+                const step = 2 * Math.PI * this.getSweepOffset(tau) * (this.sampleDt / 1000);
+                this.phaseTrack.push(phi + step / 2);
+                phi += step;
+            }
+            return;
+        }
+
+        // Scale so that the area under γB1(t) equals the flip angle:
+        // α = 2π ∫ B1(t) dt  →  B1_peak = (α / 2π) / (Σ envelope · Δt)
+        const area = RFPulse.getRelativeArea(this.envelope) * (duration / 1000);
+        if (Math.abs(area) < 1e-12) {
+            throw new Error('RF envelope has zero area - cannot produce a flip angle');
+        }
+        this.peakB1 = b1Scale * (flipAngle / 360) / area; // Hz
+    }
+
+    /**
+     * HS modulation rate β (rad/s): the truncation factor spans half the pulse
+     */
+    getSweepRate() {
+        return this.beta / (this.duration / 2000);
+    }
+
+    /**
+     * Instantaneous HS frequency offset (Hz) at normalized time τ (−0.5 .. +0.5)
+     */
+    getSweepOffset(tau) {
+        return -(this.mu * this.getSweepRate() / (2 * Math.PI)) * Math.tanh(2 * this.beta * tau);
+    }
+
+    /**
+     * Build a normalized envelope (peak |value| = 1)
+     */
+    static createEnvelope(shape, numSamples, tbw, customEnvelope, beta = 5.3) {
+        const envelope = [];
+        for (let k = 0; k < numSamples; k++) {
+            // Normalized time at sample center: -0.5 .. +0.5
+            const tau = (k + 0.5) / numSamples - 0.5;
+            let value;
+            switch (shape) {
+                case 'block':
+                    value = 1;
+                    break;
+                case 'sinc': {
+                    // sinc(TBW·τ) with Hanning window: TBW/2 zero crossings per side
+                    const x = Math.PI * tbw * tau;
+                    const sinc = Math.abs(x) < 1e-9 ? 1 : Math.sin(x) / x;
+                    const hanning = 0.5 * (1 + Math.cos(2 * Math.PI * tau));
+                    value = sinc * hanning;
+                    break;
+                }
+                case 'gaussian': {
+                    // σ chosen so the excitation FWHM ≈ TBW / duration
+                    const sigma = 0.3748 / tbw;
+                    value = Math.exp(-(tau * tau) / (2 * sigma * sigma));
+                    break;
+                }
+                case 'custom':
+                    value = RFPulse.sampleCustom(customEnvelope || [1], tau + 0.5);
+                    break;
+                case 'hs':
+                    value = 1 / Math.cosh(2 * beta * tau);
+                    break;
+                default:
+                    value = 1;
+            }
+            envelope.push(value);
+        }
+
+        const peak = Math.max(...envelope.map(Math.abs));
+        return peak > 0 ? envelope.map(v => v / peak) : envelope;
+    }
+
+    /**
+     * Net area of a normalized envelope as a fraction of a block pulse with the same peak
+     * (the integral that sets B1_peak: 1 for a block, near 0 for envelopes that cancel out)
+     */
+    static getRelativeArea(envelope) {
+        return envelope.reduce((acc, v) => acc + v, 0) / envelope.length;
+    }
+
+    /**
+     * Linearly interpolate a user-defined envelope at normalized time u (0..1)
+     */
+    static sampleCustom(points, u) {
+        if (points.length === 1) return points[0];
+        const pos = u * (points.length - 1);
+        const i = Math.min(Math.floor(pos), points.length - 2);
+        const frac = pos - i;
+        return points[i] * (1 - frac) + points[i + 1] * frac;
+    }
+
+    /**
+     * Parse a comma/space separated list of amplitudes
+     * @returns {number[]|null} Parsed amplitudes, or null if invalid
+     */
+    static parseCustomEnvelope(text) {
+        const values = text.split(/[\s,;]+/).filter(v => v !== '').map(Number);
+        if (values.length < 2 || values.some(v => !isFinite(v))) return null;
+        return values;
+    }
+
+    /**
+     * B1 field at time t (ms from pulse start), piecewise constant per sample
+     * @returns {{ b1x: number, b1y: number, amplitude: number }} Hz, amplitude normalized to peak
+     */
+    getB1(t) {
+        const k = Math.min(this.numSamples - 1, Math.max(0, Math.floor(t / this.sampleDt)));
+        const amplitude = this.envelope[k];
+        const phi = this.phase * Math.PI / 180 + (this.phaseTrack ? this.phaseTrack[k] : 0);
+        const b1 = amplitude * this.peakB1;
+        return { b1x: b1 * Math.cos(phi), b1y: b1 * Math.sin(phi), amplitude };
+    }
+
+    /**
+     * Approximate excitation bandwidth (Hz)
+     */
+    getBandwidth() {
+        if (this.shape === 'hs') return this.mu * this.getSweepRate() / Math.PI;
+        const tbw = (this.shape === 'sinc' || this.shape === 'gaussian') ? this.tbw : 1;
+        return tbw / (this.duration / 1000);
+    }
+}
+
+// ============================================================================
+// EXTENDED PHASE GRAPH (EPG) - Configuration-state engine
+// ============================================================================
+
+/**
+ * Magnetization as dephasing orders instead of isochromats:
+ *   F+k, F-k: transverse states with k cycles of twist across the voxel
+ *   Zk:       longitudinal states (Z0 is the net Mz)
+ * Echoes appear whenever population returns to F0, so echo amplitudes are exact
+ * (no finite-ensemble noise). Assumes every dephasing interval has the same
+ * gradient area, which is what a crusher or readout gradient provides.
+ */
+class EPG {
+    /**
+     * @param {number} numStates - Highest dephasing order tracked + 1
+     */
+    constructor(numStates = 64) {
+        this.numStates = numStates;
+        this.FpRe = new Float64Array(numStates);
+        this.FpIm = new Float64Array(numStates);
+        this.FmRe = new Float64Array(numStates);
+        this.FmIm = new Float64Array(numStates);
+        this.ZRe = new Float64Array(numStates);
+        this.ZIm = new Float64Array(numStates);
+        this.reset();
+    }
+
+    /**
+     * Return to thermal equilibrium (Z0 = 1)
+     */
+    reset() {
+        [this.FpRe, this.FpIm, this.FmRe, this.FmIm, this.ZRe, this.ZIm].forEach(a => a.fill(0));
+        this.ZRe[0] = 1;
+    }
+
+    /**
+     * RF pulse: mixes F+k, F-k and Zk of each order (same rotation convention as Spin.applyRFPulse)
+     * @param {number} flipAngle - Degrees
+     * @param {number} phase - RF phase in degrees (0 = about x')
+     */
+    applyRFPulse(flipAngle, phase = 0) {
+        const alpha = flipAngle * Math.PI / 180;
+        const phi = phase * Math.PI / 180;
+        const c2 = Math.cos(alpha / 2) ** 2;
+        const s2 = Math.sin(alpha / 2) ** 2;
+        const sa = Math.sin(alpha);
+        const ca = Math.cos(alpha);
+        const cp = Math.cos(phi), sp = Math.sin(phi);
+        const c2p = Math.cos(2 * phi), s2p = Math.sin(2 * phi);
+
+        for (let k = 0; k < this.numStates; k++) {
+            const fpr = this.FpRe[k], fpi = this.FpIm[k];
+            const fmr = this.FmRe[k], fmi = this.FmIm[k];
+            const zr = this.ZRe[k], zi = this.ZIm[k];
+
+            // F+' = cos²(α/2) F+ + e^{2iφ} sin²(α/2) F- − i e^{iφ} sin α Z
+            this.FpRe[k] = c2 * fpr + s2 * (c2p * fmr - s2p * fmi) + sa * (sp * zr + cp * zi);
+            this.FpIm[k] = c2 * fpi + s2 * (c2p * fmi + s2p * fmr) + sa * (sp * zi - cp * zr);
+
+            // F-' = e^{-2iφ} sin²(α/2) F+ + cos²(α/2) F- + i e^{-iφ} sin α Z
+            this.FmRe[k] = s2 * (c2p * fpr + s2p * fpi) + c2 * fmr + sa * (sp * zr - cp * zi);
+            this.FmIm[k] = s2 * (c2p * fpi - s2p * fpr) + c2 * fmi + sa * (cp * zr + sp * zi);
+
+            // Z' = −(i/2) e^{-iφ} sin α F+ + (i/2) e^{iφ} sin α F- + cos α Z
+            this.ZRe[k] = 0.5 * sa * (-sp * fpr + cp * fpi) + 0.5 * sa * (-sp * fmr - cp * fmi) + ca * zr;
+            this.ZIm[k] = 0.5 * sa * (-sp * fpi - cp * fpr) + 0.5 * sa * (-sp * fmi + cp * fmr) + ca * zi;
+        }
+    }
+
+    /**
+     * T1/T2 relaxation over dt; only Z0 recovers toward M0
+     */
+    relax(dt, T1, T2) {
+        const E1 = Math.exp(-dt / T1);
+        const E2 = Math.exp(-dt / T2);
+        for (let k = 0; k < this.numStates; k++) {
+            this.FpRe[k] *= E2;
+            this.FpIm[k] *= E2;
+            this.FmRe[k] *= E2;
+            this.FmIm[k] *= E2;
+            this.ZRe[k] *= E1;
+            this.ZIm[k] *= E1;
+        }
+        this.ZRe[0] += 1 - E1;
+    }
+
+    /**
+     * One unit of gradient dephasing: F+k → F+(k+1), F-k → F-(k-1)
+     * F-1 crosses through zero and becomes F+0 (the echo)
+     */
+    dephase() {
+        const n = this.numStates;
+        for (let k = n - 1; k > 0; k--) {
+            this.FpRe[k] = this.FpRe[k - 1];
+            this.FpIm[k] = this.FpIm[k - 1];
+        }
+        for (let k = 0; k < n - 1; k++) {
+            this.FmRe[k] = this.FmRe[k + 1];
+            this.FmIm[k] = this.FmIm[k + 1];
+        }
+        this.FmRe[n - 1] = 0;
+        this.FmIm[n - 1] = 0;
+        // F+0 and F-0 describe the same (untwisted) magnetization
+        this.FpRe[0] = this.FmRe[0];
+        this.FpIm[0] = -this.FmIm[0];
+    }
+
+    /**
+     * Off-resonance precession by angle (rad): F+k gains e^{iθ}, F-k gains e^{-iθ}
+     */
+    precess(angle) {
+        const c = Math.cos(angle), sn = Math.sin(angle);
+        for (let k = 0; k < this.numStates; k++) {
+            const fpr = this.FpRe[k], fpi = this.FpIm[k];
+            this.FpRe[k] = c * fpr - sn * fpi;
+            this.FpIm[k] = sn * fpr + c * fpi;
+            const fmr = this.FmRe[k], fmi = this.FmIm[k];
+            this.FmRe[k] = c * fmr + sn * fmi;
+            this.FmIm[k] = c * fmi - sn * fmr;
+        }
+    }
+
+    /**
+     * Ideal spoiling: all transverse states destroyed
+     */
+    spoil() {
+        [this.FpRe, this.FpIm, this.FmRe, this.FmIm].forEach(a => a.fill(0));
+    }
+
+    /**
+     * Observable signal: the untwisted transverse state F+0 = Mx + iMy
+     */
+    getSignal() {
+        return { Mx: this.FpRe[0], My: this.FpIm[0], Mz: this.ZRe[0] };
+    }
+
+    /**
+     * Populated states for the configuration-state diagram
+     * @param {number} threshold - Smallest magnitude to report
+     * @returns {{ F: {k: number, magnitude: number}[], Z: {k: number, magnitude: number}[] }}
+     *          F uses signed order (negative k = F-|k|)
+     */
+    getStates(threshold = 1e-3) {
+        const F = [];
+        const Z = [];
+        for (let k = 0; k < this.numStates; k++) {
+            const fp = Math.hypot(this.FpRe[k], this.FpIm[k]);
+            if (fp > threshold) F.push({ k, magnitude: fp });
+            if (k > 0) {
+                const fm = Math.hypot(this.FmRe[k], this.FmIm[k]);
+                if (fm > threshold) F.push({ k: -k, magnitude: fm });
+            }
+            const z = Math.hypot(this.ZRe[k], this.ZIm[k]);
+            if (z > threshold) Z.push({ k, magnitude: z });
+        }
+        return { F, Z };
+    }
+}
+
+// ============================================================================
+// BLOCH–McCONNELL - Exchanging proton pools (free water, bound, CEST solute)
+// ============================================================================
+
+/**
+ * Solve a linear system A·x = b (Gaussian elimination with partial pivoting)
+ */
+function solveLinear(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+        }
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        for (let r = col + 1; r < n; r++) {
+            const f = m[r][col] / m[col][col];
+            for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = m[r][n];
+        for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+        x[r] = sum / m[r][r];
+    }
+    return x;
+}
+
+function multiplyMatrices(A, B) {
+    const n = A.length;
+    const C = A.map(() => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let k = 0; k < n; k++) {
+            if (A[i][k] === 0) continue;
+            for (let j = 0; j < n; j++) C[i][j] += A[i][k] * B[k][j];
+        }
+    }
+    return C;
+}
+
+/**
+ * Matrix exponential e^A (scaling and squaring with a Taylor series)
+ */
+function matrixExponential(A) {
+    const n = A.length;
+    const norm = Math.max(...A.map(row => row.reduce((sum, v) => sum + Math.abs(v), 0)));
+    const squarings = norm > 0.5 ? Math.ceil(Math.log2(norm / 0.5)) : 0;
+    const scale = Math.pow(2, -squarings);
+    const scaled = A.map(row => row.map(v => v * scale));
+
+    let result = scaled.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+    let term = result;
+    for (let k = 1; k <= 12; k++) {
+        term = multiplyMatrices(term, scaled).map(row => row.map(v => v / k));
+        result = result.map((row, i) => row.map((v, j) => v + term[i][j]));
+    }
+    for (let s = 0; s < squarings; s++) result = multiplyMatrices(result, result);
+    return result;
+}
+
+/**
+ * Coupled Bloch equations for exchanging proton pools, with continuous-wave RF
+ * Pool 0 is free water. Lorentzian pools keep (Mx, My, Mz); the bound macromolecular pool
+ * has a super-Lorentzian line (T2 ≈ 10 µs), so only its Mz is tracked and RF saturates it
+ * at the rate W = π·ω1²·G(Δ). Exchange obeys detailed balance: k(water→i)·M0water = k(i→water)·M0i.
+ * Time in ms; RF offset and pool shifts in ppm from water.
+ */
+class BlochMcConnell {
+    /**
+     * @param {Object[]} pools - { name, fraction (of total M0), T1, T2 (ms), offsetPpm,
+     *                            exchangeRate (s⁻¹, pool → water), lineshape: 'lorentzian' | 'superLorentzian' }
+     * @param {number} B0 - Field strength (T)
+     */
+    constructor(pools, B0 = 1.5) {
+        this.pools = pools;
+        this.B0 = B0;
+        this.index = [];
+        let size = 0;
+        pools.forEach(pool => {
+            this.index.push(size);
+            size += this.isBound(pool) ? 1 : 3;
+        });
+        this.size = size;
+        this.cache = new Map();
+        this.reset();
+    }
+
+    isBound(pool) {
+        return pool.lineshape === 'superLorentzian';
+    }
+
+    /**
+     * Index of the Mz component of pool i in the state vector
+     */
+    zIndex(i) {
+        return this.index[i] + (this.isBound(this.pools[i]) ? 0 : 2);
+    }
+
+    /**
+     * Thermal equilibrium: every pool along +z with its own M0
+     */
+    reset() {
+        this.M = new Array(this.size).fill(0);
+        this.pools.forEach((pool, i) => {
+            this.M[this.zIndex(i)] = pool.fraction;
+        });
+    }
+
+    /**
+     * Magnetization of pool i normalized to its own M0
+     */
+    getPoolMagnetization(i) {
+        const pool = this.pools[i];
+        const Mz = this.M[this.zIndex(i)] / pool.fraction;
+        if (this.isBound(pool)) return { Mx: 0, My: 0, Mz };
+        const base = this.index[i];
+        return { Mx: this.M[base] / pool.fraction, My: this.M[base + 1] / pool.fraction, Mz };
+    }
+
+    /**
+     * Super-Lorentzian absorption lineshape G(Δ) (ms), normalized over angular frequency
+     * @param {number} offsetHz - Offset from the line centre (Hz)
+     * @param {number} T2 - Bound-pool T2 (ms)
+     */
+    static superLorentzian(offsetHz, T2) {
+        const steps = 1000;
+        const a = 2 * Math.PI * (offsetHz / 1000) * T2;
+        let G = 0;
+        for (let k = 0; k < steps; k++) {
+            const u = (k + 0.5) / steps;
+            const d = Math.abs(3 * u * u - 1);
+            G += Math.sqrt(2 / Math.PI) * T2 / d * Math.exp(-2 * (a / d) * (a / d));
+        }
+        return G / steps;
+    }
+
+    /**
+     * Linear system dM/dt = A·M + c in the frame rotating at the RF frequency
+     * @param {number} b1 - RF amplitude (µT), applied along x'
+     * @param {number} offsetPpm - RF frequency offset from water (ppm)
+     */
+    getSystem(b1, offsetPpm) {
+        const n = this.size;
+        const A = Array.from({ length: n }, () => new Array(n).fill(0));
+        const c = new Array(n).fill(0);
+        const omega1 = 2 * Math.PI * GAMMA * b1 / 1000;   // rad/ms (γ = 42.577 Hz/µT)
+        const ppmToHz = GAMMA * this.B0;                    // 1 ppm in Hz
+
+        this.pools.forEach((pool, i) => {
+            const z = this.zIndex(i);
+            const R1 = 1 / pool.T1;
+            A[z][z] -= R1;
+            c[z] += R1 * pool.fraction;
+
+            const offsetHz = (pool.offsetPpm - offsetPpm) * ppmToHz;
+            if (this.isBound(pool)) {
+                const G = BlochMcConnell.superLorentzian(offsetHz, pool.T2);
+                A[z][z] -= Math.PI * omega1 * omega1 * G;
+            } else {
+                const x = this.index[i];
+                const y = x + 1;
+                const R2 = 1 / pool.T2;
+                const dOmega = 2 * Math.PI * offsetHz / 1000; // rad/ms
+                A[x][x] -= R2;
+                A[y][y] -= R2;
+                // Free precession about z and nutation about x' (right-handed)
+                A[x][y] -= dOmega;
+                A[y][x] += dOmega;
+                A[y][z] -= omega1;
+                A[z][y] += omega1;
+            }
+
+            // Exchange with free water (pool 0), per component
+            if (i === 0) return;
+            const kOut = pool.exchangeRate / 1000;                       // pool i → water (ms⁻¹)
+            const kIn = kOut * pool.fraction / this.pools[0].fraction;   // water → pool i
+            const components = this.isBound(pool) ? [2] : [0, 1, 2];
+            components.forEach(comp => {
+                const w = this.index[0] + comp;
+                const p = this.isBound(pool) ? z : this.index[i] + comp;
+                A[w][w] -= kIn;
+                A[w][p] += kOut;
+                A[p][p] -= kOut;
+                A[p][w] += kIn;
+            });
+        });
+        return { A, c };
+    }
+
+    /**
+     * Propagator for a constant RF block: M(t + dt) = Mss + E·(M(t) − Mss), E = e^(A·dt)
+     */
+    getPropagator(dt, b1, offsetPpm) {
+        const { A, c } = this.getSystem(b1, offsetPpm);
+        const steadyState = solveLinear(A, c.map(v => -v));
+        const E = matrixExponential(A.map(row => row.map(v => v * dt)));
+        return { E, steadyState };
+    }
+
+    /**
+     * Exact evolution for dt (ms) under constant RF (b1 = 0 for free relaxation and exchange)
+     * Propagators are cached since the animation repeats the same step
+     */
+    evolve(dt, b1 = 0, offsetPpm = 0) {
+        const key = `${dt.toFixed(6)}|${b1}|${offsetPpm}`;
+        if (!this.cache.has(key)) {
+            if (this.cache.size > 64) this.cache.clear();
+            this.cache.set(key, this.getPropagator(dt, b1, offsetPpm));
+        }
+        this.applyPropagator(this.cache.get(key));
+    }
+
+    applyPropagator({ E, steadyState }) {
+        const delta = this.M.map((v, i) => v - steadyState[i]);
+        this.M = steadyState.map((ss, i) =>
+            ss + E[i].reduce((sum, e, j) => sum + e * delta[j], 0)
+        );
+    }
+
+    /**
+     * Z-spectrum: free-water Mz/M0 after saturating from equilibrium at each offset
+     * @param {number[]} offsetsPpm - Saturation offsets (ppm)
+     * @param {number} b1 - Saturation amplitude (µT)
+     * @param {number} duration - Saturation duration (ms)
+     */
+    getZSpectrum(offsetsPpm, b1, duration) {
+        const saved = this.M;
+        const spectrum = offsetsPpm.map(offset => {
+            this.reset();
+            this.applyPropagator(this.getPropagator(duration, b1, offset));
+            return this.getPoolMagnetization(0).Mz;
+        });
+        this.M = saved;
+        return spectrum;
+    }
+}
+
+// ============================================================================
+// CLOSED-FORM STEADY STATES
+// ============================================================================
+
+/**
+ * Calculate Ernst angle: optimal flip angle for maximum signal in spoiled GRE
+ * α_Ernst = arccos(exp(-TR/T1))
+ */
+function calculateErnstAngle(TR, T1) {
+    const E1 = Math.exp(-TR / T1);
+    const ernstRad = Math.acos(E1);
+    return ernstRad * 180 / Math.PI;
+}
+
+/**
+ * RF spoiling phase of the n-th excitation (n = 0, 1, 2, ...)
+ * Quadratic schedule: the phase increment itself grows by Δ each TR
+ * φn = Δ · n(n+1)/2
+ */
+function getRFSpoilingPhase(n, incrementDeg) {
+    return (incrementDeg * n * (n + 1) / 2) % 360;
+}
+
+/**
+ * Calculate theoretical steady-state signal for spoiled GRE
+ * S = M0 * sin(α) * (1 - E1) / (1 - cos(α) * E1)
+ * where E1 = exp(-TR/T1)
+ */
+function calculateSpoiledGRESignal(flipAngleDeg, TR, T1) {
+    const alpha = flipAngleDeg * Math.PI / 180;
+    const E1 = Math.exp(-TR / T1);
+    const signal = Math.sin(alpha) * (1 - E1) / (1 - Math.cos(alpha) * E1);
+    return signal;
+}
+
+/**
+ * Calculate theoretical steady-state signal for SSFP (bSSFP)
+ * S = M0 * sin(α) / (1 + cos(α) + (1 - cos(α)) * T1/T2)
+ * This is a simplified on-resonance formula
+ */
+function calculateSSFPSignal(flipAngleDeg, T1, T2) {
+    const alpha = flipAngleDeg * Math.PI / 180;
+    const ratio = T1 / T2;
+    const signal = Math.sin(alpha) / (1 + Math.cos(alpha) + (1 - Math.cos(alpha)) * ratio);
+    return signal;
+}
+
+/**
+ * Full bSSFP steady state for any off-resonance (Bloch matrix solution)
+ * Right after each pulse M = R(α)·(P·M + b), with P = relaxation + precession over one TR,
+ * so M = (I − R·P)⁻¹ R·b. In the frame of the RF phase, a phase increment Δφ per TR acts like
+ * an extra precession of −Δφ; the receiver follows the RF phase.
+ * @param {Object} params - { flipAngle, TR, TE, T1, T2, offResonanceHz, phaseCycle (degrees) }
+ * @returns {{ Mx: number, My: number, Mz: number, magnitude: number, phase: number }} Signal at TE
+ */
+function calculateBSSFPSteadyState({ flipAngle, TR, TE, T1, T2, offResonanceHz, phaseCycle = 180 }) {
+    const alpha = flipAngle * Math.PI / 180;
+    const ca = Math.cos(alpha), sa = Math.sin(alpha);
+    const E1 = Math.exp(-TR / T1);
+    const E2 = Math.exp(-TR / T2);
+    const theta = 2 * Math.PI * offResonanceHz * TR / 1000 - phaseCycle * Math.PI / 180;
+    const ct = Math.cos(theta), st = Math.sin(theta);
+
+    // R: rotation about x' by α;  P = diag(E2, E2, E1) · Rz(θ)
+    const R = [[1, 0, 0], [0, ca, -sa], [0, sa, ca]];
+    const P = [[E2 * ct, -E2 * st, 0], [E2 * st, E2 * ct, 0], [0, 0, E1]];
+    const A = R.map((row, i) => [0, 1, 2].map(j =>
+        (i === j ? 1 : 0) - row.reduce((acc, r, k) => acc + r * P[k][j], 0)
+    ));
+    const rhs = R.map(row => row[2] * (1 - E1));
+    const [mx, my, mz] = solveLinear(A, rhs);
+
+    // Free precession and relaxation from the pulse to the echo time
+    const thetaTE = 2 * Math.PI * offResonanceHz * TE / 1000;
+    const E2TE = Math.exp(-TE / T2);
+    const E1TE = Math.exp(-TE / T1);
+    const Mx = E2TE * (mx * Math.cos(thetaTE) - my * Math.sin(thetaTE));
+    const My = E2TE * (mx * Math.sin(thetaTE) + my * Math.cos(thetaTE));
+    const Mz = mz * E1TE + (1 - E1TE);
+
+    return { Mx, My, Mz, magnitude: Math.hypot(Mx, My), phase: Math.atan2(My, Mx) };
+}
+
+/**
+ * T1ρ dispersion for a single exchange process (fast-exchange model)
+ * R1ρ = R1ρ∞ + (R2 − R1ρ∞) / (1 + (2π·f1·τex)²): without a lock T1ρ equals T2, a strong lock
+ * suppresses the exchange contribution and T1ρ rises towards T1ρ∞
+ * @param {number} lockHz - Lock amplitude f1 = γB1/2π (Hz)
+ * @param {number} T2 - ms
+ * @param {number} T1rhoInf - High-field limit (ms), at most T1
+ * @param {number} tauEx - Exchange correlation time (ms)
+ * @returns {number} T1ρ in ms
+ */
+function calculateT1rho(lockHz, T2, T1rhoInf, tauEx) {
+    const x = 2 * Math.PI * lockHz * tauEx / 1000;
+    const R1rhoInf = 1 / T1rhoInf;
+    return 1 / (R1rhoInf + (1 / T2 - R1rhoInf) / (1 + x * x));
+}
+
+// ============================================================================
+// SEQUENCE SCRIPTS - JSON event lists (Module H)
+// ============================================================================
+
+const SCRIPT_MAX_DURATION = 60000; // ms
+const SCRIPT_MAX_ACTIONS = 5000;   // after repeats are expanded
+const SCRIPT_MAX_EVENTS = 100000;  // expanded events, including delays that add no actions
+const SCRIPT_RF_SHAPES = ['hard', 'rect', 'sinc', 'gaussian'];
+
+/**
+ * Allowed fields per event type (anything else is reported as a typo)
+ */
+const SCRIPT_EVENT_FIELDS = {
+    rf: ['type', 'flip', 'phase', 'shape', 'duration', 'tbw', 'label'],
+    delay: ['type', 'duration'],
+    gradient: ['type', 'amplitude', 'duration'],
+    spoiler: ['type', 'cycles'],
+    adc: ['type', 'duration', 'gradient', 'label'],
+    repeat: ['type', 'count', 'events']
+};
+/**
+ * Parse and validate a sequence script
+ * @param {string} text - JSON source (editor text or a file)
+ * @returns {{ errors: string[], sequence: Object|null }} Sequence with defaults filled in when valid
+ */
+function parseSequenceScript(text) {
+    let source;
+    try {
+        source = JSON.parse(text);
+    } catch (err) {
+        return { errors: [`JSON: ${err.message}`], sequence: null };
+    }
+
+    const errors = [];
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const checkNumber = (value, path, { min = -Infinity, max = Infinity, integer = false, exclusiveMin = false } = {}) => {
+        if (!isNumber(value)) {
+            errors.push(`${path}: must be a number`);
+        } else if (integer && !Number.isInteger(value)) {
+            errors.push(`${path}: must be a whole number`);
+        } else if (exclusiveMin ? value <= min : value < min) {
+            errors.push(`${path}: must be ${exclusiveMin ? 'greater than' : 'at least'} ${min}`);
+        } else if (value > max) {
+            errors.push(`${path}: must be at most ${max}`);
+        }
+    };
+
+    if (source === null || typeof source !== 'object' || Array.isArray(source)) {
+        return { errors: ['Script must be a JSON object with an "events" list'], sequence: null };
+    }
+    Object.keys(source).forEach(key => {
+        if (!['name', 'timeScale', 'spins', 'events'].includes(key)) errors.push(`${key}: unknown field`);
+    });
+    if (source.name !== undefined && typeof source.name !== 'string') errors.push('name: must be a string');
+    if (source.timeScale !== undefined) checkNumber(source.timeScale, 'timeScale', { min: 0, max: 1000, exclusiveMin: true });
+
+    const spins = { count: 100, T1: 1000, T2: 100, freqSpread: 20, voxel: 1, ...(source.spins || {}) };
+    if (source.spins !== undefined && (source.spins === null || typeof source.spins !== 'object' || Array.isArray(source.spins))) {
+        errors.push('spins: must be an object');
+    } else {
+        Object.keys(spins).forEach(key => {
+            if (!['count', 'T1', 'T2', 'freqSpread', 'voxel'].includes(key)) errors.push(`spins.${key}: unknown field`);
+        });
+        checkNumber(spins.count, 'spins.count', { min: 1, max: 500, integer: true });
+        checkNumber(spins.T1, 'spins.T1', { min: 0, exclusiveMin: true });
+        checkNumber(spins.T2, 'spins.T2', { min: 0, exclusiveMin: true });
+        checkNumber(spins.freqSpread, 'spins.freqSpread', { min: 0 });
+        checkNumber(spins.voxel, 'spins.voxel', { min: 0, exclusiveMin: true });
+        if (isNumber(spins.T1) && isNumber(spins.T2) && spins.T2 > spins.T1) errors.push('spins.T2: must not exceed T1');
+    }
+
+    const validateEvents = (events, path) => {
+        if (!Array.isArray(events) || events.length === 0) {
+            errors.push(`${path}: must be a non-empty list of events`);
+            return;
+        }
+        events.forEach((event, i) => {
+            const at = `${path}[${i}]`;
+            if (event === null || typeof event !== 'object' || Array.isArray(event)) {
+                errors.push(`${at}: must be an object`);
+                return;
+            }
+            const fields = SCRIPT_EVENT_FIELDS[event.type];
+            if (!fields) {
+                errors.push(`${at}.type: must be one of ${Object.keys(SCRIPT_EVENT_FIELDS).join(', ')}`);
+                return;
+            }
+            Object.keys(event).forEach(key => {
+                if (!fields.includes(key)) errors.push(`${at}.${key}: unknown field for ${event.type}`);
+            });
+            if (event.label !== undefined && typeof event.label !== 'string') errors.push(`${at}.label: must be a string`);
+
+            switch (event.type) {
+                case 'rf': {
+                    checkNumber(event.flip, `${at}.flip`, { min: -720, max: 720 });
+                    if (event.phase !== undefined) checkNumber(event.phase, `${at}.phase`);
+                    const shape = event.shape ?? 'hard';
+                    if (!SCRIPT_RF_SHAPES.includes(shape)) {
+                        errors.push(`${at}.shape: must be one of ${SCRIPT_RF_SHAPES.join(', ')}`);
+                    } else if (shape === 'hard') {
+                        if (event.duration !== undefined) errors.push(`${at}.duration: hard pulses are instantaneous (use shape "rect")`);
+                    } else {
+                        checkNumber(event.duration, `${at}.duration`, { min: 0.1, max: 100 });
+                    }
+                    if (event.tbw !== undefined) {
+                        if (!['sinc', 'gaussian'].includes(shape)) errors.push(`${at}.tbw: only sinc and gaussian pulses have a time-bandwidth product`);
+                        checkNumber(event.tbw, `${at}.tbw`, { min: 1, max: 20 });
+                    }
+                    break;
+                }
+                case 'delay':
+                    checkNumber(event.duration, `${at}.duration`, { min: 0, exclusiveMin: true });
+                    break;
+                case 'gradient':
+                    checkNumber(event.amplitude, `${at}.amplitude`, { min: -100, max: 100 });
+                    checkNumber(event.duration, `${at}.duration`, { min: 0, exclusiveMin: true });
+                    break;
+                case 'spoiler':
+                    checkNumber(event.cycles, `${at}.cycles`, { min: -64, max: 64 });
+                    break;
+                case 'adc':
+                    checkNumber(event.duration, `${at}.duration`, { min: 0, exclusiveMin: true });
+                    if (event.gradient !== undefined) checkNumber(event.gradient, `${at}.gradient`, { min: -100, max: 100 });
+                    break;
+                case 'repeat':
+                    checkNumber(event.count, `${at}.count`, { min: 1, max: 500, integer: true });
+                    validateEvents(event.events, `${at}.events`);
+                    break;
+            }
+        });
+    };
+    validateEvents(source.events, 'events');
+    if (errors.length > 0) return { errors, sequence: null };
+
+    const sequence = { name: source.name || 'Untitled sequence', timeScale: source.timeScale ?? 1, spins, events: source.events };
+    const compiled = compileSequence(sequence);
+    if (compiled.duration > SCRIPT_MAX_DURATION) {
+        errors.push(`Sequence lasts ${compiled.duration.toFixed(0)} ms (limit ${SCRIPT_MAX_DURATION} ms)`);
+    }
+    if (compiled.expanded > SCRIPT_MAX_EVENTS) {
+        errors.push(`Sequence expands to more than ${SCRIPT_MAX_EVENTS} events (check nested repeats)`);
+    } else if (compiled.actions.length > SCRIPT_MAX_ACTIONS) {
+        errors.push(`Sequence expands to ${compiled.actions.length} actions (limit ${SCRIPT_MAX_ACTIONS})`);
+    }
+    return errors.length > 0 ? { errors, sequence: null } : { errors, sequence: { ...sequence, ...compiled } };
+}
+
+/**
+ * Lay a validated event list out on the time axis
+ * Events run back to back; repeats are expanded. Each action is executed at its time by BlochSimulation.
+ * Expansion stops early once either limit is exceeded (delay-only repeats add no actions,
+ * so the expanded event count bounds nested repeats)
+ * @returns {{ actions: Object[], duration: number, expanded: number, counts: { rf: number, adc: number } }}
+ */
+function compileSequence(sequence) {
+    const actions = [];
+    const counts = { rf: 0, adc: 0 };
+    let placed = 0;
+    const overLimit = () => actions.length > SCRIPT_MAX_ACTIONS || placed > SCRIPT_MAX_EVENTS;
+
+    const place = (events, start) => {
+        let t = start;
+        events.forEach(event => {
+            if (overLimit()) return;
+            placed++;
+            switch (event.type) {
+                case 'rf': {
+                    const shape = event.shape ?? 'hard';
+                    const phase = event.phase ?? 0;
+                    const label = event.label ?? `${event.flip}°${phase ? ` ${phase}°` : ''}`;
+                    counts.rf++;
+                    if (shape === 'hard') {
+                        actions.push({ time: t, kind: 'rf', flip: event.flip, phase, label });
+                    } else {
+                        // Scripts call the block envelope 'rect'
+                        const envelope = shape === 'rect' ? 'block' : shape;
+                        const pulse = new RFPulse({ shape: envelope, duration: event.duration, flipAngle: event.flip, phase, tbw: event.tbw ?? 4 });
+                        actions.push({ time: t, kind: 'rfStart', pulse, label });
+                        actions.push({ time: t + event.duration, kind: 'rfEnd' });
+                        t += event.duration;
+                    }
+                    break;
+                }
+                case 'delay':
+                    t += event.duration;
+                    break;
+                case 'gradient':
+                    actions.push({ time: t, kind: 'gradient', amplitude: event.amplitude });
+                    actions.push({ time: t + event.duration, kind: 'gradient', amplitude: 0 });
+                    t += event.duration;
+                    break;
+                case 'spoiler':
+                    actions.push({ time: t, kind: 'spoiler', cycles: event.cycles });
+                    break;
+                case 'adc':
+                    counts.adc++;
+                    actions.push({ time: t, kind: 'adcStart', end: t + event.duration, gradient: event.gradient ?? 0, label: event.label ?? 'ADC' });
+                    actions.push({ time: t + event.duration, kind: 'adcEnd', gradient: event.gradient ?? 0 });
+                    t += event.duration;
+                    break;
+                case 'repeat':
+                    for (let n = 0; n < event.count && !overLimit(); n++) {
+                        t = place(event.events, t);
+                    }
+                    break;
+            }
+        });
+        return t;
+    };
+
+    const duration = place(sequence.events, 0);
+    // Stable sort keeps same-time actions in script order (e.g. gradient off before ADC on)
+    actions.sort((a, b) => a.time - b.time);
+    return { actions, duration, expanded: placed, counts };
+}
+
+// ============================================================================
+// BLOCH SIMULATION - Programmatic API
+// ============================================================================
+
+/**
+ * Drives a spin ensemble through RF, gradients and free precession and records the
+ * net magnetization. Steps are split on a fixed grid (record interval, RF samples,
+ * sequence actions), so results do not depend on how the time is handed in: a browser
+ * frame loop and a single evolve() produce the same numbers.
+ */
+class BlochSimulation {
+    /**
+     * @param {Object} options
+     * @param {SpinEnsemble} [options.ensemble] - Ensemble to drive (otherwise one is drawn from the fields below)
+     * @param {number} [options.count=100] - Number of isochromats
+     * @param {number} [options.T1=1000] - ms
+     * @param {number} [options.T2=100] - ms
+     * @param {number} [options.freqSpread=20] - Hz, Gaussian σ or Lorentzian HWHM
+     * @param {number} [options.B0=1.5] - T
+     * @param {string} [options.lineshape='gaussian'] - 'gaussian', 'lorentzian' or 'custom'
+     * @param {number[]|null} [options.customDensity] - Density bins for the custom lineshape
+     * @param {number} [options.voxel=1] - mm spanned by the spin positions (gradients, spoilers)
+     * @param {number} [options.seed] - Re-seed the random numbers before the spins are drawn
+     * @param {number} [options.recordInterval=0.5] - ms between history samples
+     */
+    constructor({ ensemble = null, count = 100, T1 = 1000, T2 = 100, freqSpread = 20, B0 = 1.5,
+        lineshape = 'gaussian', customDensity = null, voxel = 1, seed, recordInterval = 0.5 } = {}) {
+        if (seed !== undefined) setRandomSeed(seed);
+        this.ensemble = ensemble || new SpinEnsemble(count, T1, T2, freqSpread, B0, lineshape, customDensity);
+        if (!ensemble) {
+            this.ensemble.setPositions(this.ensemble.spins.map((_, i) => ((i + 0.5) / count - 0.5) * voxel));
+        }
+        this.voxel = voxel;
+        this.recordInterval = recordInterval;
+
+        this.time = 0;            // ms
+        this.playhead = 0;        // Time requested by advance() (steps stop at the last grid point before it)
+        this.history = [];        // { time, Mx, My, Mz, mxy, b1 } every recordInterval
+        this.recordIndex = 0;
+
+        this.sequence = null;     // Compiled script (parseSequenceScript)
+        this.sequenceStart = 0;
+        this.actionIndex = 0;
+        this.activeRF = null;     // { pulse, start } while a shaped pulse plays
+        this.b1 = null;           // Last B1 sample of the active pulse
+        this.adcActive = null;    // { start, end, label, samples } during an ADC window
+        this.adcWindows = [];     // Completed ADC windows (samples are history entries)
+
+        this.record();
+    }
+
+    /**
+     * Simulation for a sequence script, with the spins the script asks for
+     * @param {string|Object} script - JSON text, a script object or an already parsed sequence
+     * @param {Object} options - Extra constructor options (seed, B0, recordInterval)
+     * @throws {Error} Listing the validation errors of an invalid script
+     */
+    static fromScript(script, options = {}) {
+        let sequence = script;
+        if (!script || !script.actions) {
+            const parsed = parseSequenceScript(typeof script === 'string' ? script : JSON.stringify(script));
+            if (parsed.errors.length > 0) throw new Error(`Invalid sequence script:\n${parsed.errors.join('\n')}`);
+            sequence = parsed.sequence;
+        }
+        const sim = new BlochSimulation({ ...sequence.spins, ...options });
+        sim.loadSequence(sequence);
+        return sim;
+    }
+
+    /**
+     * Instantaneous (hard) RF pulse
+     * @param {number} flip - degrees
+     * @param {number} phase - degrees (0 = about x', 90 = about y')
+     */
+    applyRF(flip, phase = 0) {
+        this.ensemble.applyRFPulse(flip, phase);
+        return this;
+    }
+
+    /**
+     * Play a shaped pulse over its duration
+     * @param {RFPulse} pulse
+     */
+    playRF(pulse) {
+        this.activeRF = { pulse, start: this.time };
+        this.stepTo(this.time + pulse.duration, true);
+        this.activeRF = null;
+        this.b1 = null;
+        return this;
+    }
+
+    /**
+     * Switch the spatial gradient on (mT/m) or off (0)
+     */
+    setGradient(amplitude) {
+        this.ensemble.applySpatialGradient(amplitude);
+        return this;
+    }
+
+    /**
+     * Instantaneous spoiler: the given cycles of phase across the voxel
+     */
+    spoil(cycles) {
+        this.ensemble.applySpoiler(cycles, this.voxel);
+        return this;
+    }
+
+    /**
+     * Hold the magnetization under a continuous spin-lock field, then switch it off
+     * @param {number} b1 - Lock amplitude (Hz)
+     * @param {number} duration - ms
+     * @param {number} T1rho - ms
+     * @param {number} phase - degrees (90 = along y')
+     */
+    spinLock(b1, duration, T1rho, phase = 90) {
+        this.ensemble.setSpinLock(b1, T1rho, phase);
+        this.evolve(duration);
+        this.ensemble.clearSpinLock();
+        return this;
+    }
+
+    /**
+     * Free precession and relaxation (or the loaded sequence) for a duration
+     * @param {number} duration - ms
+     */
+    evolve(duration) {
+        this.stepTo(this.time + duration, true);
+        this.playhead = this.time;
+        return this;
+    }
+
+    /**
+     * Start a compiled sequence at the current time
+     */
+    loadSequence(sequence) {
+        this.sequence = sequence;
+        this.sequenceStart = this.time;
+        this.actionIndex = 0;
+        return this;
+    }
+
+    /**
+     * Run the loaded sequence to its end
+     * @param {Function} onAction - Called with each action after it is executed
+     */
+    runSequence(onAction = null) {
+        if (this.sequence) this.stepTo(this.sequenceStart + this.sequence.duration, true, onAction);
+        this.playhead = this.time;
+        return this;
+    }
+
+    /**
+     * Playback: move the playhead by dt (ms); only whole grid steps are taken, the
+     * remainder carries over to the next call
+     */
+    advance(dt, onAction = null) {
+        const end = this.sequence ? this.sequenceStart + this.sequence.duration : Infinity;
+        this.playhead = Math.min(this.playhead + dt, end);
+        this.stepTo(this.playhead, false, onAction);
+        return this;
+    }
+
+    get finished() {
+        return !this.sequence || this.time >= this.sequenceStart + this.sequence.duration - 1e-9;
+    }
+
+    getMagnetization() {
+        return this.ensemble.getSumMagnetization();
+    }
+
+    /**
+     * Step up to `until`, splitting at record times, RF samples and sequence actions
+     * @param {number} until - ms
+     * @param {boolean} exact - Finish with a step ending exactly at `until`
+     * @param {Function|null} onAction - Called with each executed action
+     */
+    stepTo(until, exact, onAction = null) {
+        this.runActions(onAction);
+        for (;;) {
+            let next = (this.recordIndex + 1) * this.recordInterval;
+            if (this.sequence) {
+                const action = this.sequence.actions[this.actionIndex];
+                const end = this.sequenceStart + this.sequence.duration;
+                if (action) next = Math.min(next, this.sequenceStart + action.time);
+                if (this.time < end - 1e-9) next = Math.min(next, end);
+            }
+            if (this.activeRF) {
+                const { pulse, start } = this.activeRF;
+                const index = Math.floor((this.time - start) / pulse.sampleDt + 1e-6) + 1;
+                next = Math.min(next, start + index * pulse.sampleDt);
+            }
+            if (exact) next = Math.min(next, until);
+            if (until - this.time <= 1e-9 || next > until + 1e-9) break;
+
+            const step = next - this.time;
+            if (this.activeRF) {
+                this.b1 = this.activeRF.pulse.getB1(this.time - this.activeRF.start + step / 2);
+                this.ensemble.applyRFStep(this.b1.b1x, this.b1.b1y, step);
+            } else {
+                this.ensemble.evolve(step);
+            }
+            this.time = next;
+            if (this.time >= (this.recordIndex + 1) * this.recordInterval - 1e-9) {
+                this.recordIndex++;
+                this.record();
+            }
+            this.runActions(onAction);
+        }
+    }
+
+    runActions(onAction) {
+        if (!this.sequence) return;
+        const actions = this.sequence.actions;
+        while (this.actionIndex < actions.length &&
+            this.sequenceStart + actions[this.actionIndex].time - this.time <= 1e-9) {
+            const action = actions[this.actionIndex++];
+            this.executeAction(action);
+            if (onAction) onAction(action);
+        }
+    }
+
+    /**
+     * Carry out one compiled sequence action (see compileSequence)
+     */
+    executeAction(action) {
+        const time = this.sequenceStart + action.time;
+        switch (action.kind) {
+            case 'rf':
+                this.ensemble.applyRFPulse(action.flip, action.phase);
+                break;
+            case 'rfStart':
+                this.activeRF = { pulse: action.pulse, start: time };
+                break;
+            case 'rfEnd':
+                this.activeRF = null;
+                this.b1 = null;
+                break;
+            case 'gradient':
+                this.ensemble.applySpatialGradient(action.amplitude);
+                break;
+            case 'spoiler':
+                this.ensemble.applySpoiler(action.cycles, this.voxel);
+                break;
+            case 'adcStart':
+                if (action.gradient) this.ensemble.applySpatialGradient(action.gradient);
+                this.adcActive = { start: time, end: this.sequenceStart + action.end, label: action.label, samples: [] };
+                break;
+            case 'adcEnd':
+                if (action.gradient) this.ensemble.applySpatialGradient(0);
+                if (this.adcActive) this.adcWindows.push(this.adcActive);
+                this.adcActive = null;
+                break;
+        }
+    }
+
+    record() {
+        const sum = this.ensemble.getSumMagnetization();
+        const sample = {
+            time: this.time,
+            Mx: sum.Mx,
+            My: sum.My,
+            Mz: sum.Mz,
+            mxy: Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My),
+            b1: this.activeRF && this.b1 ? this.b1.amplitude : null
+        };
+        this.history.push(sample);
+        if (this.adcActive) this.adcActive.samples.push(sample);
+    }
+}
+
+// Node / CommonJS export (the browser uses the globals above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GAMMA,
+        setRandomSeed,
+        seededRandom,
+        randomGaussian,
+        sampleLineshape,
+        Spin,
+        SpinEnsemble,
+        RFPulse,
+        EPG,
+        BlochMcConnell,
+        solveLinear,
+        calculateErnstAngle,
+        getRFSpoilingPhase,
+        calculateSpoiledGRESignal,
+        calculateSSFPSignal,
+        calculateBSSFPSteadyState,
+        calculateT1rho,
+        parseSequenceScript,
+        compileSequence,
+        BlochSimulation
+    };
+}
@@ -9,14 +9,75 @@
  * B - FID Formation (RF excitation & dephasing)
  * C - Echo Formation (Spin Echo, Gradient Echo)
  * D - GRE Variants (Spoiled GRE vs SSFP, multi-TR steady-state)
+ * E - Slice Selection (spatial isochromats, slice profile)
+ * F - Magnetization Transfer (exchanging pools, Z-spectrum)
+ * G - Inversion Recovery (tissues side by side, null points)
+ * H - Sequence Scripting (JSON pulse sequences run against the ensemble)
+ * I - Spin Lock (T1ρ preparation, decay vs lock amplitude)
+ *
+ * The DOM-free physics (spins, RF pulses, EPG, sequence scripts) lives in bloch.js,
+ * which is loaded first and can also be required from Node.
  */
 
 // ============================================================================
 // CONSTANTS & CONFIGURATION
 // ============================================================================
 
-const GAMMA = 42.577; // Gyromagnetic ratio for 1H (MHz/T)
 const DEFAULT_MAX_TIME = 1500; // Default simulation duration (ms) - long enough to see T1 recovery
+const SSFP_PHASE_CYCLES = [0, 180, 90, 270]; // bSSFP RF phase-cycling increments (degrees)
+const SSFP_TRANSIENT_TRS = 100; // Imaging TRs shown in the catalyzation comparison
+const HS_MIN_DURATION = 10; // ms, duration selected when switching to the adiabatic HS pulse
+const SPIN_LOCK_AMPLITUDES = [0, 100, 250, 500, 1000]; // Hz, lock amplitudes compared in Module I
+const SPIN_LOCK_COLORS = ['#94a3b8', '#38bdf8', '#22c55e', '#a855f7', '#ef4444', '#f472b6'];
+const LINESHAPE_CUSTOM_BINS = 32; // Resolution of the drawn lineshape (bins span ±LINESHAPE_CUSTOM_RANGE × spread)
+
+/**
+ * Tissues shown side by side in the inversion recovery module (1.5 T relaxation times, ms)
+ * The last entry takes its T1 from the Custom T1 slider
+ */
+const IR_TISSUES = [
+    { label: 'Fat', T1: 260, T2: 80, color: 0xfacc15 },
+    { label: 'White matter', T1: 790, T2: 90, color: 0xe2e8f0 },
+    { label: 'Gray matter', T1: 920, T2: 100, color: 0x94a3b8 },
+    { label: 'CSF', T1: 4000, T2: 2000, color: 0x38bdf8 },
+    { label: 'Custom', T1: null, T2: 100, color: 0xf472b6 }
+];
+
+/**
+ * Proton species for multi-species ensembles
+ * Chemical shifts are relative to water (ppm); the 6-peak fat model is the common
+ * triglyceride spectrum where the methylene peak at −3.40 ppm carries ~70% of the signal
+ */
+const SPECIES = {
+    water: {
+        label: 'Water',
+        color: 0x38bdf8,
+        T1: 1000,
+        T2: 100,
+        peaks: [{ ppm: 0, amplitude: 1 }]
+    },
+    fat: {
+        label: 'Fat (single peak)',
+        color: 0xfacc15,
+        T1: 300,
+        T2: 60,
+        peaks: [{ ppm: -3.4, amplitude: 1 }]
+    },
+    fat6: {
+        label: 'Fat (6-peak)',
+        color: 0xfacc15,
+        T1: 300,
+        T2: 60,
+        peaks: [
+            { ppm: -3.80, amplitude: 0.087 },
+            { ppm: -3.40, amplitude: 0.693 },
+            { ppm: -2.60, amplitude: 0.128 },
+            { ppm: -1.94, amplitude: 0.004 },
+            { ppm: -0.39, amplitude: 0.039 },
+            { ppm: 0.60, amplitude: 0.048 }
+        ]
+    }
+};
 
 const CONFIG = {
     // Animation
@@ -25,6 +86,21 @@ const CONFIG = {
     currentTime: 0,       // ms
     maxTime: DEFAULT_MAX_TIME,
     dt: 0.5,              // Time step (ms)
+    randomSeed: DEFAULT_RANDOM_SEED, // Seed for spin ensembles and noise (?seed=N in the URL)
+
+    // 3D reference frame
+    // The physics always runs in the rotating frame; the lab view adds precession at a
+    // displayed Larmor frequency slowed far below the real γB0 (tens of MHz)
+    labFrame: false,
+    labLarmorHz: 50,      // Displayed Larmor frequency (Hz of simulated time)
+
+    // Receiver chain (samples the recorded signal of every module)
+    receiverEnabled: false,
+    rxDwell: 1.0,         // ADC dwell time (ms); receiver bandwidth = 1/dwell
+    rxFilter: true,       // Low-pass filter: integrate over each dwell before sampling
+    rxNoise: 0.02,        // Thermal noise σ per sample at 1 ms dwell (fraction of M0)
+    rxNEX: 1,             // Number of averages
+    rxOffset: 0,          // Receiver frequency offset (Hz): the FID is demodulated off resonance
 
     // Module A: B0 Alignment
     // T1 = 500ms for educational demo (faster to observe recovery)
@@ -36,9 +112,30 @@ const CONFIG = {
     // Module B: FID
     flipAngle: 90,        // degrees (moved from Module A)
 
+    // Module B: RF pulse shape
+    // 'instant' = ideal rotation; other shapes are integrated step by step
+    rfShape: 'instant',   // 'instant', 'block', 'sinc', 'gaussian', 'custom', 'hs'
+    rfDuration: 4,        // ms
+    rfTBW: 4,             // time-bandwidth product (sinc/Gaussian)
+    rfCustomEnvelope: [0, 0.5, 1, 0.5, 0],
+    rfSlowMotion: 0.04,   // Time scale while an RF pulse plays (so nutation is visible)
+    b1Scale: 1.0,         // Transmit B1 error: actual / nominal B1 amplitude
+    hsPeakB1: 800,        // Adiabatic HS pulse: peak B1 (Hz, γB1/2π)
+    hsMu: 5,              // HS frequency-sweep factor μ (sweep BW = μβ/π)
+    hsBeta: 5.3,          // HS truncation: envelope falls to sech(5.3) ≈ 1% at the pulse edges
+
     // Module B: Ensemble
     numSpins: 100,
-    freqSpread: 30,       // Hz (determines T2*)
+    freqSpread: 30,       // Hz (determines T2*): Gaussian σ or Lorentzian HWHM
+    lineshape: 'gaussian', // Off-resonance distribution: 'gaussian', 'lorentzian' or 'custom'
+    // User-drawn density (default: two lines at ±1.5 × spread)
+    lineshapeCustom: Array.from({ length: LINESHAPE_CUSTOM_BINS }, (_, k) => {
+        const x = (k + 0.5) / LINESHAPE_CUSTOM_BINS * 2 * LINESHAPE_CUSTOM_RANGE - LINESHAPE_CUSTOM_RANGE;
+        return Math.exp(-2 * (x - 1.5) ** 2) + Math.exp(-2 * (x + 1.5) ** 2);
+    }),
+    speciesMix: 'single', // 'single', 'water-fat' or 'water-fat6'
+    fatFraction: 0.3,     // Proton density fraction of fat in the water/fat mix
+    speciesTimeScale: 0.1, // Slow motion so the fat/water beat (a few ms) can be followed
     T2ensemble: 100,      // ms (intrinsic T2)
     showIndividual: true,
 
@@ -49,13 +146,40 @@ const CONFIG = {
     // - TE = 60ms gives enough time to see dephasing and rephasing
     // - T2 = 200ms (long) so SE echo amplitude is high
     // - T2* = 30ms (short) so GRE echo is visibly lower than SE (T2* weighting)
-    echoType: 'spin',     // 'spin' or 'gradient'
+    echoType: 'spin',     // 'spin', 'gradient', 'multi' or 'stimulated'
     TE: 60,               // ms
     T2echo: 200,          // ms (long T2 for strong SE echo)
     T2starEcho: 30,       // ms (short T2* - shows GRE vs SE difference)
     T2starEchoSE: 30,     // Saved T2* for Spin Echo
     T2starEchoGRE: 100,   // Saved T2* for Gradient Echo (longer for visible echo)
 
+    // Module C: Multi-echo (CP/CPMG) train
+    // Refocusing pulses at ESP/2 + k·ESP, echoes at k·ESP
+    // CPMG refocuses about y' (parallel to M after the 90°x) → robust to flip-angle errors
+    // CP refocuses about x' (perpendicular) → errors accumulate
+    numEchoes: 8,
+    echoSpacing: 10,      // ms (ESP)
+    refocusScheme: 'cpmg', // 'cpmg' (90° phase) or 'cp' (0° phase)
+    refocusFlip: 180,     // degrees
+    showEPGStates: false, // Analysis panel: EPG configuration states instead of echo amplitudes
+    echoTrainDephasingHz: 400, // Intravoxel spread (crusher/readout gradient) so echo pathways separate
+
+    // Module C: Three-pulse stimulated echo (90° - τ1 - 90° - τ2 - 90°)
+    // Hahn echoes decay with T2; the stimulated echo is stored along z during τ2 → T1 decay
+    tau1: 15,             // ms
+    tau2: 40,             // ms
+    T1echo: 500,          // ms (T1 matters for the stimulated echo)
+
+    // Module C: Diffusion-weighted spin echo (Stejskal-Tanner)
+    // Two equal gradient lobes (amplitude G, duration δ, separation Δ) around the 180°:
+    // static spins refocus, moving spins keep a random phase → S = S0 · exp(-b · ADC)
+    // b = γ² G² δ² (Δ - δ/3)
+    diffusionADC: 1.0,    // 10⁻³ mm²/s (free water at 37 °C ≈ 3.0, brain tissue ≈ 0.8)
+    diffusionG: 40,       // mT/m
+    diffusionDelta: 20,   // ms (δ, lobe duration)
+    diffusionSpacing: 40, // ms (Δ, lobe onset separation)
+    diffusionSweepSpins: 500, // Isochromats per point of the b-value sweep
+
     // Module D: GRE Variants (Spoiled vs SSFP)
     // Multi-TR simulation to show steady-state magnetization
     greType: 'spoiled',   // 'spoiled' or 'ssfp'
@@ -65,374 +189,78 @@ const CONFIG = {
     T2D: 80,              // ms (typical tissue T2)
     numTR: 8,             // Number of TR cycles to simulate
 
+    // Module D: Spoiling (spoiled GRE only)
+    // RF spoiling: quadratic phase schedule φn = Δ · n(n+1)/2, receiver follows the RF phase
+    // 117° (or 50°) scatters the leftover coherences; 0° leaves them to build up → residual T2 weighting
+    spoilMode: 'rf',      // 'rf' (RF + gradient spoiling), 'gradient' (spoiler only) or 'ideal' (Mxy zeroed before each pulse)
+    rfSpoilIncrement: 117, // degrees (Δ)
+    spoilerCycles: 1,     // Gradient spoiler moment per TR (cycles of phase across the voxel)
+    greVoxelSpins: 100,   // Isochromats spread evenly across the voxel (spoiled GRE)
+    greAnalysisView: 'states', // 'states' (EPG diagram), 'flip' (steady state vs flip angle), 'frequency' or 'transient' (bSSFP)
+
+    // Module D: bSSFP off-resonance
+    // The steady state repeats every 1/TR in frequency; dark bands sit where the spins
+    // precess by (2k+1)·180° + Δφ per TR. RF phase cycling by Δφ shifts the bands by Δφ/(2π·TR)
+    ssfpPhaseCycle: 180,  // RF phase increment per TR (degrees); 180° centres the passband on resonance
+    ssfpOffResonance: 0,  // Hz, centre frequency of the simulated ensemble
+
+    // Module D: bSSFP catalyzation (how the transient approaches the steady state)
+    // 'half' = α/2 pulse TR/2 before the train; ramps raise the flip angle over the first pulses
+    ssfpPrep: 'none',     // 'none', 'half', 'linear' or 'kaiser'
+    ssfpRampLength: 10,   // Ramp pulses before the first full α
+    ssfpKaiserBeta: 3,    // Kaiser window shape of the Kaiser ramp
+
+    // Module E: Slice Selection
+    // Isochromats along z under a slice-select gradient
+    // Gss = BW_rf / (γ · thickness); rephasing lobe area 50% of slice-select area is ideal
+    sliceShape: 'sinc',   // 'sinc', 'gaussian', 'block'
+    sliceFlipAngle: 90,   // degrees
+    sliceDuration: 3,     // ms
+    sliceTBW: 4,
+    sliceThickness: 5,    // mm
+    sliceRephase: 50,     // % of slice-select gradient area
+    sliceNumSpins: 61,    // isochromats across the field of view
+    sliceTimeScale: 0.1,  // Slow motion for the rephasing lobe
+
+    // Module F: Magnetization transfer (Bloch–McConnell pools)
+    mtT1Free: 1000,        // ms
+    mtT2Free: 70,          // ms
+    mtBoundFraction: 0.12, // Bound macromolecular pool, fraction of total M0
+    mtBoundExchange: 25,   // Exchange rate bound → free (s⁻¹)
+    mtBoundT1: 1000,       // ms
+    mtBoundT2: 0.012,      // ms (≈12 µs, super-Lorentzian line)
+    mtBoundOffset: -2.4,   // ppm (centre of the macromolecular line)
+    mtCestFraction: 0.01,  // Amide-like solute pool, fraction of total M0
+    mtCestExchange: 50,    // Exchange rate solute → free (s⁻¹)
+    mtCestT2: 10,          // ms
+    mtCestOffset: 3.5,     // ppm
+    mtSatB1: 0.5,          // Saturation amplitude (µT)
+    mtSatOffset: 15,       // Saturation offset from water (ppm)
+    mtSatDuration: 2000,   // ms
+    mtRecoveryTime: 2000,  // ms of recovery shown after saturation
+    mtTimeScale: 20,       // Fast forward: saturation and recovery last seconds
+
+    // Module G: Inversion recovery
+    irTI: 500,            // Inversion time (ms)
+    irCustomT1: 1200,     // ms, T1 of the custom tissue
+    irReconstruction: 'magnitude', // 'magnitude' or 'phase' (phase-sensitive)
+    irReadoutWindow: 300, // ms shown after the readout pulse
+    irTimeScale: 10,      // Fast forward: TI runs up to seconds
+
+    // Module I: Spin lock
+    slB1: 500,            // Lock amplitude γB1/2π (Hz)
+    slDuration: 40,       // Spin-lock time TSL (ms)
+    slT1: 1000,           // ms
+    slT2: 50,             // ms
+    slT1rhoInf: 120,      // T1ρ once exchange is fully suppressed (ms)
+    slTauEx: 0.5,         // Exchange correlation time (ms), sets the dispersion midpoint 1/(2π·τex)
+    slFreqSpread: 20,     // Hz, off-resonance spread the lock has to overcome
+    slRecovery: 50,       // ms shown after the tip-up
+
     // Current module
     currentModule: 'A'
 };
 
-// ============================================================================
-// SPIN CLASS - Represents a single nuclear spin
-// ============================================================================
-
-class Spin {
-    constructor(T1, T2, deltaOmega = 0, B0 = 1.5) {
-        // Magnetization components (normalized to M0 = 1)
-        this.Mx = 0;
-        this.My = 0;
-        this.Mz = 1.0;  // Equilibrium along B0
-
-        // Relaxation times
-        this.T1 = T1;
-        this.T2 = T2;
-
-        // B0 inhomogeneity offset (Hz) - causes T2* decay
-        // This is FIXED and NOT refocused by gradient reversal
-        this.deltaOmegaB0 = deltaOmega;
-
-        // Gradient-induced frequency offset (Hz)
-        // This IS refocused by gradient reversal (sign flip)
-        this.deltaOmegaGrad = 0;
-        this.gradientSign = 1;
-
-        // B0 field strength (Tesla)
-        this.B0 = B0;
-
-        // Phase accumulation
-        this.phase = 0;
-    }
-
-    /**
-     * Get total frequency offset (B0 inhomogeneity + gradient)
-     */
-    getTotalDeltaOmega() {
-        return this.deltaOmegaB0 + (this.deltaOmegaGrad * this.gradientSign);
-    }
-
-    /**
-     * Apply RF pulse (instantaneous rotation)
-     * @param {number} flipAngle - Flip angle in degrees
-     * @param {number} phaseAngle - Phase of RF pulse in degrees (0 = along x)
-     */
-    applyRFPulse(flipAngle, phaseAngle = 0) {
-        const alpha = flipAngle * Math.PI / 180;
-        const phi = phaseAngle * Math.PI / 180;
-
-        // Current magnetization
-        const Mx0 = this.Mx;
-        const My0 = this.My;
-        const Mz0 = this.Mz;
-
-        // Rotation about axis in xy-plane at angle phi from x-axis
-        // Using rotation matrix for arbitrary axis
-        const cosA = Math.cos(alpha);
-        const sinA = Math.sin(alpha);
-        const cosPhi = Math.cos(phi);
-        const sinPhi = Math.sin(phi);
-
-        // Rotation axis is (cos(phi), sin(phi), 0)
-        // Apply Rodrigues' rotation formula
-        const ux = cosPhi, uy = sinPhi, uz = 0;
-
-        this.Mx = (cosA + ux * ux * (1 - cosA)) * Mx0 +
-            (ux * uy * (1 - cosA) - uz * sinA) * My0 +
-            (ux * uz * (1 - cosA) + uy * sinA) * Mz0;
-
-        this.My = (uy * ux * (1 - cosA) + uz * sinA) * Mx0 +
-            (cosA + uy * uy * (1 - cosA)) * My0 +
-            (uy * uz * (1 - cosA) - ux * sinA) * Mz0;
-
-        this.Mz = (uz * ux * (1 - cosA) - uy * sinA) * Mx0 +
-            (uz * uy * (1 - cosA) + ux * sinA) * My0 +
-            (cosA + uz * uz * (1 - cosA)) * Mz0;
-    }
-
-    /**
-     * Evolve magnetization using Bloch equations
-     * In rotating frame at Larmor frequency
-     * @param {number} dt - Time step in ms
-     */
-    evolve(dt) {
-        // Convert dt to seconds for calculation
-        const dtSec = dt / 1000;
-
-        // Precession due to total frequency offset (B0 inhomogeneity + gradient)
-        // Both components contribute to phase accumulation
-        const totalDeltaOmega = this.getTotalDeltaOmega();
-        const dPhi = 2 * Math.PI * totalDeltaOmega * dtSec;
-        this.phase += dPhi;
-
-        // Rotation due to off-resonance
-        const Mx0 = this.Mx;
-        const My0 = this.My;
-        this.Mx = Mx0 * Math.cos(dPhi) - My0 * Math.sin(dPhi);
-        this.My = Mx0 * Math.sin(dPhi) + My0 * Math.cos(dPhi);
-
-        // T2 relaxation (transverse decay)
-        const E2 = Math.exp(-dt / this.T2);
-        this.Mx *= E2;
-        this.My *= E2;
-
-        // T1 relaxation (longitudinal recovery)
-        const E1 = Math.exp(-dt / this.T1);
-        this.Mz = this.Mz * E1 + (1 - E1);
-    }
-
-    /**
-     * Get transverse magnetization magnitude
-     */
-    getMxy() {
-        return Math.sqrt(this.Mx * this.Mx + this.My * this.My);
-    }
-
-    /**
-     * Get phase angle in xy-plane
-     */
-    getPhase() {
-        return Math.atan2(this.My, this.Mx);
-    }
-
-    /**
-     * Reset to equilibrium
-     */
-    reset() {
-        this.Mx = 0;
-        this.My = 0;
-        this.Mz = 1.0;
-        this.phase = 0;
-        // Reset gradient state but keep B0 inhomogeneity
-        this.deltaOmegaGrad = 0;
-        this.gradientSign = 1;
-    }
-
-    /**
-     * Invert phase (180° pulse effect on phase)
-     * Used for spin echo - inverts ALL accumulated phase
-     */
-    invertPhase() {
-        this.phase = -this.phase;
-        // Also invert the actual magnetization phase
-        const currentPhase = Math.atan2(this.My, this.Mx);
-        const Mxy = this.getMxy();
-        const newPhase = -currentPhase;
-        this.Mx = Mxy * Math.cos(newPhase);
-        this.My = Mxy * Math.sin(newPhase);
-    }
-
-    /**
-     * Set gradient frequency offset (Hz)
-     * For gradient echo, this creates additional dephasing that can be refocused
-     */
-    setGradient(gradFreq) {
-        this.deltaOmegaGrad = gradFreq;
-    }
-
-    /**
-     * Toggle gradient direction (for gradient echo refocusing)
-     * ONLY affects gradient-induced offset, NOT B0 inhomogeneity
-     */
-    toggleGradient() {
-        this.gradientSign *= -1;
-    }
-
-    /**
-     * Restore gradient to original direction
-     */
-    restoreGradient() {
-        this.gradientSign = 1;
-    }
-}
-
-// ============================================================================
-// SPIN ENSEMBLE - Collection of spins for FID simulation
-// ============================================================================
-
-class SpinEnsemble {
-    constructor(numSpins, T1, T2, freqSpread, B0 = 1.5) {
-        this.numSpins = numSpins;
-        this.T1 = T1;
-        this.T2 = T2;
-        this.freqSpread = freqSpread;
-        this.B0 = B0;
-        this.spins = [];
-
-        this.createSpins();
-    }
-
-    createSpins() {
-        this.spins = [];
-        for (let i = 0; i < this.numSpins; i++) {
-            // Gaussian distribution of frequency offsets
-            const u1 = Math.random();
-            const u2 = Math.random();
-            const z = Math.sqrt(-2 * Math.log(u1 || 0.0001)) * Math.cos(2 * Math.PI * u2);
-            const deltaOmega = z * this.freqSpread;
-
-            this.spins.push(new Spin(this.T1, this.T2, deltaOmega, this.B0));
-        }
-    }
-
-    applyRFPulse(flipAngle, phaseAngle = 0) {
-        this.spins.forEach(spin => spin.applyRFPulse(flipAngle, phaseAngle));
-    }
-
-    evolve(dt) {
-        this.spins.forEach(spin => spin.evolve(dt));
-    }
-
-    reset() {
-        this.spins.forEach(spin => spin.reset());
-    }
-
-    /**
-     * Update T2 for all spins (for interactive control)
-     */
-    setT2(newT2) {
-        this.T2 = newT2;
-        this.spins.forEach(spin => {
-            spin.T2 = newT2;
-        });
-    }
-
-    /**
-     * Update T1 for all spins
-     */
-    setT1(newT1) {
-        this.T1 = newT1;
-        this.spins.forEach(spin => {
-            spin.T1 = newT1;
-        });
-    }
-
-    /**
-     * Update B0 for all spins (affects precession rate scaling)
-     */
-    setB0(newB0) {
-        this.B0 = newB0;
-        this.spins.forEach(spin => {
-            spin.B0 = newB0;
-        });
-    }
-
-    /**
-     * Apply gradient to all spins
-     * Gradient creates spatial-dependent frequency offset (independent of B0 inhomogeneity)
-     * For simulation, we create a separate gradient offset distribution
-     * @param {number} gradientStrength - Frequency spread for gradient (Hz)
-     */
-    applyGradient(gradientStrength = 1.0) {
-        this.spins.forEach((spin, i) => {
-            // Create gradient offset INDEPENDENT of B0 inhomogeneity
-            // Use spin index to create a spread of gradient-induced offsets
-            // This simulates spatial position along the gradient direction
-            const normalizedPos = (i / (this.numSpins - 1)) * 2 - 1; // Range: -1 to +1
-            const gradOffset = normalizedPos * this.freqSpread * gradientStrength;
-            spin.setGradient(gradOffset);
-        });
-    }
-
-    /**
-     * Toggle gradient direction for all spins (for GRE refocusing)
-     * Only affects gradient-induced offset, NOT B0 inhomogeneity
-     */
-    toggleGradient() {
-        this.spins.forEach(spin => spin.toggleGradient());
-    }
-
-    /**
-     * Restore gradient to original direction for all spins
-     */
-    restoreGradient() {
-        this.spins.forEach(spin => spin.restoreGradient());
-    }
-
-    /**
-     * Clear gradient offset (back to pure B0 inhomogeneity)
-     */
-    clearGradient() {
-        this.spins.forEach(spin => spin.setGradient(0));
-    }
-
-    /**
-     * Apply gradient with fixed frequency spread (Hz)
-     * Independent of B0 inhomogeneity settings
-     * @param {number} freqSpreadHz - Total frequency spread in Hz
-     */
-    applyGradientFixed(freqSpreadHz) {
-        this.spins.forEach((spin, i) => {
-            // Create linear gradient offset based on position
-            const normalizedPos = (i / (this.numSpins - 1)) * 2 - 1; // Range: -1 to +1
-            const gradOffset = normalizedPos * freqSpreadHz / 2; // ±freqSpreadHz/2
-            spin.setGradient(gradOffset);
-        });
-    }
-
-    /**
-     * Get sum magnetization (macroscopic signal)
-     */
-    getSumMagnetization() {
-        let sumMx = 0, sumMy = 0, sumMz = 0;
-        this.spins.forEach(spin => {
-            sumMx += spin.Mx;
-            sumMy += spin.My;
-            sumMz += spin.Mz;
-        });
-        return {
-            Mx: sumMx / this.numSpins,
-            My: sumMy / this.numSpins,
-            Mz: sumMz / this.numSpins
-        };
-    }
-
-    /**
-     * Get phase coherence (0-100%)
-     */
-    getPhaseCoherence() {
-        const sum = this.getSumMagnetization();
-        const sumMxy = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
-
-        // Average individual Mxy
-        let avgIndividualMxy = 0;
-        this.spins.forEach(spin => {
-            avgIndividualMxy += spin.getMxy();
-        });
-        avgIndividualMxy /= this.numSpins;
-
-        if (avgIndividualMxy < 0.001) return 0;
-        return Math.min(100, (sumMxy / avgIndividualMxy) * 100);
-    }
-
-    invertPhases() {
-        this.spins.forEach(spin => spin.invertPhase());
-    }
-
-    /**
-     * Randomize all spin orientations (B0 OFF state)
-     * Each spin points in a random direction on the unit sphere
-     */
-    randomizeOrientations() {
-        this.spins.forEach(spin => {
-            // Random point on unit sphere using spherical coordinates
-            const theta = Math.random() * 2 * Math.PI;  // azimuthal angle
-            const phi = Math.acos(2 * Math.random() - 1);  // polar angle (uniform on sphere)
-
-            spin.Mx = Math.sin(phi) * Math.cos(theta);
-            spin.My = Math.sin(phi) * Math.sin(theta);
-            spin.Mz = Math.cos(phi);
-            spin.phase = theta;
-        });
-    }
-
-    /**
-     * Get average Mz (for alignment visualization)
-     */
-    getAverageMz() {
-        let sumMz = 0;
-        this.spins.forEach(spin => {
-            sumMz += spin.Mz;
-        });
-        return sumMz / this.numSpins;
-    }
-}
-
 // ============================================================================
 // GLOBAL STATE
 // ============================================================================
@@ -451,12 +279,33 @@ let mxyData = [];
 let mzData = [];
 let signalReData = [];
 let signalImData = [];
+let b1Data = [];       // { x, y } points of normalized RF amplitude
+
+// Receiver output: ADC samples of signalReData/signalImData with filtering and noise
+let rxTimeData = [];
+let rxReData = [];
+let rxImData = [];
+let rxState = null;    // Sampling progress through the recorded buffers
+
+// Finite-duration RF pulse currently playing (null when idle)
+// { pulse: RFPulse, elapsed: ms, onComplete: function, onStep: function }
+let activeRFPulse = null;
 
 // Echo sequence state
 let echoSequenceState = 'idle'; // 'idle', 'dephasing', 'refocusing', 'echo', 'done'
 let echoSequenceTime = 0;
 let gradientFlipped = false; // Track if gradient has been flipped
 
+// Scheduled Module C events (multi-echo trains): { time, action } sorted by time
+// Steps are split exactly at event times so echo amplitudes are sampled at the peak
+let echoEvents = [];
+let echoEventIndex = 0;
+let echoAmplitudes = [];     // Measured echo peaks: { time, amplitude }
+let echoComparison = null;   // Echo train of the other refocusing scheme (same spins)
+let echoPathways = [];       // Stimulated echo experiment: expected pathways with measured amplitudes
+let diffusionSweep = [];     // Diffusion: simulated echo amplitude per b-value { b, amplitude }
+let diffusionRunEcho = null; // Diffusion: echo amplitude of the animated run
+
 // Module D: GRE multi-TR state
 let greSequenceState = 'idle'; // 'idle', 'running', 'done'
 let currentTRIndex = 0;        // Which TR we're in (0 to numTR-1)
@@ -464,6 +313,39 @@ let timeInTR = 0;              // Time within current TR
 let rfPhase = 0;               // RF phase for spoiling (changes each TR)
 let steadyStateMxy = [];       // Store Mxy at each TR for plotting approach to steady-state
 let steadyStateMz = [];        // Store Mz at each TR
+let grePulseTrain = [];        // bSSFP pulses of the current run: { flip, phase, interval, imaging, label }
+let epgMxyData = [];           // EPG prediction overlaid on the Mxy chart ({ x, y })
+let epgMzData = [];            // EPG prediction overlaid on the Mz chart ({ x, y })
+
+// Module E: Slice selection state
+let sliceSequenceState = 'idle'; // 'idle', 'excite', 'rephase', 'done'
+let sliceGradient = 0;           // Slice-select gradient amplitude (mT/m)
+let sliceRephaseTime = 0;        // Time spent in the rephasing lobe (ms)
+let sliceRephaseDuration = 0;    // Duration of the rephasing lobe (ms)
+
+// Module F: Magnetization transfer state
+let mtModel = null;            // BlochMcConnell pools (created by initModuleF)
+let mtSequenceState = 'idle';  // 'idle', 'saturate', 'recover'
+let mtTime = 0;                // Time since the saturation pulse started (ms)
+let mtSaturatedMz = null;      // Free-water Mz/M0 at the end of the last saturation
+let poolArrows = [];           // 3D Mz arrows for the bound and CEST pools
+let boundMzData = [];          // Bound-pool Mz/M0 trace (Mz chart)
+
+// Module G: Inversion recovery state
+let irSequenceState = 'idle';  // 'idle', 'recovery', 'readout'
+let irTime = 0;                // Time since the inversion pulse (ms)
+let irTraces = [];             // Per-tissue Mz(t) during recovery ({ x, y } points)
+let irNullTimes = [];          // Detected zero crossing of each tissue (ms, null until found)
+let irReadout = null;          // Per-tissue transverse magnetization right after the readout pulse
+
+// Module H: Sequence scripting state
+let scriptSim = null;          // BlochSimulation playing the script (null when idle)
+let scriptHistoryIndex = 0;    // Next history sample to copy into the chart buffers
+
+// Module I: Spin lock state
+let slSequenceState = 'idle';  // 'idle', 'lock', 'recovery'
+let slTime = 0;                // Time since the tip-down (ms)
+let slPrepared = null;         // Mz/M0 right after the tip-up of the last run
 
 // Event markers for chart annotations (RF pulses, gradients)
 let eventMarkers = []; // Array of { time, type, label }
@@ -478,11 +360,14 @@ let sumArrow = null;        // Sum magnetization arrow (white - total M)
 let mxyArrow = null;        // Transverse component arrow (cyan - Mxy in xy plane)
 let mzArrow = null;         // Longitudinal component arrow (blue - Mz along z)
 let b0Arrow = null;         // B0 field indicator
+let b1Arrow = null;         // B1 field indicator (visible while an RF pulse plays)
 let xyPlane = null;         // XY plane visualization
 let netMagArrowA = null;    // Net magnetization arrow for Module A
 
 // Chart.js instances
 let chartMxy, chartMz, chartSignal;
+let chartAnalysis;          // Module-specific analysis plot (e.g. slice profile)
+let chartSpectrum;          // Fourier transform of the recorded FID
 
 // Animation
 let animationId = null;
@@ -567,6 +452,11 @@ function init3D() {
     b0Arrow = new THREE.ArrowHelper(b0Dir, new THREE.Vector3(1.3, 0, 0), 1.2, 0xffff00, 0.15, 0.1);
     scene.add(b0Arrow);
 
+    // B1 arrow (in the transverse plane, shown only during RF pulses)
+    b1Arrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 0, 0), 1.0, 0xf59e0b, 0.12, 0.08);
+    b1Arrow.visible = false;
+    scene.add(b1Arrow);
+
     // Create axis labels
     createAxisLabels();
 
@@ -627,7 +517,7 @@ function createAxisLabels() {
  * @param {number} dt - Time step in ms
  */
 function updateSignalPanelGlow(mxy, dt) {
-    const signalPanel = document.querySelector('.signal-panel:last-child');
+    const signalPanel = document.getElementById('signal-panel-fid');
     if (!signalPanel) return;
 
     // Compute |dMxy/dt| - rate of change of transverse magnetization
@@ -674,8 +564,8 @@ function createAlignmentArrows(numSpins) {
     // Create individual spin arrows (green, smaller)
     for (let i = 0; i < numSpins; i++) {
         // Random initial direction
-        const theta = Math.random() * 2 * Math.PI;
-        const phi = Math.acos(2 * Math.random() - 1);
+        const theta = seededRandom() * 2 * Math.PI;
+        const phi = Math.acos(2 * seededRandom() - 1);
         const dir = new THREE.Vector3(
             Math.sin(phi) * Math.cos(theta),
             Math.sin(phi) * Math.sin(theta),
@@ -703,6 +593,50 @@ function createAlignmentArrows(numSpins) {
     scene.add(netMagArrowA);
 }
 
+/**
+ * Angle (rad) between the rotating frame and the lab frame at the current time
+ * Zero in the rotating-frame view (and in Module A while B0 is off)
+ */
+function getLabFrameAngle() {
+    if (!CONFIG.labFrame) return 0;
+    if (CONFIG.currentModule === 'A' && !b0IsOn) return 0;
+    return 2 * Math.PI * CONFIG.labLarmorHz * CONFIG.currentTime / 1000;
+}
+
+/**
+ * Convert a rotating-frame vector into the frame shown in the 3D view
+ * @returns {THREE.Vector3}
+ */
+function toDisplayVector(x, y, z) {
+    const angle = getLabFrameAngle();
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return new THREE.Vector3(x * c - y * s, x * s + y * c, z);
+}
+
+/**
+ * Update the frame label and the Larmor scaling note
+ */
+function updateFrameDisplay() {
+    document.getElementById('lab-frame-controls').style.display = CONFIG.labFrame ? 'block' : 'none';
+    document.getElementById('view-label').textContent = CONFIG.labFrame
+        ? `Lab Frame (ω₀ shown as ${CONFIG.labLarmorHz} Hz)`
+        : 'Rotating Frame (ω₀)';
+    const slowdown = (GAMMA * CONFIG.B0 * 1e6) / CONFIG.labLarmorHz;
+    document.getElementById('lab-frame-note').textContent =
+        `True ω₀/2π = ${(GAMMA * CONFIG.B0).toFixed(1)} MHz at ${CONFIG.B0} T (slowed ${slowdown.toExponential(1)}×)`;
+}
+
+/**
+ * Redraw the 3D arrows after a display-frame change
+ */
+function refreshArrows() {
+    if (CONFIG.currentModule === 'A') {
+        updateAlignmentArrows();
+    } else {
+        updateEnsembleArrows();
+    }
+}
+
 /**
  * Update alignment arrows to match ensemble spin orientations
  */
@@ -712,7 +646,7 @@ function updateAlignmentArrows() {
     // Update individual arrows
     alignmentEnsemble.spins.forEach((spin, i) => {
         if (alignmentArrows[i]) {
-            const dir = new THREE.Vector3(spin.Mx, spin.My, spin.Mz);
+            const dir = toDisplayVector(spin.Mx, spin.My, spin.Mz);
             const length = dir.length();
             if (length > 0.001) {
                 dir.normalize();
@@ -727,7 +661,7 @@ function updateAlignmentArrows() {
     // For N=100 random spins: |M| ~ 0.1
     // After alignment: |M| approaches 1.0 (all spins along +z)
     const sum = alignmentEnsemble.getSumMagnetization();
-    const sumDir = new THREE.Vector3(sum.Mx, sum.My, sum.Mz);
+    const sumDir = toDisplayVector(sum.Mx, sum.My, sum.Mz);
     const sumLength = sumDir.length();
 
     // Show arrow based on Mz alignment (what we're visualizing)
@@ -762,14 +696,14 @@ function createEnsembleArrows() {
     if (mzArrow) scene.remove(mzArrow);
 
     // Create individual spin arrows
-    const arrowLength = 0.8;
-    ensemble.spins.forEach((spin) => {
+    const arrowLength = getSpinArrowLength();
+    ensemble.spins.forEach((spin, i) => {
         const dir = new THREE.Vector3(spin.Mx, spin.My, spin.Mz).normalize();
         const arrow = new THREE.ArrowHelper(
             dir,
-            new THREE.Vector3(0, 0, 0),
+            getSpinArrowOrigin(i),
             arrowLength,
-            0x10b981,
+            getSpinColor(spin, i),
             0.08,
             0.05
         );
@@ -809,18 +743,37 @@ function createEnsembleArrows() {
 }
 
 
+/**
+ * Arrow origin for spin i
+ * Module E lays isochromats out along the scene x-axis so the slice is visible,
+ * Module G does the same for its tissues; every other module draws all spins from the origin
+ */
+function getSpinArrowOrigin(i) {
+    if (!['E', 'G'].includes(CONFIG.currentModule) || ensemble.numSpins < 2) {
+        return new THREE.Vector3(0, 0, 0);
+    }
+    const normalizedPos = (i / (ensemble.numSpins - 1)) * 2 - 1; // -1 to +1
+    return new THREE.Vector3(normalizedPos * 1.4, 0, 0);
+}
+
+function getSpinArrowLength() {
+    return ['E', 'G'].includes(CONFIG.currentModule) ? 0.45 : 0.8;
+}
+
 function updateEnsembleArrows() {
     // Update individual arrows
+    const arrowLength = getSpinArrowLength();
     ensemble.spins.forEach((spin, i) => {
         if (spinArrows[i]) {
-            const dir = new THREE.Vector3(spin.Mx, spin.My, spin.Mz);
+            const dir = toDisplayVector(spin.Mx, spin.My, spin.Mz);
             const length = dir.length();
             if (length > 0.001) {
                 dir.normalize();
                 spinArrows[i].setDirection(dir);
-                spinArrows[i].setLength(length * 0.8, 0.08, 0.05);
+                spinArrows[i].setLength(length * arrowLength, 0.08, 0.05);
             }
-            spinArrows[i].visible = CONFIG.showIndividual;
+            // Module G arrows are the tissues themselves
+            spinArrows[i].visible = CONFIG.showIndividual || CONFIG.currentModule === 'G';
         }
     });
 
@@ -831,7 +784,7 @@ function updateEnsembleArrows() {
     const mxyMag = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
     if (mxyArrow) {
         if (mxyMag > 0.02) {
-            const mxyDir = new THREE.Vector3(sum.Mx, sum.My, 0).normalize();
+            const mxyDir = toDisplayVector(sum.Mx, sum.My, 0).normalize();
             mxyArrow.setDirection(mxyDir);
             mxyArrow.setLength(Math.min(mxyMag, 1.0), 0.12, 0.06);
             mxyArrow.visible = true;
@@ -857,7 +810,7 @@ function updateEnsembleArrows() {
     const sumMag = Math.sqrt(sum.Mx*sum.Mx + sum.My*sum.My + sum.Mz*sum.Mz);
     if (sumArrow) {
         if (sumMag > 0.02) {
-            const sumDir = new THREE.Vector3(sum.Mx, sum.My, sum.Mz).normalize();
+            const sumDir = toDisplayVector(sum.Mx, sum.My, sum.Mz).normalize();
             sumArrow.setDirection(sumDir);
             sumArrow.setLength(Math.min(sumMag, 1.0), 0.12, 0.06);
             sumArrow.visible = true;
@@ -865,6 +818,13 @@ function updateEnsembleArrows() {
             sumArrow.visible = false;
         }
     }
+
+    // A net vector across side-by-side tissues has no meaning
+    if (CONFIG.currentModule === 'G') {
+        [mxyArrow, mzArrow, sumArrow].forEach(arrow => {
+            if (arrow) arrow.visible = false;
+        });
+    }
 }
 
 function setupOrbitControls(container) {
@@ -952,6 +912,13 @@ function initCharts() {
                 borderWidth: 2,
                 pointRadius: 0,
                 tension: 0.1
+            }, {
+                label: 'EPG',
+                data: [],
+                borderColor: '#ffffff',
+                borderWidth: 1.5,
+                borderDash: [4, 3],
+                pointRadius: 0
             }]
         },
         options: { ...chartOptions }
@@ -968,13 +935,27 @@ function initCharts() {
                 borderWidth: 2,
                 pointRadius: 0,
                 tension: 0.1
+            }, {
+                label: 'EPG',
+                data: [],
+                borderColor: '#ffffff',
+                borderWidth: 1.5,
+                borderDash: [4, 3],
+                pointRadius: 0
+            }, {
+                label: 'Bound pool',
+                data: [],
+                borderColor: '#c084fc',
+                borderWidth: 1.5,
+                borderDash: [6, 3],
+                pointRadius: 0
             }]
         },
         options: {
             ...chartOptions,
             scales: {
                 ...chartOptions.scales,
-                y: { ...chartOptions.scales.y, min: -0.1, max: 1.1 }
+                y: { ...chartOptions.scales.y, min: -1.1, max: 1.1 }
             }
         }
     });
@@ -1007,6 +988,23 @@ function initCharts() {
                     borderWidth: 2,
                     pointRadius: 0,
                     tension: 0.1
+                },
+                {
+                    label: 'B₁',
+                    data: [],
+                    borderColor: '#f59e0b',
+                    borderWidth: 1.5,
+                    borderDash: [4, 3],
+                    pointRadius: 0,
+                    stepped: true
+                },
+                {
+                    label: 'RF (raw)',
+                    data: [],
+                    borderColor: 'rgba(148, 163, 184, 0.6)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    hidden: true
                 }
             ]
         },
@@ -1025,48 +1023,519 @@ function initCharts() {
             }
         }
     });
+
+    // Spectrum chart (FFT of the FID)
+    chartSpectrum = new Chart(document.getElementById('chart-spectrum'), {
+        type: 'line',
+        data: {
+            datasets: [{
+                label: 'Absorption',
+                data: [],
+                borderColor: '#ef4444',
+                borderWidth: 1.5,
+                pointRadius: 0
+            }, {
+                label: '|S(f)|',
+                data: [],
+                borderColor: '#ffffff',
+                borderWidth: 1,
+                pointRadius: 0
+            }, {
+                label: 'Lorentzian 1/(πT2*)',
+                data: [],
+                borderColor: '#f59e0b',
+                borderWidth: 1.5,
+                borderDash: [4, 3],
+                pointRadius: 0
+            }]
+        },
+        options: {
+            ...chartOptions,
+            scales: {
+                x: { ...chartOptions.scales.x, title: { ...chartOptions.scales.x.title, text: 'Frequency (Hz)' } },
+                y: { ...chartOptions.scales.y, min: -0.3, max: 1.1 }
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: { color: '#94a3b8', boxWidth: 12, padding: 8 }
+                }
+            }
+        }
+    });
+
+    // Analysis chart (module-specific; hidden until a module uses it)
+    chartAnalysis = new Chart(document.getElementById('chart-analysis'), {
+        type: 'line',
+        data: { datasets: [] },
+        options: {
+            ...chartOptions,
+            scales: {
+                x: { ...chartOptions.scales.x, title: { ...chartOptions.scales.x.title } },
+                y: { ...chartOptions.scales.y, title: { ...chartOptions.scales.y.title } }
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    // Datasets without a label (e.g. per-tissue live traces) stay out of the legend
+                    labels: { color: '#94a3b8', boxWidth: 12, padding: 8, filter: item => item.text !== '' }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Show or hide the analysis panel
+ * @param {string|null} title - Panel title, or null to hide the panel
+ * @param {string} equation - Optional equation/subtitle text
+ */
+function setAnalysisPanel(title, equation = '') {
+    const panel = document.getElementById('analysis-panel');
+    if (!title) {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = 'flex';
+    document.getElementById('analysis-title').textContent = title;
+    document.getElementById('analysis-equation').textContent = equation;
+}
+
+/**
+ * Replace the analysis chart contents
+ * @param {Object} config
+ * @param {string} config.xLabel - X-axis title
+ * @param {string} config.yLabel - Y-axis title
+ * @param {Array} config.datasets - Chart.js datasets ({ x, y } points)
+ * @param {Object} config.annotations - Chart.js annotation config
+ * @param {number} config.yMin - Y-axis minimum (auto if undefined)
+ * @param {number} config.yMax - Y-axis maximum (auto if undefined)
+ */
+function updateAnalysisChart({ xLabel, yLabel, datasets, annotations = {}, yMin, yMax }) {
+    chartAnalysis.data.datasets = datasets;
+    chartAnalysis.options.scales.x.title.text = xLabel;
+    chartAnalysis.options.scales.y.title.text = yLabel;
+    chartAnalysis.options.scales.y.min = yMin;
+    chartAnalysis.options.scales.y.max = yMax;
+    chartAnalysis.options.plugins.annotation = { annotations };
+    chartAnalysis.update('none');
 }
 
 function updateCharts() {
-    // Get annotations for Module C and D (both use event markers)
-    const annotations = (CONFIG.currentModule === 'C' || CONFIG.currentModule === 'D') ? getChartAnnotations() : {};
+    processReceiver();
+
+    // Get annotations for Modules C-G (all use event markers)
+    const annotations = ['C', 'D', 'E', 'F', 'G', 'H', 'I'].includes(CONFIG.currentModule) ? getChartAnnotations() : {};
 
     // Update Mxy chart with annotations
     chartMxy.data.datasets[0].data = timeData.map((t, i) => ({ x: t, y: mxyData[i] }));
+    chartMxy.data.datasets[1].data = epgMxyData;
     chartMxy.options.plugins.annotation = { annotations };
     chartMxy.update('none');
 
     // Update Mz chart with annotations
     chartMz.data.datasets[0].data = timeData.map((t, i) => ({ x: t, y: mzData[i] }));
+    chartMz.data.datasets[1].data = epgMzData;
+    chartMz.data.datasets[2].data = boundMzData;
     chartMz.options.plugins.annotation = { annotations };
     chartMz.update('none');
 
-    // Update Signal chart with annotations
-    chartSignal.data.datasets[0].data = timeData.map((t, i) => ({ x: t, y: signalReData[i] }));
-    chartSignal.data.datasets[1].data = timeData.map((t, i) => ({ x: t, y: signalImData[i] }));
+    // Update Signal chart with annotations (ADC samples when the receiver is on)
+    const received = getReceivedSignal();
+    chartSignal.data.datasets[0].data = received.time.map((t, i) => ({ x: t, y: received.re[i] }));
+    chartSignal.data.datasets[1].data = received.time.map((t, i) => ({ x: t, y: received.im[i] }));
     chartSignal.data.datasets[2].data = timeData.map((t, i) => ({ x: t, y: mxyData[i] }));
+    chartSignal.data.datasets[3].data = b1Data;
+    chartSignal.data.datasets[4].data = CONFIG.labFrame ? getRawRFSignal() : [];
+    chartSignal.data.datasets[4].hidden = !CONFIG.labFrame;
     chartSignal.options.plugins.annotation = { annotations };
     chartSignal.update('none');
 }
 
+// ============================================================================
+// RECEIVER CHAIN - Low-pass filter, ADC sampling and thermal noise
+// ============================================================================
+
+function resetReceiver() {
+    rxTimeData = [];
+    rxReData = [];
+    rxImData = [];
+    rxState = null;
+}
+
+/**
+ * Noise σ of one averaged ADC sample
+ * White thermal noise: filtered to 1/dwell it scales as 1/√dwell; unfiltered, the full
+ * simulation bandwidth (1/dt) folds into every sample. Averaging NEX scans divides by √NEX.
+ * @param {number} window - Dwell (filtered) or simulation step (unfiltered), ms
+ */
+function getReceiverNoiseSigma(window) {
+    return CONFIG.rxNoise / Math.sqrt(window * CONFIG.rxNEX);
+}
+
+/**
+ * Emit one ADC sample: NEX acquisitions with independent noise, averaged
+ */
+function pushReceiverSample(t, re, im, window) {
+    const sigma = CONFIG.rxNoise / Math.sqrt(window);
+    let noiseRe = 0, noiseIm = 0;
+    for (let n = 0; n < CONFIG.rxNEX; n++) {
+        noiseRe += randomGaussian() * sigma;
+        noiseIm += randomGaussian() * sigma;
+    }
+    rxTimeData.push(t);
+    rxReData.push(re + noiseRe / CONFIG.rxNEX);
+    rxImData.push(im + noiseIm / CONFIG.rxNEX);
+    rxState.noiseSumSq += (noiseRe * noiseRe + noiseIm * noiseIm) / (2 * CONFIG.rxNEX * CONFIG.rxNEX);
+}
+
+/**
+ * Feed newly recorded signal samples through the receiver
+ * Samples are taken every dwell on a fixed time grid. With the filter on, each sample is the
+ * mean of S(t) over its dwell (integrate-and-dump, response sinc(πf·dwell)); without it, S(t)
+ * is read at the sample instant, so off-resonance beyond ±1/(2·dwell) aliases at full amplitude.
+ */
+function processReceiver() {
+    if (!CONFIG.receiverEnabled) return;
+    const dwell = CONFIG.rxDwell;
+
+    for (let i = rxState ? rxState.index : 0; i < timeData.length; i++) {
+        // Demodulation with a mistuned reference leaves S(t) precessing at the offset
+        const t1 = timeData[i];
+        const phase = 2 * Math.PI * CONFIG.rxOffset * t1 / 1000;
+        const re1 = signalReData[i] * Math.cos(phase) - signalImData[i] * Math.sin(phase);
+        const im1 = signalReData[i] * Math.sin(phase) + signalImData[i] * Math.cos(phase);
+
+        // Start on the next grid point (again if the time axis restarts)
+        if (!rxState || t1 < rxState.lastTime) {
+            rxState = {
+                index: i + 1,
+                lastTime: t1, lastRe: re1, lastIm: im1,
+                nextSample: (Math.floor(t1 / dwell) + 1) * dwell,
+                accRe: 0, accIm: 0, accTime: 0,
+                noiseSumSq: rxState ? rxState.noiseSumSq : 0
+            };
+            continue;
+        }
+
+        let t0 = rxState.lastTime;
+        let re0 = rxState.lastRe;
+        let im0 = rxState.lastIm;
+        while (t1 >= rxState.nextSample) {
+            const u = (rxState.nextSample - t0) / ((t1 - t0) || 1);
+            const reS = re0 + u * (re1 - re0);
+            const imS = im0 + u * (im1 - im0);
+            const span = rxState.nextSample - t0;
+            rxState.accRe += 0.5 * (re0 + reS) * span;
+            rxState.accIm += 0.5 * (im0 + imS) * span;
+            rxState.accTime += span;
+
+            if (CONFIG.rxFilter) {
+                const window = rxState.accTime || dwell;
+                pushReceiverSample(rxState.nextSample, rxState.accRe / window, rxState.accIm / window, dwell);
+            } else {
+                pushReceiverSample(rxState.nextSample, reS, imS, t1 - rxState.lastTime || CONFIG.dt);
+            }
+            rxState.accRe = 0;
+            rxState.accIm = 0;
+            rxState.accTime = 0;
+            t0 = rxState.nextSample;
+            re0 = reS;
+            im0 = imS;
+            rxState.nextSample += dwell;
+        }
+        rxState.accRe += 0.5 * (re0 + re1) * (t1 - t0);
+        rxState.accIm += 0.5 * (im0 + im1) * (t1 - t0);
+        rxState.accTime += t1 - t0;
+        rxState.lastTime = t1;
+        rxState.lastRe = re1;
+        rxState.lastIm = im1;
+        rxState.index = i + 1;
+    }
+    updateReceiverReadout();
+}
+
+/**
+ * Signal as seen by the scanner: ADC samples with the receiver on, otherwise the recorded S(t)
+ * @returns {{ time: number[], re: number[], im: number[] }}
+ */
+function getReceivedSignal() {
+    if (CONFIG.receiverEnabled) return { time: rxTimeData, re: rxReData, im: rxImData };
+    return { time: timeData, re: signalReData, im: signalImData };
+}
+
+/**
+ * Show or hide the receiver controls, restyle the signal chart and restart sampling
+ */
+function updateReceiverControls() {
+    document.getElementById('rx-controls').style.display = CONFIG.receiverEnabled ? 'block' : 'none';
+    [0, 1].forEach(index => {
+        const dataset = chartSignal.data.datasets[index];
+        dataset.pointRadius = CONFIG.receiverEnabled ? 1.5 : 0;
+        dataset.tension = CONFIG.receiverEnabled ? 0 : 0.1;
+    });
+    resetReceiver();
+    updateCharts();
+    updateSpectrumChart();
+    updateReceiverReadout();
+}
+
+/**
+ * Bandwidth, expected noise and measured SNR of the receiver
+ * SNR is quoted for a full M0 signal; averaging NEX scans raises it by √NEX
+ */
+function updateReceiverReadout() {
+    const bandwidth = 1000 / CONFIG.rxDwell;
+    document.getElementById('rx-bandwidth-val').textContent =
+        `BW ${bandwidth.toFixed(0)} Hz (±${(bandwidth / 2).toFixed(0)} Hz Nyquist)`;
+    if (!CONFIG.receiverEnabled) return;
+
+    const window = CONFIG.rxFilter ? CONFIG.rxDwell : CONFIG.dt;
+    const sigma = getReceiverNoiseSigma(window);
+    const single = CONFIG.rxNoise / Math.sqrt(window);
+    let text = sigma > 0
+        ? `σ ${sigma.toFixed(3)} · SNR(M₀) ${(1 / single).toFixed(0)} × √${CONFIG.rxNEX} = ${(1 / sigma).toFixed(0)}`
+        : 'No noise';
+    if (sigma > 0 && rxReData.length > 0) {
+        const measured = Math.sqrt(rxState.noiseSumSq / rxReData.length);
+        text += ` · measured ${(1 / measured).toFixed(0)}`;
+    }
+    document.getElementById('rx-readout').textContent = text;
+}
+
+/**
+ * Receiver input before demodulation: Re{S(t) · e^(iω₀t)} at the displayed Larmor frequency
+ * The baseband samples are interpolated so each RF period gets several points
+ */
+function getRawRFSignal() {
+    const omega = 2 * Math.PI * CONFIG.labLarmorHz / 1000; // rad/ms
+    const step = 1000 / (CONFIG.labLarmorHz * 8);           // 8 points per period
+    const points = [];
+    const push = (t, re, im) => points.push({ x: t, y: re * Math.cos(omega * t) - im * Math.sin(omega * t) });
+
+    for (let i = 1; i < timeData.length; i++) {
+        const t0 = timeData[i - 1];
+        const t1 = timeData[i];
+        const n = Math.max(1, Math.ceil((t1 - t0) / step));
+        for (let j = 0; j < n; j++) {
+            const u = j / n;
+            push(t0 + u * (t1 - t0),
+                signalReData[i - 1] + u * (signalReData[i] - signalReData[i - 1]),
+                signalImData[i - 1] + u * (signalImData[i] - signalImData[i - 1]));
+        }
+    }
+    const last = timeData.length - 1;
+    if (last >= 0) push(timeData[last], signalReData[last], signalImData[last]);
+    return points;
+}
+
+/**
+ * In-place radix-2 FFT (length must be a power of two)
+ * Uses the e^(−iωt) kernel, so a spin precessing at +Δf gives a peak at +Δf
+ */
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+        const angle = -2 * Math.PI / len;
+        for (let i = 0; i < n; i += len) {
+            for (let k = 0; k < len / 2; k++) {
+                const wr = Math.cos(angle * k);
+                const wi = Math.sin(angle * k);
+                const a = i + k;
+                const b = a + len / 2;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+}
+
+/**
+ * Spectrum of the recorded FID (the ADC samples when the receiver is on)
+ * Samples after the last RF are resampled onto a uniform grid, phased so the first point is
+ * real, zero-filled ×2 and Fourier transformed. The absorption (real) spectrum carries the
+ * linewidth; T2* is read off the FID as the time where |S| falls to 1/e.
+ * @returns {Object|null} { freq (Hz), absorption, magnitude, fwhm (Hz), T2star (ms), resolution, nyquist (Hz) }
+ */
+function computeFIDSpectrum() {
+    const { time, re: sRe, im: sIm } = getReceivedSignal();
+    const rfEnd = b1Data.reduce((end, p) => (p.y !== 0 ? p.x : end), -Infinity);
+    const start = time.findIndex(t => t > rfEnd);
+    if (start < 0 || time.length - start < 8) return null;
+
+    const t0 = time[start];
+    const duration = time[time.length - 1] - t0;
+    const steps = time.slice(start + 1).map((t, i) => t - time[start + i]).sort((a, b) => a - b);
+    const dt = steps[Math.floor(steps.length / 2)];
+    if (!(dt > 0) || duration <= 0) return null;
+
+    // Uniform resampling (the time step follows the animation speed)
+    const count = Math.floor(duration / dt) + 1;
+    const size = 2 ** Math.ceil(Math.log2(2 * count));
+    const re = new Array(size).fill(0);
+    const im = new Array(size).fill(0);
+    let j = start;
+    for (let n = 0; n < count; n++) {
+        const t = t0 + n * dt;
+        while (j < time.length - 2 && time[j + 1] < t) j++;
+        const u = Math.min(1, Math.max(0, (t - time[j]) / ((time[j + 1] - time[j]) || 1)));
+        re[n] = sRe[j] + u * (sRe[j + 1] - sRe[j]);
+        im[n] = sIm[j] + u * (sIm[j + 1] - sIm[j]);
+    }
+
+    // Zero-order phase: rotate the first point onto the real axis
+    const phase0 = Math.atan2(im[0], re[0]);
+    const c = Math.cos(-phase0);
+    const s = Math.sin(-phase0);
+    for (let n = 0; n < count; n++) {
+        [re[n], im[n]] = [re[n] * c - im[n] * s, re[n] * s + im[n] * c];
+    }
+    // Half-weight first point so the absorption baseline is flat
+    re[0] *= 0.5;
+    im[0] *= 0.5;
+
+    // 1/e decay time of the FID envelope
+    const s0 = Math.hypot(sRe[start], sIm[start]);
+    let T2star = null;
+    for (let i = start + 1; i < time.length && s0 > 0; i++) {
+        const s1 = Math.hypot(sRe[i], sIm[i]) / s0;
+        if (s1 <= 1 / Math.E) {
+            const sPrev = Math.hypot(sRe[i - 1], sIm[i - 1]) / s0;
+            const u = (sPrev - 1 / Math.E) / ((sPrev - s1) || 1);
+            T2star = time[i - 1] + u * (time[i] - time[i - 1]) - t0;
+            break;
+        }
+    }
+
+    fft(re, im);
+
+    // fftshift to −Nyquist..+Nyquist
+    const df = 1000 / (size * dt);
+    const freq = [];
+    const absorption = [];
+    const magnitude = [];
+    for (let k = 0; k < size; k++) {
+        const idx = (k + size / 2) % size;
+        freq.push((k - size / 2) * df);
+        absorption.push(re[idx] * dt);
+        magnitude.push(Math.hypot(re[idx], im[idx]) * dt);
+    }
+
+    // Full width at half maximum of the tallest absorption peak
+    let peak = 0;
+    absorption.forEach((v, k) => { if (v > absorption[peak]) peak = k; });
+    const half = absorption[peak] / 2;
+    let lo = peak;
+    let hi = peak;
+    while (lo > 0 && absorption[lo] > half) lo--;
+    while (hi < size - 1 && absorption[hi] > half) hi++;
+    const edge = (a, b) => freq[a] + (half - absorption[a]) / ((absorption[b] - absorption[a]) || 1) * (freq[b] - freq[a]);
+    const fwhm = absorption[peak] > 0 ? edge(hi - 1, hi) - edge(lo, lo + 1) : null;
+
+    return { freq, absorption, magnitude, fwhm, T2star, resolution: 1000 / duration, nyquist: 500 / dt };
+}
+
+/**
+ * Plot the FID spectrum and compare the measured linewidth with 1/(πT2*)
+ */
+function updateSpectrumChart() {
+    if (document.getElementById('spectrum-panel').style.display === 'none') return;
+
+    const spectrum = computeFIDSpectrum();
+    const label = document.getElementById('spectrum-equation');
+    if (!spectrum) {
+        chartSpectrum.data.datasets.forEach(dataset => dataset.data = []);
+        chartSpectrum.options.plugins.annotation = { annotations: {} };
+        chartSpectrum.update('none');
+        label.textContent = 'FWHM = 1/(πT2*)';
+        return;
+    }
+
+    // Show the water line, the fat lines of mixed samples (moved by any receiver offset) and a
+    // few linewidths either side, up to the Nyquist frequency of the sampling
+    const shift = (CONFIG.speciesMix === 'single' ? 0 : Math.abs(getFatShiftHz(CONFIG.B0)) * 1.2)
+        + (CONFIG.receiverEnabled ? Math.abs(CONFIG.rxOffset) : 0);
+    const range = Math.min(spectrum.nyquist, Math.max(50, shift + 6 * CONFIG.freqSpread, 3 * (spectrum.fwhm || 0)));
+    const scale = Math.max(...spectrum.magnitude) || 1;
+    const inRange = [];
+    spectrum.freq.forEach((f, k) => { if (Math.abs(f) <= range) inRange.push(k); });
+
+    chartSpectrum.data.datasets[0].data = inRange.map(k => ({ x: spectrum.freq[k], y: spectrum.absorption[k] / scale }));
+    chartSpectrum.data.datasets[1].data = inRange.map(k => ({ x: spectrum.freq[k], y: spectrum.magnitude[k] / scale }));
+    chartSpectrum.options.scales.x.min = -range;
+    chartSpectrum.options.scales.x.max = range;
+
+    const annotations = {};
+    if (spectrum.T2star) {
+        // Lorentzian with the FID's 1/e time, for comparison with the measured line
+        const width = 1000 / (Math.PI * spectrum.T2star);
+        const peakIndex = spectrum.absorption.indexOf(Math.max(...spectrum.absorption));
+        const center = spectrum.freq[peakIndex];
+        const height = spectrum.absorption[peakIndex] / scale;
+        chartSpectrum.data.datasets[2].data = inRange.map(k => {
+            const x = (spectrum.freq[k] - center) / (width / 2);
+            return { x: spectrum.freq[k], y: height / (1 + x * x) };
+        });
+        annotations.halfMax = {
+            type: 'line',
+            yMin: height / 2,
+            yMax: height / 2,
+            borderColor: 'rgba(148, 163, 184, 0.5)',
+            borderWidth: 1,
+            borderDash: [2, 2]
+        };
+    } else {
+        chartSpectrum.data.datasets[2].data = [];
+    }
+    chartSpectrum.options.plugins.annotation = { annotations };
+    chartSpectrum.update('none');
+
+    const fwhm = spectrum.fwhm !== null ? `FWHM ${spectrum.fwhm.toFixed(1)} Hz` : 'FWHM --';
+    label.textContent = spectrum.T2star
+        ? `${fwhm} · 1/(πT2*) ${(1000 / (Math.PI * spectrum.T2star)).toFixed(1)} Hz (T2* ${spectrum.T2star.toFixed(1)} ms)`
+        : `${fwhm} · Δf ${spectrum.resolution.toFixed(1)} Hz (FID not yet at 1/e)`;
+}
+
 function clearChartData() {
     timeData = [];
     mxyData = [];
     mzData = [];
     signalReData = [];
     signalImData = [];
+    b1Data = [];
+    epgMxyData = [];
+    epgMzData = [];
+    boundMzData = [];
     eventMarkers = [];
+    resetReceiver();
     updateCharts();
+    updateSpectrumChart();
 }
 
 /**
  * Add an event marker for chart annotations
  * @param {number} time - Time in ms when event occurs
- * @param {string} type - 'rf90', 'rf180', 'gradient_flip', 'gradient_restore', 'echo'
+ * @param {string} type - 'rf90', 'rf180', 'gradient_flip', 'gradient_restore', 'echo', 'stimulated_echo', 'saturation', 'null', 'adc', 'spinlock'
  * @param {string} label - Label to show on chart
+ * @param {number|null} end - End time (ms) for markers that span an interval (drawn as a box)
  */
-function addEventMarker(time, type, label) {
-    eventMarkers.push({ time, type, label });
+function addEventMarker(time, type, label, end = null) {
+    eventMarkers.push({ time, type, label, end });
 }
 
 /**
@@ -1099,11 +1568,52 @@ function getChartAnnotations() {
                 color = '#22c55e'; // green
                 borderDash = [];
                 break;
+            case 'stimulated_echo':
+                color = '#22d3ee'; // cyan
+                borderDash = [];
+                break;
+            case 'saturation':
+                color = '#ec4899'; // pink
+                borderDash = [6, 3];
+                break;
+            case 'null':
+                color = '#e2e8f0'; // light gray
+                borderDash = [2, 2];
+                break;
+            case 'adc':
+                color = '#38bdf8'; // sky
+                borderDash = [3, 3];
+                break;
+            case 'spinlock':
+                color = '#f97316'; // orange
+                borderDash = [];
+                break;
             default:
                 color = '#94a3b8';
                 borderDash = [];
         }
 
+        if (event.end !== null && event.end !== undefined) {
+            annotations[`event${i}`] = {
+                type: 'box',
+                xMin: event.time,
+                xMax: event.end,
+                backgroundColor: 'rgba(56, 189, 248, 0.08)',
+                borderColor: color,
+                borderWidth: 1,
+                borderDash: borderDash,
+                label: {
+                    display: true,
+                    content: event.label,
+                    position: { x: 'center', y: 'start' },
+                    color: color,
+                    font: { size: 10, weight: 'bold' },
+                    padding: 3
+                }
+            };
+            return;
+        }
+
         annotations[`event${i}`] = {
             type: 'line',
             xMin: event.time,
@@ -1138,8 +1648,31 @@ function animate(timestamp) {
     lastTimestamp = timestamp;
 
     // Update simulation if playing
-    if (CONFIG.isPlaying && CONFIG.currentTime < CONFIG.maxTime) {
-        const simDt = CONFIG.dt * CONFIG.animationSpeed;
+    if (CONFIG.isPlaying && CONFIG.currentTime < CONFIG.maxTime && activeRFPulse) {
+        // Finite RF pulse: integrate in slow motion so the nutation can be followed
+        const rfDt = CONFIG.dt * CONFIG.animationSpeed * CONFIG.rfSlowMotion;
+        CONFIG.currentTime += rfDt;
+        updateRFPulse(rfDt);
+
+        document.getElementById('time-val').textContent = CONFIG.currentTime.toFixed(2) + ' ms';
+    } else if (CONFIG.isPlaying && CONFIG.currentTime < CONFIG.maxTime) {
+        // Module E plays its millisecond-scale gradient lobes in slow motion
+        // and Module B slows down for the fat/water beat of mixed samples;
+        // Modules F and G fast-forward through second-long saturation and inversion times;
+        // Module H scripts set their own playback scale
+        let timeScale = 1;
+        if (CONFIG.currentModule === 'E') {
+            timeScale = CONFIG.sliceTimeScale;
+        } else if (CONFIG.currentModule === 'B' && CONFIG.speciesMix !== 'single') {
+            timeScale = CONFIG.speciesTimeScale;
+        } else if (CONFIG.currentModule === 'F') {
+            timeScale = CONFIG.mtTimeScale;
+        } else if (CONFIG.currentModule === 'G') {
+            timeScale = CONFIG.irTimeScale;
+        } else if (CONFIG.currentModule === 'H' && scriptSim) {
+            timeScale = scriptSim.sequence.timeScale;
+        }
+        const simDt = CONFIG.dt * CONFIG.animationSpeed * timeScale;
         CONFIG.currentTime += simDt;
 
         // Update physics based on module
@@ -1156,6 +1689,21 @@ function animate(timestamp) {
             case 'D':
                 updateModuleD(simDt);
                 break;
+            case 'E':
+                updateModuleE(simDt);
+                break;
+            case 'F':
+                updateModuleF(simDt);
+                break;
+            case 'G':
+                updateModuleG(simDt);
+                break;
+            case 'H':
+                updateModuleH(simDt);
+                break;
+            case 'I':
+                updateModuleI(simDt);
+                break;
         }
 
         // Update time display
@@ -1166,6 +1714,187 @@ function animate(timestamp) {
     renderer.render(scene, camera);
 }
 
+/**
+ * Start playing a finite-duration RF pulse on the current ensemble
+ * The animate loop integrates it step by step via updateRFPulse()
+ * @param {RFPulse} pulse - Pulse to play
+ * @param {Function} onComplete - Called once the pulse has finished
+ * @param {Function} onStep - Called after every integration frame (e.g. live profile plots)
+ */
+function startRFPulse(pulse, onComplete = null, onStep = null) {
+    activeRFPulse = { pulse, elapsed: 0, onComplete, onStep };
+    b1Data.push({ x: CONFIG.currentTime, y: 0 });
+}
+
+/**
+ * Advance the active RF pulse by dt (ms), sub-stepping at the waveform sampling interval
+ */
+function updateRFPulse(dt) {
+    const state = activeRFPulse;
+    const pulse = state.pulse;
+
+    let remaining = Math.min(dt, pulse.duration - state.elapsed);
+    let b1 = pulse.getB1(state.elapsed);
+    while (remaining > 1e-9) {
+        const step = Math.min(remaining, pulse.sampleDt);
+        // Evaluate B1 at the middle of the sub-step
+        b1 = pulse.getB1(state.elapsed + step / 2);
+        ensemble.applyRFStep(b1.b1x, b1.b1y, step);
+        state.elapsed += step;
+        remaining -= step;
+    }
+
+    const sum = ensemble.getSumMagnetization();
+
+    // Record data
+    timeData.push(CONFIG.currentTime);
+    mxyData.push(Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My));
+    mzData.push(sum.Mz);
+    signalReData.push(sum.Mx);
+    signalImData.push(sum.My);
+    b1Data.push({ x: CONFIG.currentTime, y: b1.amplitude });
+
+    showB1Arrow(b1);
+
+    updateEnsembleArrows();
+    updateVectorDisplay({ Mx: sum.Mx, My: sum.My, Mz: sum.Mz });
+    updateCharts();
+    updateSignalPanelGlow(Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My), dt);
+    if (state.onStep) state.onStep();
+
+    if (state.elapsed >= pulse.duration - 1e-9) {
+        activeRFPulse = null;
+        b1Data.push({ x: CONFIG.currentTime, y: 0 });
+        if (b1Arrow) b1Arrow.visible = false;
+        if (state.onComplete) state.onComplete();
+    }
+}
+
+/**
+ * Show B1 direction and relative amplitude in the transverse plane
+ * @param {{ b1x: number, b1y: number, amplitude: number }} b1 - RFPulse.getB1() sample
+ */
+function showB1Arrow(b1) {
+    const b1Mag = Math.sqrt(b1.b1x * b1.b1x + b1.b1y * b1.b1y);
+    if (b1Arrow && b1Mag > 1e-6) {
+        // Negative lobes and frequency-modulated pulses turn B1 within the transverse plane
+        b1Arrow.setDirection(toDisplayVector(b1.b1x / b1Mag, b1.b1y / b1Mag, 0));
+        b1Arrow.setLength(Math.max(Math.abs(b1.amplitude) * 1.1, 0.15), 0.12, 0.08);
+        b1Arrow.visible = true;
+    } else if (b1Arrow) {
+        b1Arrow.visible = false;
+    }
+}
+
+/**
+ * Build the Module B excitation pulse from the current RF settings
+ * @returns {RFPulse|null} null for an instantaneous (ideal) pulse
+ */
+function createModuleBPulse() {
+    if (CONFIG.rfShape === 'instant') return null;
+    return new RFPulse({
+        shape: CONFIG.rfShape,
+        duration: CONFIG.rfDuration,
+        flipAngle: CONFIG.flipAngle,
+        tbw: CONFIG.rfTBW,
+        customEnvelope: CONFIG.rfCustomEnvelope,
+        b1Scale: CONFIG.b1Scale,
+        ...getHSPulseOptions()
+    });
+}
+
+/**
+ * Adiabatic hyperbolic-secant settings shared by the played pulse and the B1 sweep
+ */
+function getHSPulseOptions() {
+    return { peakB1: CONFIG.hsPeakB1, mu: CONFIG.hsMu, beta: CONFIG.hsBeta };
+}
+
+/**
+ * Final Mz after a pulse for a range of B1 scales (transmit errors)
+ * The HS pulse is integrated through the Bloch equations on an on-resonance spin;
+ * the hard 180° is the instantaneous rotation from Spin.applyRFPulse
+ * @param {number[]} scales - B1 scale factors (actual / nominal)
+ * @returns {{ hs: number[], hard: number[] }}
+ */
+function simulateB1Sweep(scales) {
+    const hs = scales.map(b1Scale => {
+        const pulse = new RFPulse({ shape: 'hs', duration: CONFIG.rfDuration, b1Scale, ...getHSPulseOptions() });
+        // Relaxation switched off so only the B1 error matters
+        const spin = new Spin(Infinity, Infinity, 0, CONFIG.B0);
+        for (let k = 0; k < pulse.numSamples; k++) {
+            const b1 = pulse.getB1((k + 0.5) * pulse.sampleDt);
+            spin.applyRFStep(b1.b1x, b1.b1y, pulse.sampleDt);
+        }
+        return spin.Mz;
+    });
+    const hard = scales.map(b1Scale => {
+        const spin = new Spin(Infinity, Infinity, 0, CONFIG.B0);
+        spin.applyRFPulse(180 * b1Scale, 0);
+        return spin.Mz;
+    });
+    return { hs, hard };
+}
+
+/**
+ * B1 robustness plot: inversion quality of the adiabatic HS pulse vs a hard 180°
+ */
+function updateB1SweepChart() {
+    const scales = [];
+    for (let scale = 0; scale <= 2 + 1e-9; scale += 0.05) scales.push(scale);
+    const { hs, hard } = simulateB1Sweep(scales);
+
+    updateAnalysisChart({
+        xLabel: 'B₁ scale (actual / nominal)',
+        yLabel: 'Final Mz (M0)',
+        yMin: -1.05,
+        yMax: 1.05,
+        datasets: [
+            {
+                label: `Adiabatic HS (${CONFIG.rfDuration} ms, μ = ${CONFIG.hsMu})`,
+                data: scales.map((x, i) => ({ x, y: hs[i] })),
+                borderColor: '#22c55e',
+                borderWidth: 2,
+                pointRadius: 0
+            },
+            {
+                label: 'Hard 180°',
+                data: scales.map((x, i) => ({ x, y: hard[i] })),
+                borderColor: '#ef4444',
+                borderWidth: 1.5,
+                borderDash: [4, 3],
+                pointRadius: 0
+            }
+        ],
+        annotations: {
+            current: {
+                type: 'line',
+                xMin: CONFIG.b1Scale,
+                xMax: CONFIG.b1Scale,
+                borderColor: '#f59e0b',
+                borderWidth: 1.5,
+                borderDash: [2, 2]
+            }
+        }
+    });
+}
+
+/**
+ * Module B analysis panel: B1 robustness for the adiabatic pulse, else in/opposed phase for mixed samples
+ */
+function updateModuleBAnalysis() {
+    if (CONFIG.currentModule !== 'B') return;
+    if (CONFIG.rfShape === 'hs') {
+        setAnalysisPanel('B₁ Robustness', 'Final Mz vs B₁ scale: adiabatic HS vs hard 180°');
+        updateB1SweepChart();
+    } else if (CONFIG.speciesMix !== 'single') {
+        setAnalysisPanel('In/Opposed Phase', '|S(TE)| = |Σ ρᵢ e^(−TE/T2ᵢ) e^(i2π·δᵢγB0·TE)|');
+        updateSpeciesChart();
+    } else {
+        setAnalysisPanel(null);
+    }
+}
+
 function updateModuleA(dt) {
     if (!alignmentEnsemble || !b0IsOn) return;
 
@@ -1237,13 +1966,324 @@ function updateModuleB(dt) {
     updateVectorDisplay({ Mx: sum.Mx, My: sum.My, Mz: sum.Mz, getMxy: () => Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My) });
     document.getElementById('coherent-count').textContent = ensemble.getPhaseCoherence().toFixed(0) + '%';
     updateCharts();
+    updateSpectrumChart();
 
     // Update receiver coil glow based on dMxy/dt (detected signal - Faraday's law)
     const mxy = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
     updateSignalPanelGlow(mxy, dt);
+
+    if (CONFIG.speciesMix !== 'single') updateSpeciesChart();
+}
+
+// ============================================
+// MODULE B: MULTI-SPECIES (FAT/WATER) ENSEMBLES
+// ============================================
+
+const SPECIES_CHART_FIELDS = [
+    { B0: 1.5, color: '#a78bfa' },
+    { B0: 3.0, color: '#f472b6' }
+];
+const SPECIES_CHART_MAX_TE = 12;  // ms
+const SPECIES_MAX_TIME = 20;      // ms of FID played for mixed samples
+
+/**
+ * Species making up the current Module B sample
+ * Water takes the Intrinsic T2 slider; fat keeps its library relaxation times
+ */
+function getSpeciesMix() {
+    const water = { key: 'water', ...SPECIES.water, T1: CONFIG.T1, T2: CONFIG.T2ensemble };
+    if (CONFIG.speciesMix === 'single') {
+        return [{ ...water, fraction: 1 }];
+    }
+    const fatKey = CONFIG.speciesMix === 'water-fat6' ? 'fat6' : 'fat';
+    return [
+        { ...water, fraction: 1 - CONFIG.fatFraction },
+        { key: fatKey, ...SPECIES[fatKey], fraction: CONFIG.fatFraction }
+    ];
+}
+
+function createModuleBEnsemble() {
+    setRandomSeed(CONFIG.randomSeed);
+    if (CONFIG.speciesMix === 'single') {
+        return new SpinEnsemble(CONFIG.numSpins, CONFIG.T1, CONFIG.T2ensemble, CONFIG.freqSpread, CONFIG.B0,
+            CONFIG.lineshape, CONFIG.lineshapeCustom);
+    }
+    return SpinEnsemble.fromSpecies(getSpeciesMix(), CONFIG.numSpins, CONFIG.freqSpread, CONFIG.B0,
+        CONFIG.lineshape, CONFIG.lineshapeCustom);
+}
+
+/**
+ * Display colour for spin arrow i (species colour for mixed samples, tissue colour in Module G)
+ */
+function getSpinColor(spin, i) {
+    // Module G colours by tissue once its tissue ensemble exists
+    if (CONFIG.currentModule === 'G' && ensemble.numSpins === IR_TISSUES.length) return IR_TISSUES[i].color;
+    return spin.species ? SPECIES[spin.species].color : 0x10b981;
+}
+
+/**
+ * Frequency offset of the dominant fat peak at field B0 (Hz)
+ */
+function getFatShiftHz(B0) {
+    const fat = SPECIES[CONFIG.speciesMix === 'water-fat6' ? 'fat6' : 'fat'];
+    const mainPeak = fat.peaks.reduce((a, b) => (b.amplitude > a.amplitude ? b : a));
+    return mainPeak.ppm * GAMMA * B0;
+}
+
+/**
+ * Expected gradient-echo magnitude |S(TE)| of the current sample
+ * Sum of species/peaks with their chemical-shift phases, T2 decay per species, and
+ * the dephasing of the ensemble lineshape
+ * @param {number} TE - Echo time (ms)
+ * @param {number} B0 - Field strength (T)
+ */
+function getSpeciesSignal(TE, B0) {
+    let re = 0, im = 0;
+    getSpeciesMix().forEach(species => {
+        const decay = Math.exp(-TE / species.T2);
+        species.peaks.forEach(peak => {
+            const phase = 2 * Math.PI * peak.ppm * GAMMA * B0 * TE / 1000;
+            re += species.fraction * peak.amplitude * decay * Math.cos(phase);
+            im += species.fraction * peak.amplitude * decay * Math.sin(phase);
+        });
+    });
+    const dephasing = getLineshapeDecay(TE);
+    const sRe = re * dephasing.re - im * dephasing.im;
+    const sIm = re * dephasing.im + im * dephasing.re;
+    return Math.sin(CONFIG.flipAngle * Math.PI / 180) * Math.sqrt(sRe * sRe + sIm * sIm);
+}
+
+/**
+ * In-phase / opposed-phase plot: |S(TE)| at 1.5 T and 3 T with the simulated FID overlaid
+ * The FID of Module B is the gradient-echo signal for every TE
+ */
+function updateSpeciesChart() {
+    if (CONFIG.currentModule !== 'B' || CONFIG.speciesMix === 'single' || CONFIG.rfShape === 'hs') return;
+
+    const datasets = SPECIES_CHART_FIELDS.map(field => {
+        const data = [];
+        for (let TE = 0; TE <= SPECIES_CHART_MAX_TE; TE += 0.05) {
+            data.push({ x: TE, y: getSpeciesSignal(TE, field.B0) });
+        }
+        return {
+            label: `${field.B0} T`,
+            data,
+            borderColor: field.color,
+            borderWidth: 1.5,
+            pointRadius: 0
+        };
+    });
+
+    const simulated = [];
+    for (let i = 0; i < timeData.length && timeData[i] <= SPECIES_CHART_MAX_TE; i++) {
+        simulated.push({ x: timeData[i], y: mxyData[i] });
+    }
+    datasets.push({
+        label: `Simulated (${CONFIG.B0} T)`,
+        data: simulated,
+        borderColor: '#ffffff',
+        backgroundColor: '#ffffff',
+        showLine: false,
+        pointRadius: 1.5
+    });
+
+    // First opposed-phase and in-phase echo times for the dominant fat peak
+    const annotations = {};
+    SPECIES_CHART_FIELDS.forEach(field => {
+        const period = 1000 / Math.abs(getFatShiftHz(field.B0));
+        [['OP', period / 2], ['IP', period]].forEach(([name, TE]) => {
+            annotations[`${name}-${field.B0}`] = {
+                type: 'line',
+                xMin: TE,
+                xMax: TE,
+                borderColor: field.color,
+                borderWidth: 1,
+                borderDash: name === 'OP' ? [2, 2] : [6, 3],
+                label: {
+                    display: true,
+                    content: `${name} ${field.B0}T`,
+                    position: name === 'OP' ? 'start' : 'end',
+                    backgroundColor: 'rgba(0,0,0,0.7)',
+                    color: field.color,
+                    font: { size: 9 }
+                }
+            };
+        });
+    });
+
+    updateAnalysisChart({
+        xLabel: 'TE (ms)',
+        yLabel: '|S| (M0)',
+        yMin: 0,
+        yMax: 1,
+        datasets,
+        annotations
+    });
+}
+
+/**
+ * Show species controls, chemical-shift readout and the Module B analysis plot
+ */
+function updateSpeciesControls() {
+    const mixed = CONFIG.speciesMix !== 'single';
+    document.getElementById('species-params').style.display = mixed ? 'block' : 'none';
+    updateLineshapeControls();
+    if (CONFIG.currentModule !== 'B') return;
+
+    if (mixed) {
+        const shiftHz = getFatShiftHz(CONFIG.B0);
+        const period = 1000 / Math.abs(shiftHz);
+        document.getElementById('chemical-shift-val').textContent =
+            `Fat Δf = ${shiftHz.toFixed(0)} Hz · OP ${(period / 2).toFixed(2)} ms · IP ${period.toFixed(2)} ms`;
+    }
+    updateModuleBAnalysis();
+}
+
+/**
+ * Rebuild the Module B ensemble after a sample change (FID restarts from equilibrium)
+ */
+function rebuildModuleBEnsemble() {
+    if (CONFIG.currentModule === 'B') {
+        ensemble = createModuleBEnsemble();
+        resetSimulation();
+        createEnsembleArrows();
+    }
+    updateSpeciesControls();
+}
+
+// ============================================
+// MODULE B: OFF-RESONANCE LINESHAPES
+// ============================================
+
+/**
+ * Dephasing of the ensemble lineshape: the Fourier transform of the frequency distribution
+ * Gaussian σ → exp(−2π²σ²t²); Lorentzian HWHM γ → exp(−2πγt), i.e. T2′ = 1/(2πγ)
+ * @param {number} t - Time after excitation (ms)
+ * @returns {{ re: number, im: number }}
+ */
+function getLineshapeDecay(t) {
+    const width = CONFIG.freqSpread;
+    const tSec = t / 1000;
+    if (CONFIG.lineshape === 'lorentzian') {
+        return { re: Math.exp(-2 * Math.PI * width * Math.abs(tSec)), im: 0 };
+    }
+    const bins = CONFIG.lineshapeCustom;
+    const total = bins.reduce((a, b) => a + b, 0);
+    if (CONFIG.lineshape !== 'custom' || total <= 0) {
+        const spreadPhase = 2 * Math.PI * width * tSec;
+        return { re: Math.exp(-0.5 * spreadPhase * spreadPhase), im: 0 };
+    }
+
+    // Piecewise-constant density: each bin contributes sinc(π·binWidth·t) at its centre frequency
+    const binWidth = 2 * LINESHAPE_CUSTOM_RANGE * width / bins.length;
+    const x = Math.PI * binWidth * tSec;
+    const sinc = x === 0 ? 1 : Math.sin(x) / x;
+    let re = 0, im = 0;
+    bins.forEach((density, k) => {
+        const phase = 2 * Math.PI * (-LINESHAPE_CUSTOM_RANGE * width + (k + 0.5) * binWidth) * tSec;
+        re += density * Math.cos(phase);
+        im += density * Math.sin(phase);
+    });
+    return { re: re * sinc / total, im: im * sinc / total };
+}
+
+function updateLineshapeControls() {
+    document.getElementById('lineshape-custom-control').style.display = CONFIG.lineshape === 'custom' ? 'block' : 'none';
+
+    const width = CONFIG.freqSpread;
+    const T2 = CONFIG.T2ensemble;
+    let text;
+    if (width === 0) {
+        text = 'No spread: T2* = T2';
+    } else if (CONFIG.lineshape === 'lorentzian') {
+        const T2prime = 1000 / (2 * Math.PI * width);
+        const T2star = 1 / (1 / T2 + 1 / T2prime);
+        text = `T2′ = ${T2prime.toFixed(1)} ms · T2* = ${T2star.toFixed(1)} ms · FWHM ${(1000 / (Math.PI * T2star)).toFixed(1)} Hz`;
+    } else if (CONFIG.lineshape === 'gaussian') {
+        text = `FWHM 2.355σ = ${(2.355 * width).toFixed(1)} Hz · decay exp(−2π²σ²t²) is not exponential`;
+    } else {
+        text = 'FID = Fourier transform of the drawn density';
+    }
+    document.getElementById('lineshape-val').textContent = text;
+
+    if (CONFIG.lineshape === 'custom') drawLineshapeCanvas();
+}
+
+/**
+ * Draw the custom lineshape bins (frequency axis ±3 × spread, centre line at 0 Hz)
+ */
+function drawLineshapeCanvas() {
+    const canvas = document.getElementById('lineshape-canvas');
+    const ctx = canvas.getContext('2d');
+    const bins = CONFIG.lineshapeCustom;
+    const peak = Math.max(...bins) || 1;
+    const barWidth = canvas.width / bins.length;
+
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = '#10b981';
+    bins.forEach((value, k) => {
+        const height = value / peak * (canvas.height - 4);
+        ctx.fillRect(k * barWidth + 0.5, canvas.height - height, barWidth - 1, height);
+    });
+
+    ctx.strokeStyle = 'rgba(148, 163, 184, 0.6)';
+    ctx.setLineDash([2, 2]);
+    ctx.beginPath();
+    ctx.moveTo(canvas.width / 2, 0);
+    ctx.lineTo(canvas.width / 2, canvas.height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+/**
+ * Set the custom density bin under a pointer position on the lineshape canvas
+ */
+function paintLineshapeBin(e) {
+    const canvas = document.getElementById('lineshape-canvas');
+    const rect = canvas.getBoundingClientRect();
+    const bins = CONFIG.lineshapeCustom;
+    const k = Math.floor((e.clientX - rect.left) / rect.width * bins.length);
+    if (k < 0 || k >= bins.length) return;
+    const peak = Math.max(...bins) || 1;
+    bins[k] = Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height)) * peak;
+    drawLineshapeCanvas();
 }
 
 function updateModuleC(dt) {
+    if (echoEvents.length > 0) {
+        // Event-driven sequences (multi-echo train)
+        runEchoEvents(dt);
+    } else {
+        updateSingleEcho(dt);
+    }
+
+    // Get sum magnetization
+    const sum = ensemble.getSumMagnetization();
+
+    // Record data
+    timeData.push(CONFIG.currentTime);
+    mxyData.push(Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My));
+    mzData.push(sum.Mz);
+    signalReData.push(sum.Mx);
+    signalImData.push(sum.My);
+
+    // Update visualization
+    updateEnsembleArrows();
+    updateVectorDisplay({ Mx: sum.Mx, My: sum.My, Mz: sum.Mz });
+    document.getElementById('coherent-count').textContent = ensemble.getPhaseCoherence().toFixed(0) + '%';
+    updateCharts();
+
+    // Update receiver coil glow based on dMxy/dt (detected signal - Faraday's law)
+    const mxy = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
+    updateSignalPanelGlow(mxy, dt);
+}
+
+/**
+ * Single spin echo / gradient echo (event timing checked once per step)
+ */
+function updateSingleEcho(dt) {
     echoSequenceTime += dt;
 
     // Handle echo sequence timing
@@ -1280,199 +2320,2371 @@ function updateModuleC(dt) {
 
     // Evolve ensemble
     ensemble.evolve(dt);
+}
 
-    // Get sum magnetization
-    const sum = ensemble.getSumMagnetization();
-
-    // Record data
-    timeData.push(CONFIG.currentTime);
-    mxyData.push(Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My));
-    mzData.push(sum.Mz);
-    signalReData.push(sum.Mx);
-    signalImData.push(sum.My);
-
-    // Update visualization
-    updateEnsembleArrows();
-    updateVectorDisplay({ Mx: sum.Mx, My: sum.My, Mz: sum.Mz });
-    document.getElementById('coherent-count').textContent = ensemble.getPhaseCoherence().toFixed(0) + '%';
-    updateCharts();
+/**
+ * Advance the ensemble by dt, executing scheduled echo events exactly on time
+ */
+function runEchoEvents(dt) {
+    let remaining = dt;
+    while (remaining > 1e-9) {
+        const next = echoEvents[echoEventIndex];
+        const untilNext = next ? next.time - echoSequenceTime : Infinity;
+
+        if (untilNext <= 1e-9) {
+            next.action();
+            echoEventIndex++;
+            continue;
+        }
 
-    // Update receiver coil glow based on dMxy/dt (detected signal - Faraday's law)
-    const mxy = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
-    updateSignalPanelGlow(mxy, dt);
+        const step = Math.min(remaining, untilNext);
+        ensemble.evolve(step);
+        echoSequenceTime += step;
+        remaining -= step;
+    }
 }
 
 /**
- * Module D: GRE Variants - Multi-TR steady-state simulation
- * Shows how magnetization evolves over repeated excitations
- * Spoiled GRE: RF spoiling destroys Mxy → T1-weighted
- * SSFP: Balanced gradients preserve Mxy → T2/T1-weighted
+ * Schedule a Module C event at a time (ms from the start of the sequence)
  */
-function updateModuleD(dt) {
-    if (greSequenceState !== 'running') return;
+function scheduleEchoEvent(time, action) {
+    echoEvents.push({ time, action });
+    echoEvents.sort((a, b) => a.time - b.time);
+}
 
-    timeInTR += dt;
+/**
+ * RF phase of the refocusing pulses for a CP or CPMG train
+ * Excitation is 90° about x' (phase 0)
+ */
+function getRefocusPhase(scheme) {
+    return scheme === 'cpmg' ? 90 : 0;
+}
 
-    // Check if we've completed a TR
-    if (timeInTR >= CONFIG.TR) {
-        // End of TR: record steady-state signal and prepare for next TR
-        const sum = ensemble.getSumMagnetization();
-        const mxy = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
+/**
+ * Simulate a multi-echo spin-echo train on copies of the given spins
+ * Free precession and relaxation are exact between events, so no time stepping is needed
+ * @param {Spin[]} spins - Isochromats at equilibrium (not modified)
+ * @param {Object} params - { numEchoes, echoSpacing, refocusFlip, refocusPhase }
+ * @returns {{ time: number, amplitude: number }[]} Echo peak amplitudes
+ */
+function simulateEchoTrain(spins, { numEchoes, echoSpacing, refocusFlip, refocusPhase }) {
+    const copies = spins.map(spin => spin.clone());
+    const n = copies.length;
+    const halfESP = echoSpacing / 2;
+    const echoes = [];
+
+    copies.forEach(spin => {
+        spin.applyRFPulse(90, 0);
+        spin.evolve(halfESP);
+    });
 
-        // Store signal at end of TR (just before next RF pulse)
-        steadyStateMxy.push(mxy);
-        steadyStateMz.push(sum.Mz);
+    for (let k = 1; k <= numEchoes; k++) {
+        let sumMx = 0, sumMy = 0;
+        copies.forEach(spin => {
+            spin.applyRFPulse(refocusFlip, refocusPhase);
+            spin.evolve(halfESP);
+            sumMx += spin.Mx;
+            sumMy += spin.My;
+        });
+        echoes.push({ time: k * echoSpacing, amplitude: Math.sqrt(sumMx * sumMx + sumMy * sumMy) / n });
+        copies.forEach(spin => spin.evolve(halfESP));
+    }
 
-        currentTRIndex++;
+    return echoes;
+}
 
-        // Check if we've done all TRs
-        if (currentTRIndex >= CONFIG.numTR) {
-            greSequenceState = 'done';
-            updateSteadyStateDisplay();
-            return;
-        }
+/**
+ * EPG prediction of a CP/CPMG echo train
+ * Each half echo spacing is one dephasing unit, so echoes fall on F0 at k·ESP
+ * @param {Object} params - { numEchoes, echoSpacing, refocusFlip, refocusPhase, T1, T2 }
+ * @returns {{ echoes: {time: number, amplitude: number}[], snapshots: {time: number, F: Array, Z: Array}[] }}
+ */
+function simulateEchoTrainEPG({ numEchoes, echoSpacing, refocusFlip, refocusPhase, T1, T2 }) {
+    const epg = new EPG(2 * numEchoes + 2);
+    const halfESP = echoSpacing / 2;
+    const echoes = [];
+    const snapshots = [];
+
+    const freePrecession = () => {
+        epg.relax(halfESP, T1, T2);
+        epg.dephase();
+    };
 
-        // Prepare for next TR
-        timeInTR = 0;
+    epg.applyRFPulse(90, 0);
+    freePrecession();
+    snapshots.push({ time: halfESP, ...epg.getStates() });
 
-        // Apply RF pulse at start of new TR
-        if (CONFIG.greType === 'spoiled') {
-            // Spoiled GRE: Apply spoiler gradient to destroy Mxy before RF
-            // Then apply RF with incrementing phase (RF spoiling)
-            // Simplified: just zero out Mxy (perfect spoiling)
-            ensemble.spins.forEach(spin => {
-                spin.Mx = 0;
-                spin.My = 0;
-            });
-            // Apply RF pulse
-            ensemble.applyRFPulse(CONFIG.flipAngleD, 0);
-        } else {
-            // SSFP: Balanced gradients mean Mxy is preserved
-            // Alternate RF phase by 180° each TR (typical bSSFP)
-            const phase = (currentTRIndex % 2) * 180;
-            ensemble.applyRFPulse(CONFIG.flipAngleD, phase);
-        }
+    for (let k = 1; k <= numEchoes; k++) {
+        epg.applyRFPulse(refocusFlip, refocusPhase);
+        freePrecession();
+        const signal = epg.getSignal();
+        echoes.push({ time: k * echoSpacing, amplitude: Math.hypot(signal.Mx, signal.My) });
+        snapshots.push({ time: k * echoSpacing, ...epg.getStates() });
 
-        // Add RF marker
-        addEventMarker(CONFIG.currentTime, 'rf90', `α${currentTRIndex + 1}`);
+        freePrecession();
+        snapshots.push({ time: k * echoSpacing + halfESP, ...epg.getStates() });
     }
 
-    // Evolve ensemble (T1 recovery, T2 decay, precession)
+    return { echoes, snapshots };
+}
+
+/**
+ * Plot the EPG configuration states: one column per snapshot, dot size ∝ state magnitude
+ * @param {{ time: number, F: Array, Z: Array }[]} snapshots - From EPG.getStates()
+ * @param {string} xLabel - X-axis title
+ */
+function updateEPGStateDiagram(snapshots, xLabel) {
+    const toPoints = key => snapshots.flatMap(snapshot =>
+        snapshot[key].map(state => ({ x: snapshot.time, y: state.k, magnitude: state.magnitude }))
+    );
+    const radius = ctx => (ctx.raw ? 2 + 10 * ctx.raw.magnitude : 0);
+
+    updateAnalysisChart({
+        xLabel,
+        yLabel: 'Dephasing order k',
+        datasets: [
+            {
+                label: 'F±k (transverse)',
+                data: toPoints('F'),
+                borderColor: '#10b981',
+                backgroundColor: 'rgba(16, 185, 129, 0.5)',
+                showLine: false,
+                pointRadius: radius
+            },
+            {
+                label: 'Zk (longitudinal)',
+                data: toPoints('Z'),
+                borderColor: '#3b82f6',
+                backgroundColor: 'transparent',
+                showLine: false,
+                pointStyle: 'rect',
+                pointRadius: radius
+            }
+        ]
+    });
+}
+
+/**
+ * Fit S(t) = S0 · exp(-t/T2) by linear least squares on ln(S)
+ * @param {number[]} times - Echo times (ms)
+ * @param {number[]} amplitudes - Echo amplitudes
+ * @returns {{ S0: number, T2: number }|null} null if fewer than two usable points
+ */
+function fitExponentialDecay(times, amplitudes) {
+    const points = times
+        .map((t, i) => ({ t, y: amplitudes[i] }))
+        .filter(p => p.y > 1e-6);
+    if (points.length < 2) return null;
+
+    const n = points.length;
+    let sumT = 0, sumY = 0, sumTT = 0, sumTY = 0;
+    points.forEach(p => {
+        const lnY = Math.log(p.y);
+        sumT += p.t;
+        sumY += lnY;
+        sumTT += p.t * p.t;
+        sumTY += p.t * lnY;
+    });
+
+    const denom = n * sumTT - sumT * sumT;
+    if (Math.abs(denom) < 1e-12) return null;
+    const slope = (n * sumTY - sumT * sumY) / denom;
+    const intercept = (sumY - slope * sumT) / n;
+
+    return {
+        S0: Math.exp(intercept),
+        T2: slope < 0 ? -1 / slope : Infinity
+    };
+}
+
+/**
+ * Echo pathways of a 90° - τ1 - 90° - τ2 - 90° experiment (ideal spoiling between pulses)
+ * Amplitudes relative to M0 for three 90° pulses:
+ * - SE₁₂ at 2τ1: refocused by pulse 2                  → ½·e^(-2τ1/T2)
+ * - STE at 2τ1+τ2: stored along z by pulse 2, recalled by pulse 3 → ½·e^(-2τ1/T2)·e^(-τ2/T1)
+ * - SE₂₃ at τ1+2τ2: Mz recovered during τ1, excited by pulse 2 → ½·(1-e^(-τ1/T1))·e^(-2τ2/T2)
+ * - SE₁₃ at 2(τ1+τ2): transverse through pulse 2, refocused by pulse 3 → ¼·e^(-2(τ1+τ2)/T2)
+ * - DE at 2τ2 (only if τ2 > τ1): SE₁₂ refocused again by pulse 3  → ¼·e^(-2τ2/T2)
+ * @returns {{ key, label, time, amplitude, weighting, type }[]} Sorted by time
+ */
+function calculateStimulatedEchoPathways(tau1, tau2, T1, T2) {
+    const pathways = [
+        { key: 'se12', label: 'SE₁₂', time: 2 * tau1, amplitude: 0.5 * Math.exp(-2 * tau1 / T2), weighting: 'T2', type: 'echo' },
+        { key: 'ste', label: 'STE', time: 2 * tau1 + tau2, amplitude: 0.5 * Math.exp(-2 * tau1 / T2) * Math.exp(-tau2 / T1), weighting: 'T2 (2τ1) + T1 (τ2)', type: 'stimulated_echo' },
+        { key: 'se23', label: 'SE₂₃', time: tau1 + 2 * tau2, amplitude: 0.5 * (1 - Math.exp(-tau1 / T1)) * Math.exp(-2 * tau2 / T2), weighting: 'T1 recovery + T2', type: 'echo' },
+        { key: 'se13', label: 'SE₁₃', time: 2 * (tau1 + tau2), amplitude: 0.25 * Math.exp(-2 * (tau1 + tau2) / T2), weighting: 'T2', type: 'echo' }
+    ];
+    if (tau2 > tau1) {
+        pathways.push({ key: 'de', label: 'DE', time: 2 * tau2, amplitude: 0.25 * Math.exp(-2 * tau2 / T2), weighting: 'T2', type: 'echo' });
+    }
+    return pathways.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Plot measured vs expected amplitudes of each stimulated-echo pathway
+ */
+function updateStimulatedEchoChart() {
+    const measured = echoPathways.filter(p => p.measured !== undefined);
+    const summary = measured
+        .map(p => `${p.label}: ${p.measured.toFixed(2)} (${p.weighting})`)
+        .join('<br>');
+    document.getElementById('stim-summary').innerHTML = summary || '--';
+
+    const annotations = {};
+    echoPathways.forEach((p, i) => {
+        annotations[`pathway${i}`] = {
+            type: 'label',
+            xValue: p.time,
+            yValue: Math.max(p.amplitude, p.measured || 0) + 0.08,
+            content: p.label,
+            color: p.type === 'stimulated_echo' ? '#22d3ee' : '#22c55e',
+            font: { size: 10, weight: 'bold' }
+        };
+    });
+
+    updateAnalysisChart({
+        xLabel: 'Echo time (ms)',
+        yLabel: 'Echo amplitude',
+        yMin: 0,
+        yMax: 0.7,
+        datasets: [
+            {
+                label: 'Measured',
+                data: measured.map(p => ({ x: p.time, y: p.measured })),
+                borderColor: '#22c55e',
+                backgroundColor: measured.map(p => p.type === 'stimulated_echo' ? '#22d3ee' : '#22c55e'),
+                showLine: false,
+                pointRadius: 5
+            },
+            {
+                label: 'Expected (ideal spoiling)',
+                data: echoPathways.map(p => ({ x: p.time, y: p.amplitude })),
+                borderColor: '#f59e0b',
+                backgroundColor: 'transparent',
+                showLine: false,
+                pointRadius: 6,
+                pointStyle: 'rectRot'
+            }
+        ],
+        annotations
+    });
+}
+
+/**
+ * Plot echo peak amplitudes, the fitted T2 decay and the comparison scheme
+ */
+function updateEchoTrainChart() {
+    const schemeLabel = CONFIG.refocusScheme.toUpperCase();
+    const otherLabel = CONFIG.refocusScheme === 'cpmg' ? 'CP' : 'CPMG';
+    const endTime = CONFIG.numEchoes * CONFIG.echoSpacing;
+
+    const epg = simulateEchoTrainEPG({
+        numEchoes: CONFIG.numEchoes,
+        echoSpacing: CONFIG.echoSpacing,
+        refocusFlip: CONFIG.refocusFlip,
+        refocusPhase: getRefocusPhase(CONFIG.refocusScheme),
+        T1: CONFIG.T1,
+        T2: CONFIG.T2echo
+    });
+
+    const datasets = [
+        {
+            label: `${schemeLabel} echoes`,
+            data: echoAmplitudes.map(e => ({ x: e.time, y: e.amplitude })),
+            borderColor: '#22c55e',
+            backgroundColor: '#22c55e',
+            showLine: false,
+            pointRadius: 4
+        }
+    ];
+
+    if (echoComparison) {
+        datasets.push({
+            label: `${otherLabel} (same spins)`,
+            data: echoComparison.map(e => ({ x: e.time, y: e.amplitude })),
+            borderColor: '#ef4444',
+            backgroundColor: '#ef4444',
+            showLine: false,
+            pointRadius: 3,
+            pointStyle: 'triangle'
+        });
+    }
+
+    datasets.push({
+        label: 'EPG (exact)',
+        data: epg.echoes.map(e => ({ x: e.time, y: e.amplitude })),
+        borderColor: '#ffffff',
+        backgroundColor: '#ffffff',
+        showLine: false,
+        pointRadius: 6,
+        pointStyle: 'crossRot'
+    });
+
+    // True T2 envelope for reference
+    const envelope = [];
+    for (let t = 0; t <= endTime; t += endTime / 50) {
+        envelope.push({ x: t, y: Math.exp(-t / CONFIG.T2echo) });
+    }
+    datasets.push({ label: 'e^(-t/T2)', data: envelope, borderColor: '#94a3b8', borderWidth: 1, borderDash: [2, 3], pointRadius: 0 });
+
+    const fit = fitExponentialDecay(echoAmplitudes.map(e => e.time), echoAmplitudes.map(e => e.amplitude));
+    const fitEl = document.getElementById('echo-fit-val');
+    if (fit) {
+        const fitCurve = [];
+        for (let t = 0; t <= endTime; t += endTime / 50) {
+            fitCurve.push({ x: t, y: fit.S0 * Math.exp(-t / fit.T2) });
+        }
+        datasets.push({ label: 'Fit', data: fitCurve, borderColor: '#f59e0b', borderWidth: 1.5, pointRadius: 0 });
+        fitEl.textContent = isFinite(fit.T2)
+            ? `T2(fit) = ${fit.T2.toFixed(0)} ms (true ${CONFIG.T2echo} ms)`
+            : 'T2(fit) = ∞';
+    } else {
+        fitEl.textContent = '--';
+    }
+
+    if (CONFIG.showEPGStates) {
+        updateEPGStateDiagram(epg.snapshots, 'Time (ms)');
+        return;
+    }
+
+    updateAnalysisChart({
+        xLabel: 'Echo time (ms)',
+        yLabel: 'Echo amplitude',
+        yMin: 0,
+        yMax: 1.1,
+        datasets
+    });
+}
+
+/**
+ * Diffusion weighting of a Stejskal-Tanner gradient pair
+ * b = γ² G² δ² (Δ − δ/3)
+ * @param {number} gradientMTm - Lobe amplitude G (mT/m)
+ * @param {number} delta - Lobe duration δ (ms)
+ * @param {number} spacing - Lobe separation Δ (ms)
+ * @returns {number} b-value (s/mm²)
+ */
+function calculateBValue(gradientMTm, delta, spacing) {
+    const gammaRad = 2 * Math.PI * GAMMA * 1e6; // rad/s/T
+    const G = gradientMTm / 1000;               // T/m
+    const d = delta / 1000;
+    const D = spacing / 1000;
+    return gammaRad * gammaRad * G * G * d * d * (D - d / 3) * 1e-6; // s/m² → s/mm²
+}
+
+/**
+ * Event times of the diffusion-weighted spin echo
+ * Lobes sit symmetrically around the 180° pulse; TE is the shortest that fits them
+ * @returns {{ lobe1Start: number, refocusTime: number, lobe2Start: number, TE: number, spacing: number }} ms
+ */
+function getDiffusionTiming(delta, spacing) {
+    const lead = 2; // ms between the 90° pulse and the first lobe
+    const DELTA = Math.max(spacing, delta);
+    const refocusTime = lead + delta + (DELTA - delta) / 2;
+    return {
+        lobe1Start: lead,
+        refocusTime,
+        lobe2Start: lead + DELTA,
+        TE: 2 * refocusTime,
+        spacing: DELTA
+    };
+}
+
+/**
+ * Spin ensemble for diffusion: isochromats spread randomly across a 1 mm voxel
+ */
+function createDiffusionEnsemble(numSpins, T1, T2, freqSpread, adcMm2s) {
+    const diffEnsemble = new SpinEnsemble(numSpins, T1, T2, freqSpread, CONFIG.B0);
+    diffEnsemble.setPositions(diffEnsemble.spins.map(() => seededRandom() - 0.5));
+    diffEnsemble.adc = adcMm2s;
+    return diffEnsemble;
+}
+
+/**
+ * Simulate one diffusion-weighted spin echo without animation
+ * @param {Object} params - { gradient (mT/m), delta, spacing (ms), adc (mm²/s), T1, T2, freqSpread, numSpins, dt }
+ * @returns {number} Echo amplitude |Mxy| at TE
+ */
+function simulateDiffusionEcho({ gradient, delta, spacing, adc, T1, T2, freqSpread, numSpins, dt = 0.5 }) {
+    const diffEnsemble = createDiffusionEnsemble(numSpins, T1, T2, freqSpread, adc);
+    const timing = getDiffusionTiming(delta, spacing);
+    const events = [
+        { time: timing.lobe1Start, action: () => diffEnsemble.applySpatialGradient(gradient) },
+        { time: timing.lobe1Start + delta, action: () => diffEnsemble.applySpatialGradient(0) },
+        { time: timing.refocusTime, action: () => diffEnsemble.applyRFPulse(180, 0) },
+        { time: timing.lobe2Start, action: () => diffEnsemble.applySpatialGradient(gradient) },
+        { time: timing.lobe2Start + delta, action: () => diffEnsemble.applySpatialGradient(0) },
+        { time: timing.TE, action: () => {} }
+    ];
+
+    diffEnsemble.applyRFPulse(90, 0);
+    let t = 0;
+    events.forEach(event => {
+        while (event.time - t > 1e-9) {
+            const step = Math.min(dt, event.time - t);
+            diffEnsemble.evolve(step);
+            t += step;
+        }
+        event.action();
+    });
+
+    const sum = diffEnsemble.getSumMagnetization();
+    return Math.hypot(sum.Mx, sum.My);
+}
+
+/**
+ * Echo amplitude vs b-value for the current settings
+ * b is stepped linearly by scaling the lobe amplitude (b ∝ G²)
+ * @returns {{ b: number, amplitude: number }[]}
+ */
+function simulateDiffusionSweep(numPoints = 6) {
+    const sweep = [];
+    for (let k = 0; k < numPoints; k++) {
+        const gradient = CONFIG.diffusionG * Math.sqrt(k / (numPoints - 1));
+        sweep.push({
+            b: calculateBValue(gradient, CONFIG.diffusionDelta, getDiffusionTiming(CONFIG.diffusionDelta, CONFIG.diffusionSpacing).spacing),
+            amplitude: simulateDiffusionEcho({
+                gradient,
+                delta: CONFIG.diffusionDelta,
+                spacing: CONFIG.diffusionSpacing,
+                adc: CONFIG.diffusionADC / 1000,
+                T1: CONFIG.T1,
+                T2: CONFIG.T2echo,
+                freqSpread: 1000 / (Math.PI * CONFIG.T2starEcho),
+                numSpins: CONFIG.diffusionSweepSpins
+            })
+        });
+    }
+    return sweep;
+}
+
+/**
+ * Show b-value and echo time for the current diffusion settings
+ */
+function updateDiffusionReadouts() {
+    const timing = getDiffusionTiming(CONFIG.diffusionDelta, CONFIG.diffusionSpacing);
+    const b = calculateBValue(CONFIG.diffusionG, CONFIG.diffusionDelta, timing.spacing);
+    document.getElementById('b-value-val').textContent = `b = ${b.toFixed(0)} s/mm², TE = ${timing.TE.toFixed(0)} ms`;
+}
+
+/**
+ * Plot echo amplitude vs b with the ADC fit (ln S linear in b)
+ */
+function updateDiffusionChart() {
+    const timing = getDiffusionTiming(CONFIG.diffusionDelta, CONFIG.diffusionSpacing);
+    const bMax = Math.max(calculateBValue(CONFIG.diffusionG, CONFIG.diffusionDelta, timing.spacing), 1);
+    const adc = CONFIG.diffusionADC / 1000; // mm²/s
+    const S0 = Math.exp(-timing.TE / CONFIG.T2echo);
+
+    const theory = [];
+    for (let i = 0; i <= 50; i++) {
+        const b = bMax * i / 50;
+        theory.push({ x: b, y: S0 * Math.exp(-b * adc) });
+    }
+
+    const datasets = [
+        {
+            label: 'Simulated echoes',
+            data: diffusionSweep.map(p => ({ x: p.b, y: p.amplitude })),
+            borderColor: '#22c55e',
+            backgroundColor: '#22c55e',
+            showLine: false,
+            pointRadius: 4
+        },
+        { label: 'e^(-TE/T2) · e^(-b·ADC)', data: theory, borderColor: '#94a3b8', borderWidth: 1, borderDash: [2, 3], pointRadius: 0 }
+    ];
+
+    if (diffusionRunEcho !== null) {
+        datasets.push({
+            label: 'This run',
+            data: [{ x: bMax, y: diffusionRunEcho }],
+            borderColor: '#ffffff',
+            backgroundColor: '#ffffff',
+            showLine: false,
+            pointRadius: 6,
+            pointStyle: 'crossRot'
+        });
+    }
+
+    // Same log-linear fit as the T2 fit: S(b) = S0 · exp(-b / (1/ADC))
+    const fit = fitExponentialDecay(diffusionSweep.map(p => p.b), diffusionSweep.map(p => p.amplitude));
+    const fitEl = document.getElementById('diffusion-fit-val');
+    if (fit && isFinite(fit.T2) && fit.T2 > 0) {
+        const fitCurve = theory.map(p => ({ x: p.x, y: fit.S0 * Math.exp(-p.x / fit.T2) }));
+        datasets.push({ label: 'ADC fit', data: fitCurve, borderColor: '#f59e0b', borderWidth: 1.5, pointRadius: 0 });
+        fitEl.textContent = `ADC(fit) = ${(1000 / fit.T2).toFixed(2)} ×10⁻³ mm²/s (true ${CONFIG.diffusionADC.toFixed(1)})`;
+    } else {
+        fitEl.textContent = '--';
+    }
+
+    updateAnalysisChart({
+        xLabel: 'b-value (s/mm²)',
+        yLabel: 'Echo amplitude',
+        yMin: 0,
+        datasets
+    });
+}
+
+/**
+ * Module D: GRE Variants - Multi-TR steady-state simulation
+ * Shows how magnetization evolves over repeated excitations
+ * Spoiled GRE: RF spoiling destroys Mxy → T1-weighted
+ * SSFP: Balanced gradients preserve Mxy → T2/T1-weighted
+ */
+function updateModuleD(dt) {
+    if (greSequenceState !== 'running') return;
+
+    timeInTR += dt;
+
+    // Check if we've completed a TR (bSSFP catalyzation may start with a TR/2 interval)
+    const interval = CONFIG.greType === 'ssfp' ? grePulseTrain[currentTRIndex].interval : CONFIG.TR;
+    if (timeInTR >= interval) {
+        // End of TR: record steady-state signal and prepare for next TR
+        const sum = ensemble.getSumMagnetization();
+        const mxy = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
+
+        // Store signal at end of TR (just before next RF pulse)
+        steadyStateMxy.push(mxy);
+        steadyStateMz.push(sum.Mz);
+
+        currentTRIndex++;
+
+        // Check if we've done all TRs
+        if (currentTRIndex >= (CONFIG.greType === 'ssfp' ? grePulseTrain.length : CONFIG.numTR)) {
+            greSequenceState = 'done';
+            updateSteadyStateDisplay();
+            return;
+        }
+
+        // Prepare for next TR
+        timeInTR = 0;
+
+        // Apply RF pulse at start of new TR
+        if (CONFIG.greType === 'spoiled' && CONFIG.spoilMode === 'ideal') {
+            // Ideal spoiling: just zero out Mxy (perfect spoiling)
+            ensemble.spins.forEach(spin => {
+                spin.Mx = 0;
+                spin.My = 0;
+            });
+            rfPhase = 0;
+        } else if (CONFIG.greType === 'spoiled') {
+            // Spoiler gradient at the end of the TR, then RF (quadratic phase increment with RF spoiling)
+            if (CONFIG.spoilerCycles > 0) ensemble.applySpoiler(CONFIG.spoilerCycles);
+            rfPhase = CONFIG.spoilMode === 'rf' ? getRFSpoilingPhase(currentTRIndex, CONFIG.rfSpoilIncrement) : 0;
+        } else {
+            // SSFP: Balanced gradients mean Mxy is preserved
+            // RF phase advances by the phase-cycling increment (180° = alternating, typical bSSFP)
+            const pulse = grePulseTrain[currentTRIndex];
+            rfPhase = pulse.phase;
+            ensemble.applyRFPulse(pulse.flip, rfPhase);
+            addEventMarker(CONFIG.currentTime, 'rf90', pulse.label);
+        }
+        if (CONFIG.greType === 'spoiled') {
+            ensemble.applyRFPulse(CONFIG.flipAngleD, rfPhase);
+            addEventMarker(CONFIG.currentTime, 'rf90', `α${currentTRIndex + 1}`);
+        }
+    }
+
+    // Evolve ensemble (T1 recovery, T2 decay, precession)
     ensemble.evolve(dt);
 
-    // Get sum magnetization
-    const sum = ensemble.getSumMagnetization();
+    // Get sum magnetization
+    const sum = ensemble.getSumMagnetization();
+
+    // Receiver phase follows the RF phase, so the demodulated signal has a stable phase
+    const rx = rfPhase * Math.PI / 180;
+    const cosRx = Math.cos(rx), sinRx = Math.sin(rx);
+
+    // Record data for continuous plotting
+    timeData.push(CONFIG.currentTime);
+    mxyData.push(Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My));
+    mzData.push(sum.Mz);
+    signalReData.push(sum.Mx * cosRx + sum.My * sinRx);
+    signalImData.push(sum.My * cosRx - sum.Mx * sinRx);
+
+    // Update visualization
+    updateEnsembleArrows();
+    updateVectorDisplay({ Mx: sum.Mx, My: sum.My, Mz: sum.Mz });
+    updateCharts();
+
+    // Update phase coherence display (reuse from Module B/C)
+    const coherentEl = document.getElementById('coherent-count');
+    if (coherentEl) {
+        coherentEl.textContent = ensemble.getPhaseCoherence().toFixed(0) + '%';
+    }
+
+    // Update signal glow
+    const mxy = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
+    updateSignalPanelGlow(mxy, dt);
+}
+
+/**
+ * Modified Bessel function of the first kind, order 0 (power series)
+ */
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    for (let k = 1; k < 50; k++) {
+        term *= (x / (2 * k)) ** 2;
+        sum += term;
+        if (term < 1e-12 * sum) break;
+    }
+    return sum;
+}
+
+/**
+ * bSSFP pulse train with its catalyzation (preparation) pulses
+ * 'half': α/2 at phase −Δφ, TR/2 before the first α, which stores the magnetization close to
+ * the steady-state direction on resonance. 'linear' / 'kaiser': the flip angle ramps up over
+ * the first pulses (linearly, or following the cumulative Kaiser window) so the magnetization
+ * follows the steady state adiabatically. Imaging pulses keep the phase they have without preparation.
+ * @param {Object} params - { prep, flipAngle, numTR, TR, phaseCycle, rampLength, kaiserBeta }
+ * @returns {Object[]} { flip, phase, interval (ms to the next pulse), imaging, label }
+ */
+function getSSFPPulseTrain({ prep = 'none', flipAngle, numTR, TR, phaseCycle = 180, rampLength = 10, kaiserBeta = 3 }) {
+    const train = [];
+    if (prep === 'half') {
+        train.push({ flip: flipAngle / 2, phase: (360 - phaseCycle) % 360, interval: TR / 2, imaging: false, label: 'α/2' });
+    } else if (prep === 'linear' || prep === 'kaiser') {
+        // Cumulative window over rampLength + 1 points: the last point (= α) is the first imaging pulse
+        const window = [];
+        for (let k = 0; k <= rampLength; k++) {
+            const r = 2 * k / rampLength - 1;
+            window.push(prep === 'kaiser' ? besselI0(kaiserBeta * Math.sqrt(1 - r * r)) : 1);
+        }
+        const total = window.reduce((a, b) => a + b, 0);
+        let cumulative = 0;
+        for (let k = 0; k < rampLength; k++) {
+            cumulative += window[k];
+            train.push({
+                flip: flipAngle * cumulative / total,
+                phase: (k * phaseCycle) % 360,
+                interval: TR,
+                imaging: false,
+                label: `ramp ${k + 1}`
+            });
+        }
+    }
+    const offset = prep === 'half' ? 0 : train.length;
+    for (let n = 0; n < numTR; n++) {
+        train.push({ flip: flipAngle, phase: ((offset + n) * phaseCycle) % 360, interval: TR, imaging: true, label: `α${n + 1}` });
+    }
+    return train;
+}
+
+/**
+ * EPG prediction of the Module D multi-TR sequence (same RF timing and phases as updateModuleD)
+ * Ideal spoiling destroys all transverse states; RF spoiling shifts them by one order per TR
+ * (gradient spoiler) and uses the quadratic phase schedule. Without a spoiler gradient the
+ * EPG reduces to a single on-resonance isochromat, which is also the bSSFP case.
+ * bSSFP plays the pulse train of getSSFPPulseTrain (numTR imaging pulses after the preparation).
+ * @param {Object} params - { greType, flipAngle, TR, T1, T2, numTR, spoilMode, rfSpoilIncrement, spoilerCycles,
+ *                            phaseCycle, offResonanceHz, samplesPerTR, prep, rampLength, kaiserBeta }
+ * @returns {{ mxy: Array, mz: Array, snapshots: Array, steadyState: number, echoes: Array }}
+ *          steadyState is |F0| right after the last RF pulse; echoes is |F0| at TE = TR/2 per imaging TR (bSSFP)
+ */
+function simulateGREEPG({ greType, flipAngle, TR, T1, T2, numTR, spoilMode = 'ideal', rfSpoilIncrement = 0, spoilerCycles = 0, phaseCycle = 180, offResonanceHz = 0, samplesPerTR = 20, prep = 'none', rampLength = 10, kaiserBeta = 3 }) {
+    const train = greType === 'ssfp'
+        ? getSSFPPulseTrain({ prep, flipAngle, numTR, TR, phaseCycle, rampLength, kaiserBeta })
+        : null;
+    const numPulses = train ? train.length : numTR;
+    const epg = new EPG(numPulses + 2);
+    const mxy = [];
+    const mz = [];
+    const snapshots = [];
+    const echoes = [];
+    let steadyState = 0;
+    let t = 0;
+
+    for (let n = 0; n < numPulses; n++) {
+        let phase;
+        let flip = flipAngle;
+        let interval = TR;
+        if (train) {
+            ({ flip, phase, interval } = train[n]);
+        } else if (greType === 'spoiled' && spoilMode === 'ideal') {
+            epg.spoil();
+            phase = 0;
+        } else {
+            if (n > 0 && spoilerCycles > 0) epg.dephase();
+            phase = spoilMode === 'rf' ? getRFSpoilingPhase(n, rfSpoilIncrement) : 0;
+        }
+        epg.applyRFPulse(flip, phase);
+
+        const steps = Math.max(2, Math.round(samplesPerTR * interval / TR));
+        const dt = interval / steps;
+        for (let i = 0; i <= steps; i++) {
+            if (i > 0) {
+                epg.relax(dt, T1, T2);
+                epg.precess(2 * Math.PI * offResonanceHz * dt / 1000);
+            }
+            const m = epg.getSignal();
+            if (i === 0) steadyState = Math.hypot(m.Mx, m.My);
+            // bSSFP echo at TE = TR/2 of each imaging pulse
+            if (train && train[n].imaging && 2 * i === steps) echoes.push({ x: echoes.length + 1, y: Math.hypot(m.Mx, m.My) });
+            mxy.push({ x: t + i * dt, y: Math.hypot(m.Mx, m.My) });
+            mz.push({ x: t + i * dt, y: m.Mz });
+        }
+        t += interval;
+        snapshots.push({ time: t, ...epg.getStates() });
+    }
+
+    return { mxy, mz, snapshots, steadyState, echoes };
+}
+
+/**
+ * Current Module D settings as EPG simulation parameters
+ */
+function getGREEPGParams() {
+    return {
+        greType: CONFIG.greType,
+        flipAngle: CONFIG.flipAngleD,
+        TR: CONFIG.TR,
+        T1: CONFIG.T1D,
+        T2: CONFIG.T2D,
+        numTR: CONFIG.numTR,
+        spoilMode: CONFIG.spoilMode,
+        rfSpoilIncrement: CONFIG.rfSpoilIncrement,
+        spoilerCycles: CONFIG.spoilerCycles,
+        phaseCycle: CONFIG.ssfpPhaseCycle,
+        offResonanceHz: CONFIG.greType === 'ssfp' ? CONFIG.ssfpOffResonance : 0,
+        prep: CONFIG.ssfpPrep,
+        rampLength: CONFIG.ssfpRampLength,
+        kaiserBeta: CONFIG.ssfpKaiserBeta
+    };
+}
+
+/**
+ * Overlay the EPG prediction on the Mxy/Mz charts (before a run) and fill the analysis panel
+ */
+function updateGREPrediction() {
+    const epg = simulateGREEPG(getGREEPGParams());
+    // Keep the overlay that matches a sequence already running or finished
+    if (greSequenceState === 'idle') {
+        epgMxyData = epg.mxy;
+        epgMzData = epg.mz;
+        updateCharts();
+    }
+    updateSpoilingReadout();
+    updateSpoilingComparison();
+    if (CONFIG.greType === 'ssfp') {
+        drawBandingPattern();
+        updateSSFPTransientReadout();
+    }
+
+    if (CONFIG.greAnalysisView === 'flip') {
+        setAnalysisPanel('Steady State vs Flip Angle', CONFIG.greType === 'spoiled'
+            ? 'Ideal vs gradient-only vs RF + gradient spoiling (voxel isochromats)'
+            : 'Simulated (EPG) vs on-resonance formula');
+        updateSpoilingComparisonChart();
+    } else if (CONFIG.greAnalysisView === 'frequency') {
+        setAnalysisPanel('bSSFP Frequency Response', '|M| and φ/π at TE = TR/2 over ±1/TR');
+        updateSSFPFrequencyChart();
+    } else if (CONFIG.greAnalysisView === 'transient') {
+        setAnalysisPanel('bSSFP Approach to Steady State', '|S(TE = TR/2)| per TR for each catalyzation scheme');
+        updateSSFPTransientChart();
+    } else {
+        setAnalysisPanel('EPG Configuration States', 'F±k, Zk at the end of each TR');
+        updateEPGStateDiagram(epg.snapshots, 'End of TR (ms)');
+    }
+}
+
+/**
+ * Ideal steady-state signal for the selected GRE type (closed-form)
+ */
+function getIdealGRESignal(flipAngle) {
+    return CONFIG.greType === 'spoiled'
+        ? calculateSpoiledGRESignal(flipAngle, CONFIG.TR, CONFIG.T1D)
+        : calculateSSFPSignal(flipAngle, CONFIG.T1D, CONFIG.T2D);
+}
+
+/**
+ * Steady-state signal of the simulated sequence (EPG run for ≈ 5 T1)
+ */
+function simulateGRESteadyState(flipAngle) {
+    const numTR = Math.min(400, Math.max(50, Math.ceil(5 * CONFIG.T1D / CONFIG.TR)));
+    return simulateGREEPG({ ...getGREEPGParams(), flipAngle, numTR, samplesPerTR: 1 }).steadyState;
+}
+
+/**
+ * Spoiled GRE steady state of isochromats spread evenly across one voxel
+ * The spoiler twists isochromat j by 2π·k·xj each TR (k cycles/voxel). Gradient spoiling alone
+ * leaves coherences that refocus in later TRs (residual T2 dependence); the quadratic RF
+ * phase of RF spoiling scatters them. Few isochromats alias high dephasing orders back to zero.
+ * @param {Object} params - { flipAngle, TR, T1, T2, numTR, spoilMode, rfSpoilIncrement, spoilerCycles, numSpins }
+ * @returns {number} |S| right after the last RF pulse (M0 units)
+ */
+function simulateVoxelSpoiledGRE({ flipAngle, TR, T1, T2, numTR, spoilMode, rfSpoilIncrement = 0, spoilerCycles = 1, numSpins = 100 }) {
+    const alpha = flipAngle * Math.PI / 180;
+    const ca = Math.cos(alpha), sa = Math.sin(alpha);
+    const E1 = Math.exp(-TR / T1);
+    const E2 = Math.exp(-TR / T2);
+    const mx = new Float64Array(numSpins);
+    const my = new Float64Array(numSpins);
+    const mz = new Float64Array(numSpins).fill(1);
+    const twistCos = [];
+    const twistSin = [];
+    for (let j = 0; j < numSpins; j++) {
+        const theta = 2 * Math.PI * spoilerCycles * ((j + 0.5) / numSpins - 0.5);
+        twistCos.push(Math.cos(theta));
+        twistSin.push(Math.sin(theta));
+    }
+
+    let signal = 0;
+    for (let n = 0; n < numTR; n++) {
+        const phase = spoilMode === 'rf' ? getRFSpoilingPhase(n, rfSpoilIncrement) * Math.PI / 180 : 0;
+        const cp = Math.cos(phase), sp = Math.sin(phase);
+        let sumX = 0, sumY = 0;
+        for (let j = 0; j < numSpins; j++) {
+            if (spoilMode === 'ideal') {
+                mx[j] = 0;
+                my[j] = 0;
+            }
+            // Tip about the RF axis at angle φ: rotate into its frame, rotate about x', rotate back
+            const u = mx[j] * cp + my[j] * sp;
+            const v = -mx[j] * sp + my[j] * cp;
+            const vTip = v * ca - mz[j] * sa;
+            mz[j] = v * sa + mz[j] * ca;
+            mx[j] = u * cp - vTip * sp;
+            my[j] = u * sp + vTip * cp;
+            sumX += mx[j];
+            sumY += my[j];
+
+            // Relaxation over the TR, then the spoiler twist
+            const rx = mx[j] * E2, ry = my[j] * E2;
+            mx[j] = rx * twistCos[j] - ry * twistSin[j];
+            my[j] = rx * twistSin[j] + ry * twistCos[j];
+            mz[j] = 1 + (mz[j] - 1) * E1;
+        }
+        signal = Math.hypot(sumX, sumY) / numSpins;
+    }
+    return signal;
+}
+
+/**
+ * Steady state of the voxel isochromats for one spoiling scheme at the current Module D settings
+ */
+function getVoxelSpoiledSignal(flipAngle, spoilMode) {
+    return simulateVoxelSpoiledGRE({
+        flipAngle,
+        TR: CONFIG.TR,
+        T1: CONFIG.T1D,
+        T2: CONFIG.T2D,
+        numTR: Math.min(400, Math.max(50, Math.ceil(5 * CONFIG.T1D / CONFIG.TR))),
+        spoilMode,
+        rfSpoilIncrement: CONFIG.rfSpoilIncrement,
+        spoilerCycles: CONFIG.spoilerCycles,
+        numSpins: CONFIG.greVoxelSpins
+    });
+}
+
+/**
+ * Ideal / gradient-only / RF + gradient steady state at the current flip angle (next to the Ernst angle)
+ */
+function updateSpoilingComparison() {
+    const el = document.getElementById('spoil-compare-val');
+    el.style.display = CONFIG.greType === 'spoiled' ? 'block' : 'none';
+    if (CONFIG.greType !== 'spoiled') return;
+
+    const ideal = calculateSpoiledGRESignal(CONFIG.flipAngleD, CONFIG.TR, CONFIG.T1D);
+    const gradient = getVoxelSpoiledSignal(CONFIG.flipAngleD, 'gradient');
+    const rf = getVoxelSpoiledSignal(CONFIG.flipAngleD, 'rf');
+    el.innerHTML = `At α = ${CONFIG.flipAngleD}°: ideal ${(ideal * 100).toFixed(1)}% · ` +
+        `<span style="color: #ef4444;">gradient only ${(gradient * 100).toFixed(1)}%</span> · ` +
+        `<span style="color: #22c55e;">RF + gradient ${(rf * 100).toFixed(1)}%</span>`;
+}
+
+/**
+ * Compare the simulated steady state with the ideal formula at the current flip angle
+ */
+function updateSpoilingReadout() {
+    const simulated = simulateGRESteadyState(CONFIG.flipAngleD);
+    const ideal = getIdealGRESignal(CONFIG.flipAngleD);
+    const deviation = (simulated / ideal - 1) * 100;
+    document.getElementById('spoil-residual-val').textContent =
+        `Simulated ${(simulated * 100).toFixed(1)}% vs ideal ${(ideal * 100).toFixed(1)}% ` +
+        `(${deviation >= 0 ? '+' : ''}${deviation.toFixed(1)}%)`;
+}
+
+/**
+ * Steady-state signal vs flip angle: simulated sequence against the ideal formula
+ * The gap is the residual T2 weighting left by imperfect spoiling (or the T2/T1 weighting of bSSFP)
+ */
+function updateSpoilingComparisonChart() {
+    if (CONFIG.greType === 'spoiled') {
+        updateVoxelSpoilingChart();
+        return;
+    }
+
+    const ideal = [];
+    const simulated = [];
+    for (let flip = 1; flip <= 90; flip += flip < 10 ? 1 : 2) {
+        ideal.push({ x: flip, y: getIdealGRESignal(flip) });
+        simulated.push({ x: flip, y: simulateGRESteadyState(flip) });
+    }
+
+    updateAnalysisChart({
+        xLabel: 'Flip angle (°)',
+        yLabel: 'Steady-state signal (M0)',
+        yMin: 0,
+        datasets: [
+            {
+                label: CONFIG.greType === 'spoiled' ? 'Ideal spoiling' : 'On-resonance formula',
+                data: ideal,
+                borderColor: '#94a3b8',
+                borderWidth: 1.5,
+                borderDash: [4, 3],
+                pointRadius: 0
+            },
+            {
+                label: `Simulated (T2 = ${CONFIG.T2D} ms)`,
+                data: simulated,
+                borderColor: '#22c55e',
+                borderWidth: 2,
+                pointRadius: 0
+            }
+        ],
+        annotations: {
+            current: {
+                type: 'line',
+                xMin: CONFIG.flipAngleD,
+                xMax: CONFIG.flipAngleD,
+                borderColor: '#f59e0b',
+                borderWidth: 1.5,
+                borderDash: [2, 2]
+            }
+        }
+    });
+}
+
+/**
+ * Spoiled GRE: ideal formula, gradient spoiling alone and RF + gradient spoiling of the voxel
+ * isochromats against flip angle, with the Ernst angle of the ideal curve
+ */
+function updateVoxelSpoilingChart() {
+    const ideal = [];
+    const gradient = [];
+    const rf = [];
+    for (let flip = 1; flip <= 90; flip += flip < 10 ? 1 : 2) {
+        ideal.push({ x: flip, y: calculateSpoiledGRESignal(flip, CONFIG.TR, CONFIG.T1D) });
+        gradient.push({ x: flip, y: getVoxelSpoiledSignal(flip, 'gradient') });
+        rf.push({ x: flip, y: getVoxelSpoiledSignal(flip, 'rf') });
+    }
+    const ernst = calculateErnstAngle(CONFIG.TR, CONFIG.T1D);
+
+    updateAnalysisChart({
+        xLabel: 'Flip angle (°)',
+        yLabel: 'Steady-state signal (M0)',
+        yMin: 0,
+        datasets: [
+            {
+                label: 'Ideal spoiling',
+                data: ideal,
+                borderColor: '#94a3b8',
+                borderWidth: 1.5,
+                borderDash: [4, 3],
+                pointRadius: 0
+            },
+            {
+                label: `Gradient only (${CONFIG.spoilerCycles} cycles/voxel)`,
+                data: gradient,
+                borderColor: '#ef4444',
+                borderWidth: 2,
+                pointRadius: 0
+            },
+            {
+                label: `RF + gradient (Δ = ${CONFIG.rfSpoilIncrement}°)`,
+                data: rf,
+                borderColor: '#22c55e',
+                borderWidth: 2,
+                pointRadius: 0
+            }
+        ],
+        annotations: {
+            current: {
+                type: 'line',
+                xMin: CONFIG.flipAngleD,
+                xMax: CONFIG.flipAngleD,
+                borderColor: '#f59e0b',
+                borderWidth: 1.5,
+                borderDash: [2, 2]
+            },
+            ernst: {
+                type: 'line',
+                xMin: ernst,
+                xMax: ernst,
+                borderColor: '#ffffff',
+                borderWidth: 1,
+                borderDash: [6, 4],
+                label: {
+                    display: true,
+                    content: `Ernst ${ernst.toFixed(1)}°`,
+                    position: 'start',
+                    backgroundColor: 'rgba(0,0,0,0.7)',
+                    color: '#ffffff',
+                    font: { size: 10 },
+                    padding: 3
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Steady-state bSSFP signal for the current Module D settings
+ */
+function getBSSFPSignal(offResonanceHz, phaseCycle) {
+    return calculateBSSFPSteadyState({
+        flipAngle: CONFIG.flipAngleD,
+        TR: CONFIG.TR,
+        TE: CONFIG.TR / 2,
+        T1: CONFIG.T1D,
+        T2: CONFIG.T2D,
+        offResonanceHz,
+        phaseCycle
+    });
+}
+
+/**
+ * Plot magnitude and phase of the bSSFP steady state over ±1/TR for each phase-cycling scheme
+ */
+function updateSSFPFrequencyChart() {
+    const span = 1000 / CONFIG.TR; // 1/TR in Hz
+    const colors = { 0: '#ef4444', 90: '#f59e0b', 180: '#22c55e', 270: '#8b5cf6' };
+    const datasets = [];
+
+    SSFP_PHASE_CYCLES.forEach(cycle => {
+        const selected = cycle === CONFIG.ssfpPhaseCycle;
+        const magnitude = [];
+        const phase = [];
+        for (let i = 0; i <= 200; i++) {
+            const f = -span + (2 * span * i) / 200;
+            const m = getBSSFPSignal(f, cycle);
+            magnitude.push({ x: f, y: m.magnitude });
+            phase.push({ x: f, y: m.phase / Math.PI });
+        }
+        datasets.push({
+            label: `|M| Δφ=${cycle}°`,
+            data: magnitude,
+            borderColor: colors[cycle],
+            borderWidth: selected ? 2.5 : 1,
+            pointRadius: 0
+        });
+        if (selected) {
+            datasets.push({
+                label: `φ/π Δφ=${cycle}°`,
+                data: phase,
+                borderColor: colors[cycle],
+                borderWidth: 1,
+                borderDash: [4, 3],
+                pointRadius: 0
+            });
+        }
+    });
+
+    updateAnalysisChart({
+        xLabel: 'Off-resonance (Hz)',
+        yLabel: '|M| / φ/π',
+        yMin: -1.05,
+        yMax: 1.05,
+        datasets,
+        annotations: {
+            ensemble: {
+                type: 'line',
+                xMin: CONFIG.ssfpOffResonance,
+                xMax: CONFIG.ssfpOffResonance,
+                borderColor: '#ffffff',
+                borderWidth: 1.5,
+                borderDash: [2, 2],
+                label: {
+                    display: true,
+                    content: 'Spins',
+                    position: 'start',
+                    backgroundColor: 'rgba(0,0,0,0.7)',
+                    color: '#ffffff',
+                    font: { size: 10 },
+                    padding: 3
+                }
+            }
+        }
+    });
+}
+
+/**
+ * bSSFP echo amplitudes for one catalyzation scheme and how strongly they oscillate
+ * The oscillation is the TR-to-TR zig-zag |Sn − (Sn−1 + Sn+1)/2|, which leaves out the slow
+ * T1-driven drift towards the steady state that no catalyzation removes
+ * @returns {{ echoes: Array, steadyState: number, oscillation: number, settled: number|null }}
+ *          oscillation is the largest zig-zag (M0 units); settled is the first TR after which it stays below 1% of M0
+ */
+function getSSFPTransient(prep) {
+    const { echoes } = simulateGREEPG({ ...getGREEPGParams(), prep, numTR: SSFP_TRANSIENT_TRS, samplesPerTR: 2 });
+    const steadyState = getBSSFPSignal(CONFIG.ssfpOffResonance, CONFIG.ssfpPhaseCycle).magnitude;
+    let oscillation = 0;
+    let settled = null;
+    for (let n = 1; n < echoes.length - 1; n++) {
+        const zigzag = Math.abs(echoes[n].y - (echoes[n - 1].y + echoes[n + 1].y) / 2);
+        oscillation = Math.max(oscillation, zigzag);
+        if (zigzag > 0.01) settled = null;
+        else if (settled === null) settled = echoes[n].x;
+    }
+    return { echoes, steadyState, oscillation, settled };
+}
+
+/**
+ * Oscillation of the selected catalyzation scheme (bSSFP controls)
+ */
+function updateSSFPTransientReadout() {
+    const { oscillation, settled } = getSSFPTransient(CONFIG.ssfpPrep);
+    document.getElementById('ssfp-transient-val').textContent =
+        `Oscillation up to ${(oscillation * 100).toFixed(1)}% of M0 · ` +
+        (settled === null ? `still above 1% after ${SSFP_TRANSIENT_TRS} TRs` : `below 1% from TR ${settled}`);
+}
+
+/**
+ * Per-TR bSSFP echo signal for every catalyzation scheme against the steady state
+ */
+function updateSSFPTransientChart() {
+    const schemes = [
+        { prep: 'none', label: 'No preparation', color: '#ef4444' },
+        { prep: 'half', label: 'α/2 – TR/2', color: '#22c55e' },
+        { prep: 'linear', label: `Linear ramp (${CONFIG.ssfpRampLength})`, color: '#f59e0b' },
+        { prep: 'kaiser', label: `Kaiser ramp (${CONFIG.ssfpRampLength})`, color: '#8b5cf6' }
+    ];
+    let steadyState = 0;
+    const datasets = schemes.map(scheme => {
+        const transient = getSSFPTransient(scheme.prep);
+        steadyState = transient.steadyState;
+        const selected = scheme.prep === CONFIG.ssfpPrep;
+        return {
+            label: `${scheme.label} (osc. ${(transient.oscillation * 100).toFixed(1)}%)`,
+            data: transient.echoes,
+            borderColor: scheme.color,
+            borderWidth: selected ? 2.5 : 1,
+            pointRadius: 0
+        };
+    });
+    datasets.push({
+        label: 'Steady state',
+        data: [{ x: 1, y: steadyState }, { x: SSFP_TRANSIENT_TRS, y: steadyState }],
+        borderColor: '#94a3b8',
+        borderWidth: 1.5,
+        borderDash: [4, 3],
+        pointRadius: 0
+    });
+
+    updateAnalysisChart({
+        xLabel: 'TR number (after preparation)',
+        yLabel: '|S(TE)| (M0)',
+        yMin: 0,
+        datasets
+    });
+}
+
+/**
+ * Synthetic B0 field map (Hz) over a unit disk: linear shim error plus a susceptibility bump
+ */
+function getSyntheticFieldMap(x, y) {
+    return 60 * x + 40 * (x * x + y * y) + 50 * Math.exp(-((x - 0.3) ** 2 + (y + 0.3) ** 2) / 0.05) - 20;
+}
+
+/**
+ * Render the banding pattern of a disk phantom for each RF phase-cycling scheme
+ * Dark stripes follow the field-map contours where the spins sit in a stopband
+ */
+function drawBandingPattern() {
+    const canvas = document.getElementById('banding-canvas');
+    const ctx = canvas.getContext('2d');
+    const tile = canvas.height - 14;
+    const gap = (canvas.width - SSFP_PHASE_CYCLES.length * tile) / (SSFP_PHASE_CYCLES.length - 1);
+
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Normalize all tiles to the same (on-resonance passband) peak
+    const peak = Math.max(...SSFP_PHASE_CYCLES.map(cycle => {
+        let max = 0;
+        for (let f = -500 / CONFIG.TR; f <= 500 / CONFIG.TR; f += 10 / CONFIG.TR) {
+            max = Math.max(max, getBSSFPSignal(f, cycle).magnitude);
+        }
+        return max;
+    }));
+
+    SSFP_PHASE_CYCLES.forEach((cycle, n) => {
+        const x0 = Math.round(n * (tile + gap));
+        const image = ctx.createImageData(tile, tile);
+        for (let py = 0; py < tile; py++) {
+            for (let px = 0; px < tile; px++) {
+                const x = (px + 0.5) / tile * 2 - 1;
+                const y = (py + 0.5) / tile * 2 - 1;
+                if (x * x + y * y > 0.9) continue;
+                const value = Math.min(255, 255 * getBSSFPSignal(getSyntheticFieldMap(x, y), cycle).magnitude / peak);
+                const idx = 4 * (py * tile + px);
+                image.data[idx] = value;
+                image.data[idx + 1] = value;
+                image.data[idx + 2] = value;
+                image.data[idx + 3] = 255;
+            }
+        }
+        ctx.putImageData(image, x0, 0);
+
+        const selected = cycle === CONFIG.ssfpPhaseCycle;
+        if (selected) {
+            ctx.strokeStyle = '#22c55e';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x0 + 1, 1, tile - 2, tile - 2);
+        }
+        ctx.fillStyle = selected ? '#22c55e' : '#94a3b8';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${cycle}°`, x0 + tile / 2, canvas.height - 3);
+    });
+}
+
+/**
+ * Update the Ernst angle and steady-state signal displays
+ */
+function updateErnstAngleDisplay() {
+    const ernst = calculateErnstAngle(CONFIG.TR, CONFIG.T1D);
+    document.getElementById('ernst-angle-val').textContent = ernst.toFixed(1) + '°';
+}
+
+/**
+ * Show the spoiling controls (spoiled GRE) or the off-resonance controls (bSSFP)
+ */
+function updateGRETypeControls() {
+    const spoiled = CONFIG.greType === 'spoiled';
+    document.getElementById('spoil-controls').style.display = spoiled ? 'block' : 'none';
+    document.getElementById('gradient-spoil-params').style.display = CONFIG.spoilMode === 'ideal' ? 'none' : 'block';
+    document.getElementById('rf-spoil-params').style.display = CONFIG.spoilMode === 'rf' ? 'block' : 'none';
+    document.getElementById('ssfp-controls').style.display = spoiled ? 'none' : 'block';
+
+    document.getElementById('ssfp-ramp-params').style.display =
+        CONFIG.ssfpPrep === 'linear' || CONFIG.ssfpPrep === 'kaiser' ? 'block' : 'none';
+
+    // The frequency response and the catalyzation transient only exist for the balanced sequence
+    const viewSelect = document.getElementById('gre-analysis-view');
+    ['frequency', 'transient'].forEach(view => {
+        viewSelect.querySelector(`option[value="${view}"]`).disabled = spoiled;
+    });
+    if (spoiled && (CONFIG.greAnalysisView === 'frequency' || CONFIG.greAnalysisView === 'transient')) {
+        CONFIG.greAnalysisView = 'states';
+        viewSelect.value = 'states';
+    }
+}
+
+/**
+ * Update steady-state signal display after sequence completes
+ */
+function updateSteadyStateDisplay() {
+    let signal;
+    if (CONFIG.greType === 'spoiled') {
+        signal = calculateSpoiledGRESignal(CONFIG.flipAngleD, CONFIG.TR, CONFIG.T1D);
+    } else {
+        signal = calculateSSFPSignal(CONFIG.flipAngleD, CONFIG.T1D, CONFIG.T2D);
+    }
+    document.getElementById('steady-state-val').textContent = (signal * 100).toFixed(1) + '%';
+}
+
+/**
+ * Run the GRE multi-TR sequence
+ */
+function runGRESequence() {
+    resetSimulation();
+
+    // Create ensemble with minimal frequency spread (on-resonance for SSFP)
+    // Use small spread for spoiled GRE to show T2* effects
+    const freqSpread = CONFIG.greType === 'ssfp' ? 5 : 20;
+    const numSpins = CONFIG.greType === 'spoiled' ? CONFIG.greVoxelSpins : CONFIG.numSpins;
+    ensemble = new SpinEnsemble(numSpins, CONFIG.T1D, CONFIG.T2D, freqSpread, CONFIG.B0);
+    // Spread the spins evenly across a 1 mm voxel so the spoiler gradient can twist them
+    ensemble.setPositions(ensemble.spins.map((_, i) => (i + 0.5) / numSpins - 0.5));
+    if (CONFIG.greType === 'ssfp') {
+        // Shift the whole ensemble off resonance (position on the bSSFP frequency response)
+        ensemble.spins.forEach(spin => { spin.deltaOmegaB0 += CONFIG.ssfpOffResonance; });
+    }
+    createEnsembleArrows();
+    updateGREPrediction();
+
+    // Initialize state
+    greSequenceState = 'running';
+    currentTRIndex = 0;
+    timeInTR = 0;
+    steadyStateMxy = [];
+    steadyStateMz = [];
+
+    // Apply initial RF pulse (bSSFP: first pulse of the catalyzation, if any)
+    if (CONFIG.greType === 'ssfp') {
+        grePulseTrain = getSSFPPulseTrain({
+            prep: CONFIG.ssfpPrep,
+            flipAngle: CONFIG.flipAngleD,
+            numTR: CONFIG.numTR,
+            TR: CONFIG.TR,
+            phaseCycle: CONFIG.ssfpPhaseCycle,
+            rampLength: CONFIG.ssfpRampLength,
+            kaiserBeta: CONFIG.ssfpKaiserBeta
+        });
+        ensemble.applyRFPulse(grePulseTrain[0].flip, grePulseTrain[0].phase);
+        addEventMarker(0, 'rf90', grePulseTrain[0].label);
+        CONFIG.maxTime = grePulseTrain.reduce((sum, pulse) => sum + pulse.interval, 0) + 50;
+    } else {
+        ensemble.applyRFPulse(CONFIG.flipAngleD, 0);
+        addEventMarker(0, 'rf90', 'α1');
+
+        // Set max time based on number of TRs
+        CONFIG.maxTime = CONFIG.TR * CONFIG.numTR + 50;
+    }
+
+    // Update displays
+    updateErnstAngleDisplay();
+
+    CONFIG.isPlaying = true;
+}
+
+/**
+ * Module E: Slice Selection
+ * The RF pulse plays under the slice-select gradient (via startRFPulse),
+ * then a negative rephasing lobe unwinds the through-slice phase.
+ */
+function updateModuleE(dt) {
+    if (sliceSequenceState !== 'rephase') return;
+
+    // Split the step at the end of the rephasing lobe
+    const lobeDt = Math.min(dt, sliceRephaseDuration - sliceRephaseTime);
+    if (lobeDt > 0) {
+        ensemble.evolve(lobeDt);
+        sliceRephaseTime += lobeDt;
+    }
+
+    if (sliceRephaseTime >= sliceRephaseDuration - 1e-9) {
+        // Rephasing lobe complete: switch gradient off
+        ensemble.applySpatialGradient(0);
+        if (dt > lobeDt) ensemble.evolve(dt - lobeDt);
+        addEventMarker(CONFIG.currentTime, 'gradient_restore', 'G off');
+        sliceSequenceState = 'done';
+        CONFIG.isPlaying = false;
+    }
+
+    const sum = ensemble.getSumMagnetization();
+
+    // Record data
+    timeData.push(CONFIG.currentTime);
+    mxyData.push(Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My));
+    mzData.push(sum.Mz);
+    signalReData.push(sum.Mx);
+    signalImData.push(sum.My);
+
+    updateEnsembleArrows();
+    updateVectorDisplay({ Mx: sum.Mx, My: sum.My, Mz: sum.Mz });
+    updateCharts();
+    updateSliceProfile();
+    updateSignalPanelGlow(Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My), dt);
+}
+
+/**
+ * Build the slice-selective pulse from the Module E settings
+ */
+function createSlicePulse() {
+    return new RFPulse({
+        shape: CONFIG.sliceShape,
+        duration: CONFIG.sliceDuration,
+        flipAngle: CONFIG.sliceFlipAngle,
+        tbw: CONFIG.sliceTBW
+    });
+}
+
+/**
+ * Slice-select gradient (mT/m) that maps the pulse bandwidth onto the slice thickness
+ * Gss = BW / (γ · Δz)
+ */
+function calculateSliceGradient(bandwidthHz, thicknessMm) {
+    return bandwidthHz / (GAMMA * thicknessMm);
+}
+
+/**
+ * Create the spatial isochromat ensemble for Module E
+ * Isochromats span ±2 slice thicknesses so the transition bands and side lobes are visible
+ */
+function initModuleE() {
+    ensemble = new SpinEnsemble(CONFIG.sliceNumSpins, CONFIG.T1, CONFIG.T2ensemble, 0, CONFIG.B0);
+    const halfFOV = 2 * CONFIG.sliceThickness;
+    ensemble.setPositions(ensemble.spins.map((_, i) =>
+        ((i / (CONFIG.sliceNumSpins - 1)) * 2 - 1) * halfFOV
+    ));
+    createEnsembleArrows();
+    updateSliceReadouts();
+    updateSliceProfile();
+}
+
+/**
+ * Run Module E: slice-select gradient + shaped RF, then rephasing lobe
+ */
+function runSliceSequence() {
+    resetSimulation();
+    initModuleE();
+
+    const pulse = createSlicePulse();
+    sliceGradient = calculateSliceGradient(pulse.getBandwidth(), CONFIG.sliceThickness);
+
+    // Rephasing lobe: same amplitude, opposite sign, area = sliceRephase% of the slice-select area
+    sliceRephaseDuration = pulse.duration * CONFIG.sliceRephase / 100;
+    sliceRephaseTime = 0;
+
+    ensemble.applySpatialGradient(sliceGradient);
+    addEventMarker(0, 'rf90', `${CONFIG.sliceFlipAngle}° + Gss`);
+    sliceSequenceState = 'excite';
+
+    startRFPulse(pulse, () => {
+        // Slice-select lobe ends with the pulse; switch to the rephasing lobe
+        ensemble.applySpatialGradient(-sliceGradient);
+        addEventMarker(CONFIG.currentTime, 'gradient_flip', `Rephase ${CONFIG.sliceRephase}%`);
+        sliceSequenceState = sliceRephaseDuration > 0 ? 'rephase' : 'done';
+        if (sliceSequenceState === 'done') {
+            ensemble.applySpatialGradient(0);
+            CONFIG.isPlaying = false;
+        }
+    }, updateSliceProfile);
+
+    CONFIG.maxTime = pulse.duration + sliceRephaseDuration + 1;
+    updateSliceReadouts();
+    CONFIG.isPlaying = true;
+}
+
+/**
+ * Update the Module E numeric readouts (gradient, signal, coherence)
+ */
+function updateSliceReadouts() {
+    const pulse = createSlicePulse();
+    const gss = calculateSliceGradient(pulse.getBandwidth(), CONFIG.sliceThickness);
+    document.getElementById('slice-gradient-val').textContent =
+        `Gss = ${gss.toFixed(1)} mT/m (BW ${pulse.getBandwidth().toFixed(0)} Hz)`;
+
+    const sum = ensemble.getSumMagnetization();
+    const netMxy = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
+    document.getElementById('slice-signal-val').textContent = netMxy.toFixed(3);
+    document.getElementById('coherent-count-E').textContent = ensemble.getPhaseCoherence().toFixed(0) + '%';
+}
+
+/**
+ * Plot the slice profile: |Mxy|(z), Mz(z) and through-slice phase φ(z)/π
+ */
+function updateSliceProfile() {
+    const mxyProfile = [];
+    const mzProfile = [];
+    const phaseProfile = [];
+    ensemble.spins.forEach(spin => {
+        const mxy = spin.getMxy();
+        mxyProfile.push({ x: spin.position, y: mxy });
+        mzProfile.push({ x: spin.position, y: spin.Mz });
+        // Phase is undefined where there is no transverse magnetization
+        phaseProfile.push({ x: spin.position, y: mxy > 0.02 ? spin.getPhase() / Math.PI : null });
+    });
+
+    const halfThickness = CONFIG.sliceThickness / 2;
+    updateAnalysisChart({
+        xLabel: 'Position z (mm)',
+        yLabel: 'Magnetization',
+        yMin: -1.1,
+        yMax: 1.1,
+        datasets: [
+            { label: '|Mxy|(z)', data: mxyProfile, borderColor: '#22d3ee', borderWidth: 2, pointRadius: 0, tension: 0.1 },
+            { label: 'Mz(z)', data: mzProfile, borderColor: '#3b82f6', borderWidth: 2, pointRadius: 0, tension: 0.1 },
+            { label: 'φ(z)/π', data: phaseProfile, borderColor: '#8b5cf6', borderWidth: 1.5, borderDash: [4, 3], pointRadius: 1.5, tension: 0, spanGaps: false }
+        ],
+        annotations: {
+            slice: {
+                type: 'box',
+                xMin: -halfThickness,
+                xMax: halfThickness,
+                backgroundColor: 'rgba(16, 185, 129, 0.08)',
+                borderColor: 'rgba(16, 185, 129, 0.4)',
+                borderWidth: 1,
+                label: { display: true, content: 'Nominal slice', position: 'start', color: '#10b981', font: { size: 10 } }
+            }
+        }
+    });
+
+    updateSliceReadouts();
+}
+
+// ============================================
+// MODULE F: MAGNETIZATION TRANSFER (BLOCH–McCONNELL)
+// ============================================
+
+const MT_POOL_COLORS = { bound: 0xc084fc, cest: 0xfb923c };
+const Z_SPECTRUM_RANGE = 20; // ±ppm
+
+/**
+ * Pools for the current Module F settings: free water, bound macromolecules, CEST solute
+ */
+function createMTModel() {
+    const pools = [
+        {
+            name: 'free',
+            fraction: 1 - CONFIG.mtBoundFraction - CONFIG.mtCestFraction,
+            T1: CONFIG.mtT1Free,
+            T2: CONFIG.mtT2Free,
+            offsetPpm: 0,
+            exchangeRate: 0,
+            lineshape: 'lorentzian'
+        }
+    ];
+    if (CONFIG.mtBoundFraction > 0) {
+        pools.push({
+            name: 'bound',
+            fraction: CONFIG.mtBoundFraction,
+            T1: CONFIG.mtBoundT1,
+            T2: CONFIG.mtBoundT2,
+            offsetPpm: CONFIG.mtBoundOffset,
+            exchangeRate: CONFIG.mtBoundExchange,
+            lineshape: 'superLorentzian'
+        });
+    }
+    if (CONFIG.mtCestFraction > 0) {
+        pools.push({
+            name: 'cest',
+            fraction: CONFIG.mtCestFraction,
+            T1: CONFIG.mtT1Free,
+            T2: CONFIG.mtCestT2,
+            offsetPpm: CONFIG.mtCestOffset,
+            exchangeRate: CONFIG.mtCestExchange,
+            lineshape: 'lorentzian'
+        });
+    }
+    return new BlochMcConnell(pools, CONFIG.B0);
+}
+
+/**
+ * Set up Module F: fresh pools at equilibrium, free-water display spin and pool arrows
+ */
+function initModuleF() {
+    mtModel = createMTModel();
+    // A single display spin carries the free-water magnetization for the shared 3D arrows
+    ensemble = new SpinEnsemble(1, CONFIG.mtT1Free, CONFIG.mtT2Free, 0, CONFIG.B0);
+    createEnsembleArrows();
+    createPoolArrows();
+    syncMTDisplay();
+    updateMTReadouts();
+    updateZSpectrumChart();
+}
+
+function createPoolArrows() {
+    removePoolArrows();
+    mtModel.pools.forEach((pool, i) => {
+        if (i === 0) return;
+        const x = pool.name === 'bound' ? 1.2 : -1.2;
+        const arrow = new THREE.ArrowHelper(
+            new THREE.Vector3(0, 1, 0), new THREE.Vector3(x, 0, 0), 0.8, MT_POOL_COLORS[pool.name], 0.1, 0.06
+        );
+        arrow.userData.pool = i;
+        poolArrows.push(arrow);
+        scene.add(arrow);
+    });
+}
+
+function removePoolArrows() {
+    poolArrows.forEach(arrow => scene.remove(arrow));
+    poolArrows = [];
+}
+
+/**
+ * Copy the free-water state to the display spin and update the pool Mz arrows
+ */
+function syncMTDisplay() {
+    const free = mtModel.getPoolMagnetization(0);
+    const spin = ensemble.spins[0];
+    spin.Mx = free.Mx;
+    spin.My = free.My;
+    spin.Mz = free.Mz;
+    updateEnsembleArrows();
+
+    poolArrows.forEach(arrow => {
+        const Mz = mtModel.getPoolMagnetization(arrow.userData.pool).Mz;
+        arrow.visible = Math.abs(Mz) > 0.02;
+        if (arrow.visible) {
+            arrow.setDirection(toDisplayVector(0, 0, Math.sign(Mz)).normalize());
+            arrow.setLength(0.8 * Math.abs(Mz), 0.1, 0.06);
+        }
+    });
+    updateVectorDisplay(free);
+}
+
+/**
+ * Module F: continuous-wave saturation, then free recovery with exchange
+ * Steps are split at the end of the saturation pulse
+ */
+function updateModuleF(dt) {
+    if (mtSequenceState === 'idle') return;
+
+    let remaining = dt;
+    if (mtSequenceState === 'saturate') {
+        const satDt = Math.min(remaining, CONFIG.mtSatDuration - mtTime);
+        if (satDt > 0) {
+            mtModel.evolve(satDt, CONFIG.mtSatB1, CONFIG.mtSatOffset);
+            mtTime += satDt;
+            remaining -= satDt;
+        }
+        if (mtTime >= CONFIG.mtSatDuration - 1e-9) {
+            mtSequenceState = 'recover';
+            mtSaturatedMz = mtModel.getPoolMagnetization(0).Mz;
+            addEventMarker(CONFIG.mtSatDuration, 'saturation', 'Sat off');
+            updateMTReadouts();
+            updateZSpectrumChart();
+        }
+    }
+    if (mtSequenceState === 'recover' && remaining > 1e-9) {
+        mtModel.evolve(remaining);
+        mtTime += remaining;
+    }
+
+    const free = mtModel.getPoolMagnetization(0);
+    timeData.push(CONFIG.currentTime);
+    mxyData.push(Math.sqrt(free.Mx * free.Mx + free.My * free.My));
+    mzData.push(free.Mz);
+    signalReData.push(free.Mx);
+    signalImData.push(free.My);
+    const boundIndex = mtModel.pools.findIndex(pool => pool.name === 'bound');
+    if (boundIndex > 0) {
+        boundMzData.push({ x: CONFIG.currentTime, y: mtModel.getPoolMagnetization(boundIndex).Mz });
+    }
+
+    syncMTDisplay();
+    updateCharts();
+    updateSignalPanelGlow(Math.sqrt(free.Mx * free.Mx + free.My * free.My), dt);
+}
+
+/**
+ * Run Module F: saturation pulse at the chosen offset, then recovery
+ */
+function runMTSequence() {
+    resetSimulation();
+    mtSequenceState = 'saturate';
+    addEventMarker(0, 'saturation', `Sat ${CONFIG.mtSatOffset} ppm`);
+    CONFIG.maxTime = CONFIG.mtSatDuration + CONFIG.mtRecoveryTime;
+    updateMTReadouts();
+    CONFIG.isPlaying = true;
+}
+
+/**
+ * Rebuild the pools after a parameter change (the run restarts from equilibrium)
+ */
+function rebuildMTModel() {
+    if (CONFIG.currentModule !== 'F') return;
+    resetSimulation();
+    initModuleF();
+}
+
+/**
+ * Update the Module F readouts (offset in Hz, saturated Mz and MTR)
+ */
+function updateMTReadouts() {
+    const offsetHz = CONFIG.mtSatOffset * GAMMA * CONFIG.B0;
+    document.getElementById('mt-offset-hz-val').textContent =
+        `Offset ${offsetHz.toFixed(0)} Hz at ${CONFIG.B0} T · k(free → bound) = ` +
+        `${(CONFIG.mtBoundExchange * CONFIG.mtBoundFraction / (1 - CONFIG.mtBoundFraction - CONFIG.mtCestFraction)).toFixed(1)} s⁻¹`;
+    document.getElementById('mt-saturation-val').textContent = mtSaturatedMz === null ? '--' :
+        `${mtSaturatedMz.toFixed(3)} (MTR ${((1 - mtSaturatedMz) * 100).toFixed(0)}%)`;
+}
+
+/**
+ * Z-spectrum: free-water Mz/M0 after the saturation pulse vs offset
+ * Compared with water alone (direct saturation only); the run result is marked
+ */
+function updateZSpectrumChart() {
+    if (!mtModel) return;
+    const offsets = [];
+    for (let ppm = -Z_SPECTRUM_RANGE; ppm <= Z_SPECTRUM_RANGE + 1e-9; ppm += 0.25) offsets.push(ppm);
+
+    const waterOnly = new BlochMcConnell([{ ...mtModel.pools[0], fraction: 1 }], CONFIG.B0);
+    const full = mtModel.getZSpectrum(offsets, CONFIG.mtSatB1, CONFIG.mtSatDuration);
+    const direct = waterOnly.getZSpectrum(offsets, CONFIG.mtSatB1, CONFIG.mtSatDuration);
+
+    const datasets = [
+        {
+            label: 'Water + MT + CEST',
+            data: offsets.map((x, i) => ({ x, y: full[i] })),
+            borderColor: '#22c55e',
+            borderWidth: 2,
+            pointRadius: 0
+        },
+        {
+            label: 'Water only',
+            data: offsets.map((x, i) => ({ x, y: direct[i] })),
+            borderColor: '#94a3b8',
+            borderWidth: 1.5,
+            borderDash: [4, 3],
+            pointRadius: 0
+        }
+    ];
+    if (mtSaturatedMz !== null) {
+        datasets.push({
+            label: 'Simulated run',
+            data: [{ x: CONFIG.mtSatOffset, y: mtSaturatedMz }],
+            borderColor: '#ffffff',
+            backgroundColor: '#ffffff',
+            showLine: false,
+            pointRadius: 5,
+            pointStyle: 'crossRot'
+        });
+    }
 
-    // Record data for continuous plotting
+    updateAnalysisChart({
+        xLabel: 'Saturation offset (ppm)',
+        yLabel: 'Mz/M0',
+        yMin: 0,
+        yMax: 1.05,
+        datasets,
+        annotations: {
+            offset: {
+                type: 'line',
+                xMin: CONFIG.mtSatOffset,
+                xMax: CONFIG.mtSatOffset,
+                borderColor: '#ec4899',
+                borderWidth: 1.5,
+                borderDash: [2, 2]
+            },
+            cest: {
+                type: 'line',
+                xMin: CONFIG.mtCestOffset,
+                xMax: CONFIG.mtCestOffset,
+                borderColor: 'rgba(251, 146, 60, 0.5)',
+                borderWidth: 1,
+                label: { display: true, content: 'CEST', position: 'end', color: '#fb923c', font: { size: 10 } }
+            }
+        }
+    });
+}
+
+// ============================================
+// MODULE G: INVERSION RECOVERY
+// ============================================
+
+/**
+ * Tissues for the current settings (the custom tissue takes the Custom T1 slider)
+ */
+function getIRTissues() {
+    return IR_TISSUES.map(tissue => ({ ...tissue, T1: tissue.T1 ?? CONFIG.irCustomT1 }));
+}
+
+function getIRColorCSS(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+}
+
+/**
+ * One isochromat per tissue, drawn side by side
+ */
+function initModuleG() {
+    const tissues = getIRTissues();
+    ensemble = new SpinEnsemble(tissues.length, CONFIG.T1, CONFIG.T2ensemble, 0, CONFIG.B0);
+    ensemble.spins.forEach((spin, i) => {
+        spin.T1 = tissues[i].T1;
+        spin.T2 = tissues[i].T2;
+    });
+    createEnsembleArrows();
+    updateIRReadout();
+    updateIRChart();
+}
+
+/**
+ * Module G: T1 recovery after the inversion, readout pulse at TI, then the FID
+ * Steps are split exactly at TI; zero crossings are detected from the simulated Mz
+ */
+function updateModuleG(dt) {
+    if (irSequenceState === 'idle') return;
+
+    let remaining = dt;
+    if (irSequenceState === 'recovery') {
+        const step = Math.min(remaining, CONFIG.irTI - irTime);
+        if (step > 0) {
+            stepIRRecovery(step);
+            remaining -= step;
+        }
+        if (irTime >= CONFIG.irTI - 1e-9) applyIRReadout();
+    }
+    if (irSequenceState === 'readout' && remaining > 1e-9) {
+        ensemble.evolve(remaining);
+        irTime += remaining;
+    }
+
+    const sum = ensemble.getSumMagnetization();
     timeData.push(CONFIG.currentTime);
     mxyData.push(Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My));
     mzData.push(sum.Mz);
     signalReData.push(sum.Mx);
     signalImData.push(sum.My);
 
-    // Update visualization
     updateEnsembleArrows();
-    updateVectorDisplay({ Mx: sum.Mx, My: sum.My, Mz: sum.Mz });
+    updateVectorDisplay(sum);
     updateCharts();
+    updateIRChart();
+    updateSignalPanelGlow(Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My), dt);
+}
 
-    // Update phase coherence display (reuse from Module B/C)
-    const coherentEl = document.getElementById('coherent-count');
-    if (coherentEl) {
-        coherentEl.textContent = ensemble.getPhaseCoherence().toFixed(0) + '%';
-    }
+/**
+ * Advance the recovery period, record Mz traces and mark null points as they happen
+ */
+function stepIRRecovery(dt) {
+    const previous = ensemble.spins.map(spin => spin.Mz);
+    ensemble.evolve(dt);
+    irTime += dt;
 
-    // Update signal glow
-    const mxy = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
-    updateSignalPanelGlow(mxy, dt);
+    const tissues = getIRTissues();
+    ensemble.spins.forEach((spin, i) => {
+        irTraces[i].push({ x: irTime, y: spin.Mz });
+        if (irNullTimes[i] === null && previous[i] < 0 && spin.Mz >= 0) {
+            // Linear interpolation inside the step
+            const tNull = irTime - dt + dt * (-previous[i]) / (spin.Mz - previous[i]);
+            irNullTimes[i] = tNull;
+            addEventMarker(tNull, 'null', `${tissues[i].label} null`);
+        }
+    });
 }
 
 /**
- * Calculate Ernst angle: optimal flip angle for maximum signal in spoiled GRE
- * α_Ernst = arccos(exp(-TR/T1))
+ * 90° readout at TI: the longitudinal magnetization of each tissue becomes its signal
  */
-function calculateErnstAngle(TR, T1) {
-    const E1 = Math.exp(-TR / T1);
-    const ernstRad = Math.acos(E1);
-    return ernstRad * 180 / Math.PI;
+function applyIRReadout() {
+    ensemble.applyRFPulse(90, 0);
+    irReadout = ensemble.spins.map(spin => ({ Mx: spin.Mx, My: spin.My }));
+    addEventMarker(CONFIG.irTI, 'rf90', '90° readout');
+    irSequenceState = 'readout';
+    updateIRReadout();
 }
 
 /**
- * Calculate theoretical steady-state signal for spoiled GRE
- * S = M0 * sin(α) * (1 - E1) / (1 - cos(α) * E1)
- * where E1 = exp(-TR/T1)
+ * Reconstructed readout signal of tissue i
+ * Magnitude discards the sign; phase-sensitive projects onto the phase of a fully relaxed
+ * tissue (−y′ after a 90°x′ readout), so inverted tissues stay negative
  */
-function calculateSpoiledGRESignal(flipAngleDeg, TR, T1) {
-    const alpha = flipAngleDeg * Math.PI / 180;
-    const E1 = Math.exp(-TR / T1);
-    const signal = Math.sin(alpha) * (1 - E1) / (1 - Math.cos(alpha) * E1);
-    return signal;
+function getIRSignal(i) {
+    const { Mx, My } = irReadout[i];
+    return CONFIG.irReconstruction === 'phase' ? -My : Math.sqrt(Mx * Mx + My * My);
 }
 
 /**
- * Calculate theoretical steady-state signal for SSFP (bSSFP)
- * S = M0 * sin(α) / (1 + cos(α) + (1 - cos(α)) * T1/T2)
- * This is a simplified on-resonance formula
+ * Run Module G: 180° inversion, recovery for TI, 90° readout
  */
-function calculateSSFPSignal(flipAngleDeg, T1, T2) {
-    const alpha = flipAngleDeg * Math.PI / 180;
-    const ratio = T1 / T2;
-    const signal = Math.sin(alpha) / (1 + Math.cos(alpha) + (1 - Math.cos(alpha)) * ratio);
-    return signal;
+function runIRSequence() {
+    resetSimulation();
+    initModuleG();
+    ensemble.applyRFPulse(180, 0);
+    irSequenceState = 'recovery';
+    irTraces = ensemble.spins.map(spin => [{ x: 0, y: spin.Mz }]);
+    addEventMarker(0, 'rf180', '180° inversion');
+    CONFIG.maxTime = CONFIG.irTI + CONFIG.irReadoutWindow;
+    updateEnsembleArrows();
+    CONFIG.isPlaying = true;
 }
 
 /**
- * Update the Ernst angle and steady-state signal displays
+ * Per-tissue readout list: expected null TI = T1·ln2, detected null, reconstructed signal
  */
-function updateErnstAngleDisplay() {
-    const ernst = calculateErnstAngle(CONFIG.TR, CONFIG.T1D);
-    document.getElementById('ernst-angle-val').textContent = ernst.toFixed(1) + '°';
+function updateIRReadout() {
+    const tissues = getIRTissues();
+    document.getElementById('ir-readout').innerHTML = tissues.map((tissue, i) => {
+        const expected = tissue.T1 * Math.LN2;
+        const detected = irNullTimes[i] != null ? `${irNullTimes[i].toFixed(0)} ms` : '--';
+        const signal = irReadout ? getIRSignal(i).toFixed(2) : '--';
+        return `<div class="ir-row">
+            <span class="legend-color" style="background: ${getIRColorCSS(tissue.color)};"></span>
+            <span class="ir-name">${tissue.label}</span>
+            <span>null ${expected.toFixed(0)} / ${detected}</span>
+            <span class="ir-signal">${signal}</span>
+        </div>`;
+    }).join('');
 }
 
 /**
- * Update steady-state signal display after sequence completes
+ * Mz(t) = 1 − 2e^(−t/T1) per tissue with null points at T1·ln2, live traces and readout values
  */
-function updateSteadyStateDisplay() {
-    let signal;
-    if (CONFIG.greType === 'spoiled') {
-        signal = calculateSpoiledGRESignal(CONFIG.flipAngleD, CONFIG.TR, CONFIG.T1D);
-    } else {
-        signal = calculateSSFPSignal(CONFIG.flipAngleD, CONFIG.T1D, CONFIG.T2D);
+function updateIRChart() {
+    if (CONFIG.currentModule !== 'G') return;
+    const tissues = getIRTissues();
+    const tMax = Math.max(3000, CONFIG.irTI * 1.25);
+    const datasets = [];
+    const annotations = {
+        ti: {
+            type: 'line',
+            xMin: CONFIG.irTI,
+            xMax: CONFIG.irTI,
+            borderColor: '#f59e0b',
+            borderWidth: 1.5,
+            label: { display: true, content: `TI = ${CONFIG.irTI} ms`, position: 'end', color: '#f59e0b', font: { size: 10 } }
+        }
+    };
+
+    tissues.forEach((tissue, i) => {
+        const css = getIRColorCSS(tissue.color);
+        const curve = [];
+        for (let t = 0; t <= tMax; t += tMax / 200) {
+            curve.push({ x: t, y: 1 - 2 * Math.exp(-t / tissue.T1) });
+        }
+        datasets.push({ label: `${tissue.label} (T1 ${tissue.T1} ms)`, data: curve, borderColor: css, borderWidth: 1, borderDash: [4, 3], pointRadius: 0 });
+        if (irTraces[i]) {
+            datasets.push({ label: '', data: irTraces[i], borderColor: css, borderWidth: 2.5, pointRadius: 0 });
+        }
+        if (irReadout) {
+            datasets.push({
+                label: '',
+                data: [{ x: CONFIG.irTI, y: getIRSignal(i) }],
+                borderColor: css,
+                backgroundColor: css,
+                showLine: false,
+                pointRadius: 6,
+                pointStyle: 'crossRot'
+            });
+        }
+
+        // Expected null point; the detected crossing is added once the run reaches it
+        const tNull = tissue.T1 * Math.LN2;
+        if (tNull <= tMax) {
+            annotations[`null${i}`] = {
+                type: 'point',
+                xValue: irNullTimes[i] ?? tNull,
+                yValue: 0,
+                radius: irNullTimes[i] != null ? 5 : 3,
+                backgroundColor: irNullTimes[i] != null ? css : 'transparent',
+                borderColor: css,
+                borderWidth: 1.5
+            };
+        }
+    });
+
+    updateAnalysisChart({
+        xLabel: 'Time after inversion / TI (ms)',
+        yLabel: CONFIG.irReconstruction === 'phase' ? 'Mz, signal (phase-sensitive)' : 'Mz, signal (magnitude)',
+        yMin: -1.05,
+        yMax: 1.05,
+        datasets,
+        annotations
+    });
+}
+
+// ============================================
+// MODULE H: SEQUENCE SCRIPTING
+// ============================================
+
+/**
+ * Example sequences for the editor
+ * Times are ms, flip and phase are degrees, gradients are mT/m across a voxel of spins.voxel mm
+ */
+const SCRIPT_PRESETS = {
+    spinEcho: {
+        name: 'Spin echo (TE 40 ms)',
+        spins: { count: 100, T1: 1000, T2: 100, freqSpread: 20 },
+        events: [
+            { type: 'rf', flip: 90 },
+            { type: 'delay', duration: 20 },
+            { type: 'rf', flip: 180, phase: 90 },
+            { type: 'delay', duration: 10 },
+            { type: 'adc', duration: 20, label: 'Echo' }
+        ]
+    },
+    gradientEcho: {
+        name: 'Gradient echo with sinc excitation',
+        timeScale: 0.2,
+        spins: { count: 100, T1: 1000, T2: 100, freqSpread: 5, voxel: 1 },
+        events: [
+            { type: 'rf', flip: 90, shape: 'sinc', duration: 2, tbw: 4 },
+            { type: 'gradient', amplitude: -10, duration: 2 },
+            { type: 'adc', duration: 4, gradient: 10, label: 'Readout' }
+        ]
+    },
+    doubleInversion: {
+        name: 'Double inversion recovery (nulls T1 = 790 ms)',
+        timeScale: 20,
+        spins: { count: 50, T1: 790, T2: 90, freqSpread: 10 },
+        events: [
+            { type: 'rf', flip: 180, label: 'Inversion 1' },
+            { type: 'delay', duration: 2000 },
+            { type: 'rf', flip: 180, label: 'Inversion 2' },
+            { type: 'delay', duration: 482 },
+            { type: 'rf', flip: 90 },
+            { type: 'adc', duration: 50 }
+        ]
+    },
+    drivenEquilibrium: {
+        name: 'Driven equilibrium (DEFT)',
+        timeScale: 2,
+        spins: { count: 100, T1: 1000, T2: 100, freqSpread: 20 },
+        events: [
+            {
+                type: 'repeat',
+                count: 4,
+                events: [
+                    { type: 'rf', flip: 90 },
+                    { type: 'delay', duration: 10 },
+                    { type: 'rf', flip: 180, phase: 90 },
+                    { type: 'delay', duration: 5 },
+                    { type: 'adc', duration: 5, label: 'Echo' },
+                    { type: 'rf', flip: 90, phase: 180, label: '−90° at echo' },
+                    { type: 'delay', duration: 100 }
+                ]
+            }
+        ]
+    },
+    spoiledGRE: {
+        name: 'Spoiled GRE train (gradient spoiling)',
+        spins: { count: 100, T1: 500, T2: 50, freqSpread: 10 },
+        events: [
+            {
+                type: 'repeat',
+                count: 20,
+                events: [
+                    { type: 'rf', flip: 30 },
+                    { type: 'adc', duration: 4 },
+                    { type: 'spoiler', cycles: 4 },
+                    { type: 'delay', duration: 16 }
+                ]
+            }
+        ]
     }
-    document.getElementById('steady-state-val').textContent = (signal * 100).toFixed(1) + '%';
+};
+
+/**
+ * Validate the editor contents and show the errors (or a summary of the valid sequence)
+ * @returns {Object|null} Validated sequence
+ */
+function validateScriptEditor() {
+    const { errors, sequence } = parseSequenceScript(document.getElementById('script-editor').value);
+    const status = document.getElementById('script-errors');
+    if (errors.length > 0) {
+        status.className = 'script-status invalid';
+        status.innerHTML = errors.map(error => `<div>${escapeHTML(error)}</div>`).join('');
+        return null;
+    }
+    status.className = 'script-status valid';
+    status.textContent = `✓ ${sequence.name}: ${sequence.duration.toFixed(1)} ms · ${sequence.counts.rf} RF · ${sequence.counts.adc} ADC`;
+    return sequence;
+}
+
+function escapeHTML(text) {
+    return text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+function loadScriptPreset(key) {
+    document.getElementById('script-editor').value = JSON.stringify(SCRIPT_PRESETS[key], null, 2);
+    validateScriptEditor();
+}
+
+function initModuleH() {
+    if (!document.getElementById('script-editor').value.trim()) {
+        loadScriptPreset(document.getElementById('script-preset').value);
+    }
+    const sequence = validateScriptEditor();
+    ensemble = new BlochSimulation({ ...(sequence ? sequence.spins : {}), B0: CONFIG.B0 }).ensemble;
+    createEnsembleArrows();
+    updateScriptChart();
 }
 
 /**
- * Run the GRE multi-TR sequence
+ * Validate and start the script in the editor
  */
-function runGRESequence() {
+function runScript() {
+    const sequence = validateScriptEditor();
+    if (!sequence) return;
+
     resetSimulation();
+    scriptSim = BlochSimulation.fromScript(sequence, { B0: CONFIG.B0, recordInterval: CONFIG.dt });
+    ensemble = scriptSim.ensemble;
+    createEnsembleArrows();
+    CONFIG.maxTime = sequence.duration;
+    copyScriptHistory();
+    updateScriptChart();
+    CONFIG.isPlaying = true;
+}
 
-    // Create ensemble with minimal frequency spread (on-resonance for SSFP)
-    // Use small spread for spoiled GRE to show T2* effects
-    const freqSpread = CONFIG.greType === 'ssfp' ? 5 : 20;
-    ensemble = new SpinEnsemble(CONFIG.numSpins, CONFIG.T1D, CONFIG.T2D, freqSpread, CONFIG.B0);
+/**
+ * Markers and chart updates for an action the simulation has just executed
+ */
+function showScriptAction(action) {
+    copyScriptHistory();
+    switch (action.kind) {
+        case 'rf':
+            addEventMarker(action.time, Math.abs(action.flip) > 90 ? 'rf180' : 'rf90', action.label);
+            break;
+        case 'rfStart':
+            addEventMarker(action.time, Math.abs(action.pulse.flipAngle) > 90 ? 'rf180' : 'rf90', action.label);
+            break;
+        case 'rfEnd':
+            b1Data.push({ x: action.time, y: 0 });
+            if (b1Arrow) b1Arrow.visible = false;
+            break;
+        case 'gradient':
+            addEventMarker(action.time, action.amplitude ? 'gradient_flip' : 'gradient_restore',
+                action.amplitude ? `G ${action.amplitude}` : 'G off');
+            break;
+        case 'spoiler':
+            addEventMarker(action.time, 'gradient_flip', `Spoil ${action.cycles}`);
+            break;
+        case 'adcStart':
+            addEventMarker(action.time, 'adc', action.label, action.end);
+            break;
+        case 'adcEnd':
+            updateScriptChart();
+            break;
+    }
+}
+
+/**
+ * Append the new simulation history samples to the chart buffers
+ */
+function copyScriptHistory() {
+    const history = scriptSim.history;
+    for (; scriptHistoryIndex < history.length; scriptHistoryIndex++) {
+        const sample = history[scriptHistoryIndex];
+        timeData.push(sample.time);
+        mxyData.push(sample.mxy);
+        mzData.push(sample.Mz);
+        signalReData.push(sample.Mx);
+        signalImData.push(sample.My);
+        if (sample.b1 !== null) b1Data.push({ x: sample.time, y: sample.b1 });
+    }
+}
+
+/**
+ * Module H: play the compiled script
+ * BlochSimulation fires the actions exactly on time and steps on a fixed grid, so the
+ * playback matches BlochSimulation.fromScript(...).runSequence() in Node for the same seed
+ */
+function updateModuleH(dt) {
+    if (!scriptSim) return;
+
+    scriptSim.advance(dt, showScriptAction);
+    copyScriptHistory();
+    if (scriptSim.activeRF && scriptSim.b1) showB1Arrow(scriptSim.b1);
+
+    const sum = ensemble.getSumMagnetization();
+    const mxy = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
+    updateEnsembleArrows();
+    updateVectorDisplay({ Mx: sum.Mx, My: sum.My, Mz: sum.Mz });
+    document.getElementById('coherent-count').textContent = ensemble.getPhaseCoherence().toFixed(0) + '%';
+    updateCharts();
+    updateSignalPanelGlow(mxy, dt);
+}
+
+/**
+ * Analysis panel: |S| during each ADC window with its peak, so repeated readouts
+ * (e.g. the approach to a steady state) can be compared
+ */
+function updateScriptChart() {
+    if (CONFIG.currentModule !== 'H') return;
+
+    const windows = scriptSim ? scriptSim.adcWindows : [];
+    const datasets = windows.map((window, i) => ({
+        label: i === 0 ? '|S| in ADC' : '',
+        data: window.samples.map(sample => ({ x: sample.time, y: sample.mxy })),
+        borderColor: '#38bdf8',
+        borderWidth: 1.5,
+        pointRadius: 0
+    }));
+    const peaks = windows.map(window => window.samples.reduce(
+        (best, sample) => (sample.mxy > best.y ? { x: sample.time, y: sample.mxy } : best), { x: window.start, y: 0 }));
+    datasets.push({
+        label: 'Peak',
+        data: peaks,
+        borderColor: '#f59e0b',
+        backgroundColor: '#f59e0b',
+        showLine: false,
+        pointRadius: 3
+    });
+
+    updateAnalysisChart({ xLabel: 'Time (ms)', yLabel: '|S|', datasets, yMin: 0, yMax: 1.1 });
+    document.getElementById('analysis-equation').textContent = peaks.length > 0
+        ? `${peaks.length} acquisition${peaks.length > 1 ? 's' : ''} · last peak |S| = ${peaks[peaks.length - 1].y.toFixed(3)}`
+        : 'Acquired |S| in each ADC window';
+}
+
+// ============================================
+// MODULE I: SPIN LOCK (T1ρ)
+// ============================================
+
+function initModuleI() {
+    ensemble = new SpinEnsemble(CONFIG.numSpins, CONFIG.slT1, CONFIG.slT2, CONFIG.slFreqSpread, CONFIG.B0);
     createEnsembleArrows();
+    updateSpinLockReadout();
+    updateSpinLockChart();
+}
 
-    // Initialize state
-    greSequenceState = 'running';
-    currentTRIndex = 0;
-    timeInTR = 0;
-    steadyStateMxy = [];
-    steadyStateMz = [];
+/**
+ * Model T1ρ at a lock amplitude for the module's tissue (single exchange process)
+ * T1ρ∞ is kept at least T2 so a stronger lock never shortens T1ρ
+ */
+function getSpinLockT1rho(b1) {
+    return calculateT1rho(b1, CONFIG.slT2, Math.max(CONFIG.slT1rhoInf, CONFIG.slT2), CONFIG.slTauEx);
+}
+
+/**
+ * Module I: spins held along y′ by the lock until TSL, then the tip-up and free recovery
+ * Steps are split exactly at TSL so the prepared Mz is read at the end of the lock
+ */
+function updateModuleI(dt) {
+    if (slSequenceState === 'idle') return;
+
+    let remaining = dt;
+    if (slSequenceState === 'lock') {
+        const step = Math.min(remaining, CONFIG.slDuration - slTime);
+        if (step > 0) {
+            ensemble.evolve(step);
+            slTime += step;
+            remaining -= step;
+        }
+        if (slTime >= CONFIG.slDuration - 1e-9) applySpinLockTipUp();
+    }
+    if (slSequenceState === 'recovery' && remaining > 1e-9) {
+        ensemble.evolve(remaining);
+        slTime += remaining;
+    }
 
-    // Apply initial RF pulse
-    ensemble.applyRFPulse(CONFIG.flipAngleD, 0);
-    addEventMarker(0, 'rf90', 'α1');
+    const sum = ensemble.getSumMagnetization();
+    const mxy = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
+    timeData.push(CONFIG.currentTime);
+    mxyData.push(mxy);
+    mzData.push(sum.Mz);
+    signalReData.push(sum.Mx);
+    signalImData.push(sum.My);
+    b1Data.push({ x: CONFIG.currentTime, y: slSequenceState === 'lock' ? 1 : 0 });
 
-    // Set max time based on number of TRs
-    CONFIG.maxTime = CONFIG.TR * CONFIG.numTR + 50;
+    updateEnsembleArrows();
+    updateVectorDisplay(sum);
+    document.getElementById('coherent-count').textContent = ensemble.getPhaseCoherence().toFixed(0) + '%';
+    updateCharts();
+    updateSignalPanelGlow(mxy, dt);
+}
 
-    // Update displays
-    updateErnstAngleDisplay();
+/**
+ * End of the lock: switch B1 off and return the locked magnetization to +z with −90°x′
+ */
+function applySpinLockTipUp() {
+    ensemble.clearSpinLock();
+    ensemble.applyRFPulse(-90, 0);
+    slPrepared = ensemble.getSumMagnetization().Mz;
+    addEventMarker(CONFIG.slDuration, 'rf90', '−90° tip-up');
+    if (b1Arrow) b1Arrow.visible = false;
+    slSequenceState = 'recovery';
+    updateSpinLockReadout();
+    updateSpinLockChart();
+}
 
+/**
+ * Run Module I: 90°x′ tip-down, lock along y′ for TSL, −90°x′ tip-up
+ */
+function runSpinLockSequence() {
+    resetSimulation();
+    initModuleI();
+    ensemble.applyRFPulse(90, 0);
+    ensemble.setSpinLock(CONFIG.slB1, getSpinLockT1rho(CONFIG.slB1), 90);
+    slSequenceState = 'lock';
+    addEventMarker(0, 'rf90', '90°x′');
+    addEventMarker(0, 'spinlock', `Lock ${CONFIG.slB1} Hz`, CONFIG.slDuration);
+    b1Data.push({ x: 0, y: 0 });
+    if (CONFIG.slB1 > 0) showB1Arrow({ b1x: 0, b1y: 1, amplitude: 1 });
+    CONFIG.maxTime = CONFIG.slDuration + CONFIG.slRecovery;
+    updateEnsembleArrows();
     CONFIG.isPlaying = true;
 }
 
+/**
+ * Prepared Mz/M0 against spin-lock time for one lock amplitude
+ * Runs a copy of the module's isochromats once; the −90°x′ tip-up returns −My to +z,
+ * so each sample is read without disturbing the lock
+ * @param {number} b1 - Lock amplitude (Hz), 0 = no lock (free T2* decay)
+ * @param {number[]} times - Spin-lock times (ms), ascending
+ * @returns {number[]} Prepared Mz per time
+ */
+function simulateSpinLockDecay(b1, times) {
+    const work = new SpinEnsemble(0, CONFIG.slT1, CONFIG.slT2, CONFIG.slFreqSpread, CONFIG.B0);
+    work.spins = ensemble.spins.map(spin => {
+        const copy = spin.clone();
+        copy.reset();
+        return copy;
+    });
+    work.numSpins = work.spins.length;
+    work.applyRFPulse(90, 0);
+    work.setSpinLock(b1, getSpinLockT1rho(b1), 90);
+
+    let t = 0;
+    return times.map(tsl => {
+        if (tsl > t) work.evolve(tsl - t);
+        t = tsl;
+        return -work.getSumMagnetization().My;
+    });
+}
+
+function updateSpinLockReadout() {
+    const T1rho = getSpinLockT1rho(CONFIG.slB1);
+    const expected = Math.exp(-CONFIG.slDuration / T1rho);
+    const measured = slPrepared !== null ? slPrepared.toFixed(3) : '--';
+    document.getElementById('sl-readout').textContent =
+        `T1ρ ${T1rho.toFixed(1)} ms (T2 ${CONFIG.slT2} ms) · prepared Mz ${measured}, e^(−TSL/T1ρ) = ${expected.toFixed(3)}`;
+}
+
+/**
+ * Prepared Mz vs TSL for several lock amplitudes with fitted T1ρ, the T2 decay for reference
+ * and the result of the last run
+ */
+function updateSpinLockChart() {
+    if (CONFIG.currentModule !== 'I') return;
+
+    const tMax = Math.max(100, CONFIG.slDuration * 2);
+    const times = [];
+    for (let i = 0; i <= 40; i++) times.push(tMax * i / 40);
+
+    const amplitudes = [...new Set([...SPIN_LOCK_AMPLITUDES, CONFIG.slB1])].sort((a, b) => a - b);
+    const datasets = amplitudes.map((b1, i) => {
+        const decay = simulateSpinLockDecay(b1, times);
+        const fit = fitExponentialDecay(times, decay);
+        const fitText = fit && isFinite(fit.T2) ? fit.T2.toFixed(0) : '--';
+        const color = SPIN_LOCK_COLORS[i % SPIN_LOCK_COLORS.length];
+        return {
+            label: b1 === 0
+                ? `No lock: fit ${fitText} ms (T2*)`
+                : `${b1} Hz: T1ρ ${getSpinLockT1rho(b1).toFixed(0)} ms, fit ${fitText} ms`,
+            data: times.map((t, j) => ({ x: t, y: decay[j] })),
+            borderColor: color,
+            borderWidth: b1 === CONFIG.slB1 ? 2.5 : 1.5,
+            pointRadius: 0
+        };
+    });
+    datasets.push({
+        label: `e^(−t/T2), T2 ${CONFIG.slT2} ms`,
+        data: times.map(t => ({ x: t, y: Math.exp(-t / CONFIG.slT2) })),
+        borderColor: '#e2e8f0',
+        borderWidth: 1,
+        borderDash: [4, 3],
+        pointRadius: 0
+    });
+    if (slPrepared !== null) {
+        datasets.push({
+            label: 'This run',
+            data: [{ x: CONFIG.slDuration, y: slPrepared }],
+            borderColor: '#f59e0b',
+            backgroundColor: '#f59e0b',
+            showLine: false,
+            pointRadius: 6,
+            pointStyle: 'crossRot'
+        });
+    }
+
+    updateAnalysisChart({
+        xLabel: 'Spin-lock time TSL (ms)',
+        yLabel: 'Prepared Mz/M0',
+        yMin: -0.05,
+        yMax: 1.05,
+        datasets,
+        annotations: {
+            tsl: {
+                type: 'line',
+                xMin: CONFIG.slDuration,
+                xMax: CONFIG.slDuration,
+                borderColor: '#f59e0b',
+                borderWidth: 1.5,
+                label: { display: true, content: `TSL = ${CONFIG.slDuration} ms`, position: 'end', color: '#f59e0b', font: { size: 10 } }
+            }
+        }
+    });
+}
+
 function updateVectorDisplay(spin) {
     document.getElementById('Mx-val').textContent = spin.Mx.toFixed(2);
     document.getElementById('My-val').textContent = spin.My.toFixed(2);
@@ -1501,15 +4713,22 @@ function switchModule(module) {
     const showIndividualB = document.getElementById('show-individual');
     const showIndividualC = document.getElementById('show-individual-C');
     const showIndividualD = document.getElementById('show-individual-D');
+    const showIndividualE = document.getElementById('show-individual-E');
     if (showIndividualB) showIndividualB.checked = CONFIG.showIndividual;
     if (showIndividualC) showIndividualC.checked = CONFIG.showIndividual;
     if (showIndividualD) showIndividualD.checked = CONFIG.showIndividual;
+    if (showIndividualE) showIndividualE.checked = CONFIG.showIndividual;
 
     // Update info panel
     updateInfoPanel(module);
 
+    // Analysis panel is shown only by modules that use it; the FID spectrum belongs to Module B
+    setAnalysisPanel(null);
+    document.getElementById('spectrum-panel').style.display = module === 'B' ? 'flex' : 'none';
+
     // Reset and setup for module
     resetSimulation();
+    if (module !== 'F') removePoolArrows();
 
     // Setup 3D view for module
     if (module === 'A') {
@@ -1524,6 +4743,13 @@ function switchModule(module) {
         // Hide Module A arrows
         alignmentArrows.forEach(a => a.visible = false);
         if (netMagArrowA) netMagArrowA.visible = false;
+        // Module B builds its own (possibly multi-species) sample; other modules start single-species
+        // with the default Gaussian spread
+        if (module === 'B') {
+            ensemble = createModuleBEnsemble();
+        } else if (ensemble.spins.some(spin => spin.species) || ensemble.lineshape !== 'gaussian') {
+            ensemble = new SpinEnsemble(CONFIG.numSpins, CONFIG.T1, CONFIG.T2ensemble, CONFIG.freqSpread, CONFIG.B0);
+        }
         // Show ensemble with component arrows
         createEnsembleArrows();
 
@@ -1531,6 +4757,46 @@ function switchModule(module) {
         if (module === 'D') {
             updateErnstAngleDisplay();
             document.getElementById('steady-state-val').textContent = '--';
+            updateGREPrediction();
+        }
+
+        if (module === 'B') {
+            updateSpeciesControls();
+        }
+
+        // Module C: echo train plot
+        if (module === 'C') {
+            updateEchoTypeControls();
+        }
+
+        // Module E: spatial isochromats laid out along the slice axis
+        if (module === 'E') {
+            setAnalysisPanel('Slice Profile', 'Mxy(z), Mz(z), φ(z)');
+            initModuleE();
+        }
+
+        // Module F: exchanging pools and Z-spectrum
+        if (module === 'F') {
+            setAnalysisPanel('Z-Spectrum', 'Mz/M0 after saturation vs offset (free water, bound pool, CEST solute)');
+            initModuleF();
+        }
+
+        // Module G: tissues side by side with their inversion recovery curves
+        if (module === 'G') {
+            setAnalysisPanel('Inversion Recovery', 'Mz(t) = M0(1 − 2e^(−t/T1)), null at TI = T1·ln2');
+            initModuleG();
+        }
+
+        // Module H: scripted sequence, ADC windows in the analysis panel
+        if (module === 'H') {
+            setAnalysisPanel('ADC Windows', 'Acquired |S| in each ADC window');
+            initModuleH();
+        }
+
+        // Module I: spin-lock preparation and T1ρ decay curves
+        if (module === 'I') {
+            setAnalysisPanel('Spin Lock Decay', 'Prepared Mz = M0·e^(−TSL/T1ρ), T1ρ between T2 (no lock) and T1ρ∞');
+            initModuleI();
         }
     }
 
@@ -1595,25 +4861,83 @@ function updateInfoPanel(module) {
                 <strong>Dephasing:</strong> Spins precess at ω₀ + Δω (field inhomogeneity). Different phases → destructive interference → FID decay.<br>
                 <strong>Signal:</strong> In lab frame, rotating Mxy induces EMF ∝ ω₀|Mxy|. Signal panel glows with signal strength.<br>
                 <strong>T2* decay:</strong> Mxy(t) = M₀·e<sup>-t/T2*</sup>. White arrow = net magnetization = signal envelope.<br>
+                <strong>Shaped RF:</strong> Finite pulses nutate M about B<sub>eff</sub> = (B₁, Δω/γ). Off-resonant spins are tipped less (orange arrow = B₁).<br>
+                <strong>Adiabatic inversion:</strong> A hyperbolic-secant pulse sweeps its frequency through resonance while B<sub>eff</sub> turns slowly from +z to −z; M follows it, so inversion is complete for any B₁ above the adiabatic threshold, unlike a hard 180° (cos(180°·B₁ scale)).<br>
+                <strong>Fat/water:</strong> Each species precesses at its chemical shift δ·γB₀ (fat ≈ −3.4 ppm: −217 Hz at 1.5 T, −434 Hz at 3 T). Water (blue) and fat (yellow) spins beat in and out of phase, so the gradient-echo signal is lowest at opposed-phase TEs.<br>
+                <strong>Spectrum:</strong> The FID is the Fourier transform of the off-resonance distribution. A Lorentzian spread (HWHM γ) decays exactly as e<sup>-t/T2*</sup> with 1/T2* = 1/T2 + 2πγ and FWHM = 1/(πT2*); a Gaussian spread decays as e<sup>-2π²σ²t²</sup>, so the 1/e time no longer predicts the linewidth.<br>
+                <em style="color: #f59e0b;">Note: 3D shows rotating frame. Net M ~1/√N, shown normalized.</em>
+            `;
+            break;
+        case 'C':
+            infoTitle.textContent = 'Module C: Echo Formation';
+            infoText.innerHTML = `
+                <strong>Spin Echo:</strong> 180° pulse inverts phases → rephasing → echo at TE. Refocuses B₀ inhomogeneity (T2 weighting).<br>
+                <strong>Gradient Echo:</strong> Gradient reversal → rephasing → echo. Does NOT refocus B₀ (T2* weighting).<br>
+                <strong>Stimulated echo:</strong> Three 90° pulses give Hahn echoes (SE₁₂, SE₂₃, SE₁₃, DE) and a stimulated echo at 2τ1+τ2. During τ2 the STE is stored along z, so it decays with T1 instead of T2.<br>
+                <strong>Multi-echo (CP/CPMG):</strong> A train of refocusing pulses gives echoes decaying with T2. With flip angles below 180°, stimulated-echo pathways add to later echoes: CPMG (refocusing along y′) keeps them in phase, CP (along x′) lets them cancel. The EPG prediction (white crosses) gives the exact echo amplitudes.<br>
+                <strong>Diffusion (Stejskal–Tanner):</strong> Equal gradient lobes around the 180° cancel for static spins; random-walking spins keep a phase error, so S = S<sub>0</sub>e<sup>−b·ADC</sup> with b = γ²G²δ²(Δ − δ/3).<br>
+                <strong>Signal:</strong> Watch the Signal/FID panel glow brighten at echo!<br>
                 <em style="color: #f59e0b;">Note: 3D shows rotating frame. Net M ~1/√N, shown normalized.</em>
             `;
             break;
-        case 'C':
-            infoTitle.textContent = 'Module C: Echo Formation';
+        case 'D':
+            infoTitle.textContent = 'Module D: GRE Variants';
+            infoText.innerHTML = `
+                <strong>Spoiled GRE (SPGR/FLASH):</strong> Mxy destroyed each TR → only T1 recovery matters → <strong>T1-weighted</strong>.<br>
+                <strong>RF spoiling:</strong> Quadratic phase φ<sub>n</sub> = Δ·n(n+1)/2 with a spoiler gradient; the receiver follows the RF phase. Δ = 117° comes close to ideal, Δ = 0° lets echoes of old coherences build up (residual T2 weighting).<br>
+                <strong>Gradient spoiling:</strong> The spoiler twists the isochromats across the voxel by k cycles per TR, but the twisted coherences are rephased by later pulses, so gradient spoiling alone stays above the ideal curve at larger flip angles.<br>
+                <strong>SSFP (bSSFP/TrueFISP):</strong> Mxy preserved → builds to steady-state → <strong>T2/T1-weighted</strong> (bright fluid).<br>
+                <strong>Banding:</strong> The bSSFP signal repeats every 1/TR in off-resonance with dark stopbands; phase cycling Δφ shifts them by Δφ/(2π·TR).<br>
+                <strong>Catalyzation:</strong> Starting bSSFP with full α makes the signal oscillate for many TRs; an α/2 pulse TR/2 ahead, or a linear / Kaiser flip-angle ramp, starts the magnetization near the steady-state direction so fewer TRs are wasted (the benefit shrinks off resonance).<br>
+                <strong>Ernst Angle:</strong> α<sub>E</sub> = arccos(e<sup>-TR/T1</sup>) gives maximum signal for spoiled GRE.<br>
+                <strong>EPG:</strong> The extended phase graph tracks F<sub>±k</sub>/Z<sub>k</sub> dephasing states and predicts the signal exactly (dashed white).<br>
+                <em style="color: #f59e0b;">Watch Mxy and Mz approach steady-state over multiple TRs.</em>
+            `;
+            break;
+        case 'E':
+            infoTitle.textContent = 'Module E: Slice Selection';
+            infoText.innerHTML = `
+                <strong>Slice select:</strong> Gradient G<sub>ss</sub> makes frequency depend on z. A band-limited RF pulse only excites spins within Δz = BW / (γG<sub>ss</sub>).<br>
+                <strong>Slice profile:</strong> The excited Mxy(z) follows (approximately) the Fourier transform of the RF envelope.<br>
+                <strong>Rephasing lobe:</strong> Spins dephase across the slice during the pulse; a negative lobe with ~50% of the slice-select area refocuses them.<br>
+                <em style="color: #f59e0b;">Try 0% or 100% rephasing: φ(z) twists across the slice and the net signal collapses.</em>
+            `;
+            break;
+        case 'F':
+            infoTitle.textContent = 'Module F: Magnetization Transfer';
+            infoText.innerHTML = `
+                <strong>Two pools:</strong> Free water exchanges magnetization with protons bound to macromolecules (Bloch–McConnell equations, k<sub>fb</sub>·M<sub>0f</sub> = k<sub>bf</sub>·M<sub>0b</sub>).<br>
+                <strong>MT saturation:</strong> The bound pool has T2 ≈ 10 µs, so its line is kHz wide. An off-resonance pulse saturates it (purple) without touching water directly; exchange then carries the saturation into free-water Mz.<br>
+                <strong>Z-spectrum:</strong> Free-water Mz/M0 vs saturation offset. The centre dip is direct water saturation, the broad base is MT, and a small exchanging solute pool (orange) gives a CEST dip at its own shift.<br>
+                <em style="color: #f59e0b;">Time runs fast-forward: saturation lasts seconds. Compare ±3.5 ppm for MTR asymmetry.</em>
+            `;
+            break;
+        case 'G':
+            infoTitle.textContent = 'Module G: Inversion Recovery';
+            infoText.innerHTML = `
+                <strong>Inversion:</strong> A 180° pulse flips every tissue to Mz = −M₀. T1 recovery then follows Mz(t) = M₀(1 − 2e<sup>−t/T1</sup>).<br>
+                <strong>Null point:</strong> Mz crosses zero at TI = T1·ln2 ≈ 0.69·T1. A readout at that TI gives no signal for the tissue (STIR nulls fat, FLAIR nulls CSF).<br>
+                <strong>Readout:</strong> The 90° pulse turns each tissue's Mz into transverse signal. Magnitude images lose the sign, so tissues before and after their null can look alike. Phase-sensitive reconstruction keeps negative values.<br>
+                <em style="color: #f59e0b;">Time runs fast-forward. Null points are marked on the charts as each tissue crosses zero.</em>
+            `;
+            break;
+        case 'H':
+            infoTitle.textContent = 'Module H: Sequence Scripting';
             infoText.innerHTML = `
-                <strong>Spin Echo:</strong> 180° pulse inverts phases → rephasing → echo at TE. Refocuses B₀ inhomogeneity (T2 weighting).<br>
-                <strong>Gradient Echo:</strong> Gradient reversal → rephasing → echo. Does NOT refocus B₀ (T2* weighting).<br>
-                <strong>Signal:</strong> Watch the Signal/FID panel glow brighten at echo!<br>
-                <em style="color: #f59e0b;">Note: 3D shows rotating frame. Net M ~1/√N, shown normalized.</em>
+                <strong>Script:</strong> A JSON list of events played back to back: <code>rf</code> (flip, phase, shape, duration), <code>delay</code>, <code>gradient</code> (mT/m, duration), <code>spoiler</code> (cycles across the voxel), <code>adc</code> (duration, optional readout gradient) and <code>repeat</code> (count, events).<br>
+                <strong>Execution:</strong> Every pulse, gradient switch and ADC window happens at its exact time; shaped pulses are integrated through the Bloch equations like Module B.<br>
+                <strong>Examples:</strong> Double inversion recovery nulls a tissue after two 180° pulses; driven equilibrium (DEFT) uses a −90° pulse at the echo to return magnetization to +z.<br>
+                <strong>Offline:</strong> The same script runs in Node with <code>BlochSimulation.fromScript(script, { seed })</code> from <code>bloch.js</code> and gives the same numbers as this page with <code>?seed=</code>.<br>
+                <em style="color: #f59e0b;">Errors are listed under the editor with the path of the offending field.</em>
             `;
             break;
-        case 'D':
-            infoTitle.textContent = 'Module D: GRE Variants';
+        case 'I':
+            infoTitle.textContent = 'Module I: Spin Lock (T1ρ)';
             infoText.innerHTML = `
-                <strong>Spoiled GRE (SPGR/FLASH):</strong> Mxy destroyed each TR → only T1 recovery matters → <strong>T1-weighted</strong>.<br>
-                <strong>SSFP (bSSFP/TrueFISP):</strong> Mxy preserved → builds to steady-state → <strong>T2/T1-weighted</strong> (bright fluid).<br>
-                <strong>Ernst Angle:</strong> α<sub>E</sub> = arccos(e<sup>-TR/T1</sup>) gives maximum signal for spoiled GRE.<br>
-                <em style="color: #f59e0b;">Watch Mxy and Mz approach steady-state over multiple TRs.</em>
+                <strong>Preparation:</strong> A 90°x′ pulse tips M onto −y′, a continuous B₁ along y′ then holds it there for the spin-lock time TSL, and a −90°x′ pulse returns it to +z for imaging.<br>
+                <strong>Locking:</strong> In the rotating frame each spin precesses about B<sub>eff</sub> = (B₁, Δω/γ). When γB₁ ≫ Δω the field is almost parallel to M, so off-resonance no longer dephases the spins; a weak lock lets them fan out around a tilted B<sub>eff</sub> and the signal is lost.<br>
+                <strong>T1ρ:</strong> Locked magnetization decays with T1ρ instead of T2: prepared Mz = M₀e<sup>−TSL/T1ρ</sup>. Slow exchange and motion that shorten T2 are suppressed once 2πγB₁τ<sub>ex</sub> ≫ 1, so T1ρ rises from T2 towards T1ρ∞ with the lock amplitude (dispersion).<br>
+                <em style="color: #f59e0b;">Compare 0 Hz (plain T2* decay) with strong locks, and raise the off-resonance spread to see weak locks fail.</em>
             `;
             break;
     }
@@ -1640,11 +4964,61 @@ function setupEventListeners() {
 
     document.getElementById('btn-reset').addEventListener('click', resetSimulation);
 
+    document.getElementById('frame-select').addEventListener('change', (e) => {
+        CONFIG.labFrame = e.target.value === 'lab';
+        updateFrameDisplay();
+        refreshArrows();
+        updateCharts();
+    });
+
+    document.getElementById('larmor-display').addEventListener('input', (e) => {
+        CONFIG.labLarmorHz = parseInt(e.target.value);
+        document.getElementById('larmor-display-val').textContent = CONFIG.labLarmorHz + ' Hz';
+        updateFrameDisplay();
+        refreshArrows();
+        updateCharts();
+    });
+
     document.getElementById('speed-slider').addEventListener('input', (e) => {
         CONFIG.animationSpeed = parseFloat(e.target.value);
         document.getElementById('speed-val').textContent = CONFIG.animationSpeed.toFixed(1) + 'x';
     });
 
+    // Receiver chain: any change re-samples the whole recorded signal
+    document.getElementById('rx-enabled').addEventListener('change', (e) => {
+        CONFIG.receiverEnabled = e.target.checked;
+        updateReceiverControls();
+    });
+
+    document.getElementById('rx-dwell').addEventListener('input', (e) => {
+        CONFIG.rxDwell = parseFloat(e.target.value);
+        document.getElementById('rx-dwell-val').textContent = CONFIG.rxDwell.toFixed(1) + ' ms';
+        updateReceiverControls();
+    });
+
+    document.getElementById('rx-offset').addEventListener('input', (e) => {
+        CONFIG.rxOffset = parseInt(e.target.value);
+        document.getElementById('rx-offset-val').textContent = CONFIG.rxOffset + ' Hz';
+        updateReceiverControls();
+    });
+
+    document.getElementById('rx-filter').addEventListener('change', (e) => {
+        CONFIG.rxFilter = e.target.checked;
+        updateReceiverControls();
+    });
+
+    document.getElementById('rx-noise').addEventListener('input', (e) => {
+        CONFIG.rxNoise = parseFloat(e.target.value);
+        document.getElementById('rx-noise-val').textContent = CONFIG.rxNoise.toFixed(3);
+        updateReceiverControls();
+    });
+
+    document.getElementById('rx-nex').addEventListener('input', (e) => {
+        CONFIG.rxNEX = parseInt(e.target.value);
+        document.getElementById('rx-nex-val').textContent = CONFIG.rxNEX;
+        updateReceiverControls();
+    });
+
     // Module tabs
     document.querySelectorAll('.module-tab').forEach(tab => {
         tab.addEventListener('click', () => {
@@ -1676,18 +5050,28 @@ function setupEventListeners() {
         CONFIG.B0 = parseFloat(e.target.value);
         const freq = (GAMMA * CONFIG.B0).toFixed(1);
         document.getElementById('B0-display').textContent = `${CONFIG.B0} T (${freq} MHz)`;
+        document.getElementById('B0-B').value = CONFIG.B0;
+        document.getElementById('B0-B-val').textContent = `${CONFIG.B0} T`;
+        updateFrameDisplay();
+        updateSpeciesControls();
         // NOTE: B0 slider is primarily cosmetic/educational in this simulation.
         // In the rotating frame at ω₀ = γB₀, the main field effect is removed.
         // What matters is the off-resonance (ΔB₀ inhomogeneity), which is controlled
         // by the "Frequency Spread" parameter and determines T2* decay.
         // The B0 value is stored for reference but doesn't change the physics
         // because we're simulating relative frequencies, not absolute precession.
+        // The exception is chemical shift (ppm · γB0): mixed Module B samples are rebuilt on 'change'.
         if (alignmentEnsemble) {
             alignmentEnsemble.setB0(CONFIG.B0);
         }
         ensemble.setB0(CONFIG.B0);
     });
 
+    document.getElementById('B0-val').addEventListener('change', () => {
+        if (CONFIG.speciesMix !== 'single') rebuildModuleBEnsemble();
+        rebuildMTModel();
+    });
+
     document.getElementById('btn-b0-on').addEventListener('click', () => {
         if (!alignmentEnsemble) {
             initModuleA();
@@ -1737,40 +5121,156 @@ function setupEventListeners() {
     });
 
     document.getElementById('num-spins').addEventListener('change', () => {
-        ensemble = new SpinEnsemble(CONFIG.numSpins, CONFIG.T1, CONFIG.T2ensemble, CONFIG.freqSpread, CONFIG.B0);
+        ensemble = createModuleBEnsemble();
         if (CONFIG.currentModule === 'B') createEnsembleArrows();
     });
 
     document.getElementById('freq-spread').addEventListener('input', (e) => {
         CONFIG.freqSpread = parseInt(e.target.value);
         document.getElementById('freq-spread-val').textContent = CONFIG.freqSpread + ' Hz';
+        updateLineshapeControls();
     });
 
     document.getElementById('freq-spread').addEventListener('change', () => {
-        ensemble = new SpinEnsemble(CONFIG.numSpins, CONFIG.T1, CONFIG.T2ensemble, CONFIG.freqSpread, CONFIG.B0);
+        ensemble = createModuleBEnsemble();
         if (CONFIG.currentModule === 'B') createEnsembleArrows();
+        updateSpeciesControls();
     });
 
     document.getElementById('T2-ensemble').addEventListener('input', (e) => {
         CONFIG.T2ensemble = parseInt(e.target.value);
         document.getElementById('T2-ensemble-val').textContent = CONFIG.T2ensemble + ' ms';
-        // FIX: Update T2 for all spins in the ensemble
-        ensemble.setT2(CONFIG.T2ensemble);
+        // FIX: Update T2 for all spins in the ensemble (only the water of a water/fat sample)
+        ensemble.spins.forEach(spin => {
+            if (!spin.species || spin.species === 'water') spin.T2 = CONFIG.T2ensemble;
+        });
+        updateSpeciesControls();
+    });
+
+    document.getElementById('lineshape').addEventListener('change', (e) => {
+        CONFIG.lineshape = e.target.value;
+        rebuildModuleBEnsemble();
+    });
+
+    // Custom lineshape: drag across the canvas to draw the density, rebuild on release
+    const lineshapeCanvas = document.getElementById('lineshape-canvas');
+    let drawingLineshape = false;
+    lineshapeCanvas.addEventListener('pointerdown', (e) => {
+        drawingLineshape = true;
+        lineshapeCanvas.setPointerCapture(e.pointerId);
+        paintLineshapeBin(e);
+    });
+    lineshapeCanvas.addEventListener('pointermove', (e) => {
+        if (drawingLineshape) paintLineshapeBin(e);
+    });
+    lineshapeCanvas.addEventListener('pointerup', () => {
+        if (!drawingLineshape) return;
+        drawingLineshape = false;
+        rebuildModuleBEnsemble();
+    });
+
+    document.getElementById('species-mix').addEventListener('change', (e) => {
+        CONFIG.speciesMix = e.target.value;
+        rebuildModuleBEnsemble();
+    });
+
+    document.getElementById('fat-fraction').addEventListener('input', (e) => {
+        CONFIG.fatFraction = parseInt(e.target.value) / 100;
+        document.getElementById('fat-fraction-val').textContent = e.target.value + '%';
+        updateSpeciesControls();
+    });
+
+    document.getElementById('fat-fraction').addEventListener('change', rebuildModuleBEnsemble);
+
+    document.getElementById('B0-B').addEventListener('input', (e) => {
+        // Same field as the Module A slider; chemical shifts scale with B0
+        const B0Slider = document.getElementById('B0-val');
+        B0Slider.value = e.target.value;
+        B0Slider.dispatchEvent(new Event('input'));
     });
 
+    document.getElementById('B0-B').addEventListener('change', rebuildModuleBEnsemble);
+
     // Module B flip angle control
     document.getElementById('flip-angle').addEventListener('input', (e) => {
         CONFIG.flipAngle = parseInt(e.target.value);
         document.getElementById('flip-angle-val').textContent = CONFIG.flipAngle + '°';
+        updateSpeciesChart();
     });
 
     document.getElementById('btn-excite').addEventListener('click', () => {
         resetSimulation();
-        ensemble.applyRFPulse(CONFIG.flipAngle, 0);
+        const pulse = createModuleBPulse();
+        if (pulse) {
+            // Shaped pulse: nutation is integrated step by step in the animate loop
+            startRFPulse(pulse);
+        } else {
+            ensemble.applyRFPulse(CONFIG.flipAngle * CONFIG.b1Scale, 0);
+        }
+        if (CONFIG.speciesMix !== 'single') {
+            // A few fat/water beat periods in slow motion
+            CONFIG.maxTime = SPECIES_MAX_TIME;
+        }
         updateEnsembleArrows();
         CONFIG.isPlaying = true;
     });
 
+    document.getElementById('rf-shape').addEventListener('change', (e) => {
+        CONFIG.rfShape = e.target.value;
+        if (CONFIG.rfShape === 'hs' && CONFIG.rfDuration < HS_MIN_DURATION) {
+            // The sweep must be slow enough to stay adiabatic: start from a typical HS duration
+            CONFIG.rfDuration = HS_MIN_DURATION;
+            document.getElementById('rf-duration').value = CONFIG.rfDuration;
+            document.getElementById('rf-duration-val').textContent = CONFIG.rfDuration.toFixed(1) + ' ms';
+        }
+        updateRFShapeControls();
+    });
+
+    document.getElementById('rf-duration').addEventListener('input', (e) => {
+        CONFIG.rfDuration = parseFloat(e.target.value);
+        document.getElementById('rf-duration-val').textContent = CONFIG.rfDuration.toFixed(1) + ' ms';
+        updateRFShapeControls();
+    });
+
+    document.getElementById('rf-hs-b1').addEventListener('input', (e) => {
+        CONFIG.hsPeakB1 = parseInt(e.target.value);
+        document.getElementById('rf-hs-b1-val').textContent = CONFIG.hsPeakB1 + ' Hz';
+        updateRFShapeControls();
+    });
+
+    document.getElementById('rf-hs-mu').addEventListener('input', (e) => {
+        CONFIG.hsMu = parseFloat(e.target.value);
+        document.getElementById('rf-hs-mu-val').textContent = CONFIG.hsMu.toFixed(1);
+        updateRFShapeControls();
+    });
+
+    document.getElementById('b1-scale').addEventListener('input', (e) => {
+        CONFIG.b1Scale = parseFloat(e.target.value);
+        document.getElementById('b1-scale-val').textContent = Math.round(CONFIG.b1Scale * 100) + '%';
+        updateRFShapeControls();
+    });
+
+    document.getElementById('rf-tbw').addEventListener('input', (e) => {
+        CONFIG.rfTBW = parseFloat(e.target.value);
+        document.getElementById('rf-tbw-val').textContent = CONFIG.rfTBW.toFixed(1);
+        updateRFShapeControls();
+    });
+
+    document.getElementById('rf-custom').addEventListener('input', (e) => {
+        const values = RFPulse.parseCustomEnvelope(e.target.value);
+        const errorEl = document.getElementById('rf-custom-error');
+        // Check the interpolated area RFPulse scales B1 by: a near-zero net area would need an
+        // absurd peak B1 (e.g. 1,-1,1 cancels out); a negative one just inverts the flip phase
+        const area = values ? RFPulse.getRelativeArea(RFPulse.createEnvelope('custom', 200, CONFIG.rfTBW, values)) : 0;
+        if (Math.abs(area) >= 0.05) {
+            CONFIG.rfCustomEnvelope = values;
+            errorEl.textContent = '';
+        } else {
+            errorEl.textContent = 'Enter at least two numbers with a non-zero net area (at least 5% of a block pulse)';
+        }
+        updateRFShapeControls();
+    });
+
     document.getElementById('show-individual').addEventListener('change', (e) => {
         CONFIG.showIndividual = e.target.checked;
         spinArrows.forEach(a => a.visible = CONFIG.showIndividual);
@@ -1778,8 +5278,73 @@ function setupEventListeners() {
 
     // Module C controls
     document.getElementById('echo-type').addEventListener('change', (e) => {
+        const previousType = CONFIG.echoType;
         CONFIG.echoType = e.target.value;
-        updateT2starSliderForEchoType();
+        updateT2starSliderForEchoType(previousType);
+        updateEchoTypeControls();
+    });
+
+    document.getElementById('num-echoes').addEventListener('input', (e) => {
+        CONFIG.numEchoes = parseInt(e.target.value);
+        document.getElementById('num-echoes-val').textContent = CONFIG.numEchoes + ' echoes';
+    });
+
+    document.getElementById('echo-spacing').addEventListener('input', (e) => {
+        CONFIG.echoSpacing = parseInt(e.target.value);
+        document.getElementById('echo-spacing-val').textContent = CONFIG.echoSpacing + ' ms';
+    });
+
+    document.getElementById('refocus-scheme').addEventListener('change', (e) => {
+        CONFIG.refocusScheme = e.target.value;
+    });
+
+    document.getElementById('show-epg-states').addEventListener('change', (e) => {
+        CONFIG.showEPGStates = e.target.checked;
+        updateEchoTypeControls();
+    });
+
+    document.getElementById('tau1').addEventListener('input', (e) => {
+        CONFIG.tau1 = parseInt(e.target.value);
+        document.getElementById('tau1-val').textContent = CONFIG.tau1 + ' ms';
+    });
+
+    document.getElementById('tau2').addEventListener('input', (e) => {
+        CONFIG.tau2 = parseInt(e.target.value);
+        document.getElementById('tau2-val').textContent = CONFIG.tau2 + ' ms';
+    });
+
+    document.getElementById('diffusion-adc').addEventListener('input', (e) => {
+        CONFIG.diffusionADC = parseFloat(e.target.value);
+        document.getElementById('diffusion-adc-val').textContent = CONFIG.diffusionADC.toFixed(1) + ' ×10⁻³ mm²/s';
+        updateDiffusionReadouts();
+    });
+
+    document.getElementById('diffusion-g').addEventListener('input', (e) => {
+        CONFIG.diffusionG = parseInt(e.target.value);
+        document.getElementById('diffusion-g-val').textContent = CONFIG.diffusionG + ' mT/m';
+        updateDiffusionReadouts();
+    });
+
+    document.getElementById('diffusion-delta').addEventListener('input', (e) => {
+        CONFIG.diffusionDelta = parseInt(e.target.value);
+        document.getElementById('diffusion-delta-val').textContent = CONFIG.diffusionDelta + ' ms';
+        updateDiffusionReadouts();
+    });
+
+    document.getElementById('diffusion-spacing').addEventListener('input', (e) => {
+        CONFIG.diffusionSpacing = parseInt(e.target.value);
+        document.getElementById('diffusion-spacing-val').textContent = CONFIG.diffusionSpacing + ' ms';
+        updateDiffusionReadouts();
+    });
+
+    document.getElementById('T1-echo').addEventListener('input', (e) => {
+        CONFIG.T1echo = parseInt(e.target.value);
+        document.getElementById('T1-echo-val').textContent = CONFIG.T1echo + ' ms';
+    });
+
+    document.getElementById('refocus-flip').addEventListener('input', (e) => {
+        CONFIG.refocusFlip = parseInt(e.target.value);
+        document.getElementById('refocus-flip-val').textContent = CONFIG.refocusFlip + '°';
     });
 
     document.getElementById('TE-val').addEventListener('input', (e) => {
@@ -1820,33 +5385,95 @@ function setupEventListeners() {
     document.getElementById('gre-type').addEventListener('change', (e) => {
         CONFIG.greType = e.target.value;
         updateErnstAngleDisplay();
+        updateGRETypeControls();
+        updateGREPrediction();
+        // A run keeps the pulse train of the type it started with (bSSFP needs grePulseTrain)
+        if (CONFIG.currentModule === 'D') resetSimulation();
     });
 
     document.getElementById('flip-angle-D').addEventListener('input', (e) => {
         CONFIG.flipAngleD = parseInt(e.target.value);
         document.getElementById('flip-angle-D-val').textContent = CONFIG.flipAngleD + '°';
+        updateGREPrediction();
     });
 
     document.getElementById('TR-val').addEventListener('input', (e) => {
         CONFIG.TR = parseInt(e.target.value);
         document.getElementById('TR-display').textContent = CONFIG.TR + ' ms';
         updateErnstAngleDisplay();
+        updateGREPrediction();
     });
 
     document.getElementById('T1-D').addEventListener('input', (e) => {
         CONFIG.T1D = parseInt(e.target.value);
         document.getElementById('T1-D-val').textContent = CONFIG.T1D + ' ms';
         updateErnstAngleDisplay();
+        updateGREPrediction();
     });
 
     document.getElementById('T2-D').addEventListener('input', (e) => {
         CONFIG.T2D = parseInt(e.target.value);
         document.getElementById('T2-D-val').textContent = CONFIG.T2D + ' ms';
+        updateGREPrediction();
     });
 
     document.getElementById('num-TR').addEventListener('input', (e) => {
         CONFIG.numTR = parseInt(e.target.value);
         document.getElementById('num-TR-val').textContent = CONFIG.numTR + ' TRs';
+        updateGREPrediction();
+    });
+
+    document.getElementById('spoil-mode').addEventListener('change', (e) => {
+        CONFIG.spoilMode = e.target.value;
+        updateGRETypeControls();
+        updateGREPrediction();
+    });
+
+    document.getElementById('rf-spoil-increment').addEventListener('input', (e) => {
+        CONFIG.rfSpoilIncrement = parseInt(e.target.value);
+        document.getElementById('rf-spoil-increment-val').textContent = CONFIG.rfSpoilIncrement + '°';
+        updateGREPrediction();
+    });
+
+    document.getElementById('spoiler-cycles').addEventListener('input', (e) => {
+        CONFIG.spoilerCycles = parseInt(e.target.value);
+        document.getElementById('spoiler-cycles-val').textContent = CONFIG.spoilerCycles + ' cycles/voxel';
+        updateGREPrediction();
+    });
+
+    document.getElementById('gre-voxel-spins').addEventListener('input', (e) => {
+        CONFIG.greVoxelSpins = parseInt(e.target.value);
+        document.getElementById('gre-voxel-spins-val').textContent = CONFIG.greVoxelSpins + ' isochromats';
+        updateGREPrediction();
+    });
+
+    document.getElementById('ssfp-phase-cycle').addEventListener('change', (e) => {
+        CONFIG.ssfpPhaseCycle = parseInt(e.target.value);
+        drawBandingPattern();
+        updateGREPrediction();
+    });
+
+    document.getElementById('ssfp-offres').addEventListener('input', (e) => {
+        CONFIG.ssfpOffResonance = parseInt(e.target.value);
+        document.getElementById('ssfp-offres-val').textContent = CONFIG.ssfpOffResonance + ' Hz';
+        updateGREPrediction();
+    });
+
+    document.getElementById('ssfp-prep').addEventListener('change', (e) => {
+        CONFIG.ssfpPrep = e.target.value;
+        updateGRETypeControls();
+        updateGREPrediction();
+    });
+
+    document.getElementById('ssfp-ramp-length').addEventListener('input', (e) => {
+        CONFIG.ssfpRampLength = parseInt(e.target.value);
+        document.getElementById('ssfp-ramp-length-val').textContent = CONFIG.ssfpRampLength + ' pulses';
+        updateGREPrediction();
+    });
+
+    document.getElementById('gre-analysis-view').addEventListener('change', (e) => {
+        CONFIG.greAnalysisView = e.target.value;
+        updateGREPrediction();
     });
 
     document.getElementById('btn-run-gre').addEventListener('click', runGRESequence);
@@ -1855,22 +5482,210 @@ function setupEventListeners() {
         CONFIG.showIndividual = e.target.checked;
         spinArrows.forEach(a => a.visible = CONFIG.showIndividual);
     });
+
+    // Module E controls
+    document.getElementById('slice-shape').addEventListener('change', (e) => {
+        CONFIG.sliceShape = e.target.value;
+        updateSliceReadouts();
+    });
+
+    document.getElementById('slice-flip').addEventListener('input', (e) => {
+        CONFIG.sliceFlipAngle = parseInt(e.target.value);
+        document.getElementById('slice-flip-val').textContent = CONFIG.sliceFlipAngle + '°';
+    });
+
+    document.getElementById('slice-duration').addEventListener('input', (e) => {
+        CONFIG.sliceDuration = parseFloat(e.target.value);
+        document.getElementById('slice-duration-val').textContent = CONFIG.sliceDuration.toFixed(1) + ' ms';
+        updateSliceReadouts();
+    });
+
+    document.getElementById('slice-tbw').addEventListener('input', (e) => {
+        CONFIG.sliceTBW = parseFloat(e.target.value);
+        document.getElementById('slice-tbw-val').textContent = CONFIG.sliceTBW.toFixed(1);
+        updateSliceReadouts();
+    });
+
+    document.getElementById('slice-thickness').addEventListener('input', (e) => {
+        CONFIG.sliceThickness = parseFloat(e.target.value);
+        document.getElementById('slice-thickness-val').textContent = CONFIG.sliceThickness + ' mm';
+    });
+
+    document.getElementById('slice-thickness').addEventListener('change', () => {
+        if (CONFIG.currentModule === 'E') {
+            resetSimulation();
+            initModuleE();
+        }
+    });
+
+    document.getElementById('slice-rephase').addEventListener('input', (e) => {
+        CONFIG.sliceRephase = parseInt(e.target.value);
+        document.getElementById('slice-rephase-val').textContent = CONFIG.sliceRephase + '%';
+    });
+
+    document.getElementById('btn-run-slice').addEventListener('click', runSliceSequence);
+
+    document.getElementById('show-individual-E').addEventListener('change', (e) => {
+        CONFIG.showIndividual = e.target.checked;
+        spinArrows.forEach(a => a.visible = CONFIG.showIndividual);
+    });
+
+    // Module F controls
+    document.getElementById('btn-run-mt').addEventListener('click', runMTSequence);
+
+    document.getElementById('mt-bound-fraction').addEventListener('input', (e) => {
+        CONFIG.mtBoundFraction = parseInt(e.target.value) / 100;
+        document.getElementById('mt-bound-fraction-val').textContent = e.target.value + '%';
+        rebuildMTModel();
+    });
+
+    document.getElementById('mt-bound-exchange').addEventListener('input', (e) => {
+        CONFIG.mtBoundExchange = parseInt(e.target.value);
+        document.getElementById('mt-bound-exchange-val').textContent = CONFIG.mtBoundExchange + ' s⁻¹';
+        rebuildMTModel();
+    });
+
+    document.getElementById('mt-cest-fraction').addEventListener('input', (e) => {
+        CONFIG.mtCestFraction = parseFloat(e.target.value) / 100;
+        document.getElementById('mt-cest-fraction-val').textContent = parseFloat(e.target.value).toFixed(1) + '%';
+        rebuildMTModel();
+    });
+
+    document.getElementById('mt-cest-exchange').addEventListener('input', (e) => {
+        CONFIG.mtCestExchange = parseInt(e.target.value);
+        document.getElementById('mt-cest-exchange-val').textContent = CONFIG.mtCestExchange + ' s⁻¹';
+        rebuildMTModel();
+    });
+
+    document.getElementById('mt-sat-b1').addEventListener('input', (e) => {
+        CONFIG.mtSatB1 = parseFloat(e.target.value);
+        document.getElementById('mt-sat-b1-val').textContent = CONFIG.mtSatB1.toFixed(1) + ' µT';
+        mtSaturatedMz = null;
+        updateMTReadouts();
+        updateZSpectrumChart();
+    });
+
+    document.getElementById('mt-sat-offset').addEventListener('input', (e) => {
+        CONFIG.mtSatOffset = parseFloat(e.target.value);
+        document.getElementById('mt-sat-offset-val').textContent = CONFIG.mtSatOffset.toFixed(1) + ' ppm';
+        mtSaturatedMz = null;
+        updateMTReadouts();
+        updateZSpectrumChart();
+    });
+
+    document.getElementById('mt-sat-duration').addEventListener('input', (e) => {
+        CONFIG.mtSatDuration = parseInt(e.target.value);
+        document.getElementById('mt-sat-duration-val').textContent = CONFIG.mtSatDuration + ' ms';
+        mtSaturatedMz = null;
+        updateMTReadouts();
+        updateZSpectrumChart();
+    });
+
+    // Module G controls
+    document.getElementById('btn-run-ir').addEventListener('click', runIRSequence);
+
+    document.getElementById('ir-ti').addEventListener('input', (e) => {
+        CONFIG.irTI = parseInt(e.target.value);
+        document.getElementById('ir-ti-val').textContent = CONFIG.irTI + ' ms';
+        if (CONFIG.currentModule === 'G') resetSimulation();
+    });
+
+    document.getElementById('ir-custom-t1').addEventListener('input', (e) => {
+        CONFIG.irCustomT1 = parseInt(e.target.value);
+        document.getElementById('ir-custom-t1-val').textContent = CONFIG.irCustomT1 + ' ms';
+        if (CONFIG.currentModule === 'G') {
+            resetSimulation();
+            initModuleG();
+        }
+    });
+
+    document.getElementById('ir-reconstruction').addEventListener('change', (e) => {
+        CONFIG.irReconstruction = e.target.value;
+        updateIRReadout();
+        updateIRChart();
+    });
+
+    // Module H: sequence script editor
+    document.getElementById('script-preset').addEventListener('change', (e) => {
+        loadScriptPreset(e.target.value);
+    });
+
+    document.getElementById('script-editor').addEventListener('input', validateScriptEditor);
+
+    document.getElementById('btn-run-script').addEventListener('click', runScript);
+
+    // Module I controls
+    document.getElementById('btn-run-spinlock').addEventListener('click', runSpinLockSequence);
+
+    document.getElementById('sl-b1').addEventListener('input', (e) => {
+        CONFIG.slB1 = parseInt(e.target.value);
+        document.getElementById('sl-b1-val').textContent = CONFIG.slB1 + ' Hz';
+        if (CONFIG.currentModule === 'I') resetSimulation();
+    });
+
+    document.getElementById('sl-duration').addEventListener('input', (e) => {
+        CONFIG.slDuration = parseInt(e.target.value);
+        document.getElementById('sl-duration-val').textContent = CONFIG.slDuration + ' ms';
+        if (CONFIG.currentModule === 'I') resetSimulation();
+    });
+
+    document.getElementById('sl-t2').addEventListener('input', (e) => {
+        CONFIG.slT2 = parseInt(e.target.value);
+        document.getElementById('sl-t2-val').textContent = CONFIG.slT2 + ' ms';
+        if (CONFIG.currentModule === 'I') {
+            resetSimulation();
+            initModuleI();
+        }
+    });
+
+    document.getElementById('sl-freq-spread').addEventListener('input', (e) => {
+        CONFIG.slFreqSpread = parseInt(e.target.value);
+        document.getElementById('sl-freq-spread-val').textContent = CONFIG.slFreqSpread + ' Hz';
+        if (CONFIG.currentModule === 'I') {
+            resetSimulation();
+            initModuleI();
+        }
+    });
+}
+
+/**
+ * Show/hide RF shape parameters and update the bandwidth readout
+ */
+function updateRFShapeControls() {
+    const shape = CONFIG.rfShape;
+    document.getElementById('rf-shape-params').style.display = shape === 'instant' ? 'none' : 'block';
+    document.getElementById('rf-tbw-control').style.display = (shape === 'sinc' || shape === 'gaussian') ? 'block' : 'none';
+    document.getElementById('rf-custom-control').style.display = shape === 'custom' ? 'block' : 'none';
+    document.getElementById('rf-hs-control').style.display = shape === 'hs' ? 'block' : 'none';
+
+    const pulse = createModuleBPulse();
+    if (pulse && shape === 'hs') {
+        // Adiabatic condition: B1max ≫ √μ·β/2π
+        const threshold = Math.sqrt(pulse.mu) * pulse.getSweepRate() / (2 * Math.PI);
+        document.getElementById('rf-bandwidth-val').textContent =
+            `Sweep BW = ${pulse.getBandwidth().toFixed(0)} Hz, peak B₁ = ${pulse.peakB1.toFixed(0)} Hz (adiabatic ≫ ${threshold.toFixed(0)} Hz)`;
+    } else if (pulse) {
+        document.getElementById('rf-bandwidth-val').textContent =
+            `BW ≈ ${pulse.getBandwidth().toFixed(0)} Hz, peak B₁ = ${pulse.peakB1.toFixed(0)} Hz`;
+    }
+    updateModuleBAnalysis();
 }
 
 /**
  * Update T2* slider based on echo type selection
  * Saves current value before switching and restores saved value for new type
+ * Multi-echo trains are spin echoes and share the Spin Echo T2* setting
+ * @param {string} previousType - Echo type selected before the change
  */
-function updateT2starSliderForEchoType() {
+function updateT2starSliderForEchoType(previousType) {
     const slider = document.getElementById('T2star-echo');
     const display = document.getElementById('T2star-echo-val');
-    const previousType = CONFIG.echoType === 'gradient' ? 'spin' : 'gradient';
 
     // Save current slider value to the PREVIOUS echo type (before user switched)
-    if (previousType === 'spin') {
-        CONFIG.T2starEchoSE = CONFIG.T2starEcho;
-    } else {
+    if (previousType === 'gradient') {
         CONFIG.T2starEchoGRE = CONFIG.T2starEcho;
+    } else {
+        CONFIG.T2starEchoSE = CONFIG.T2starEcho;
     }
 
     // Restore saved value for the NEW echo type
@@ -1887,6 +5702,8 @@ function updateT2starSliderForEchoType() {
 
 function resetSimulation() {
     CONFIG.isPlaying = false;
+    // Every run draws its spins from the same seed, as BlochSimulation({ seed }) does in Node
+    setRandomSeed(CONFIG.randomSeed);
     CONFIG.currentTime = 0;
     lastTimestamp = 0;
 
@@ -1903,6 +5720,12 @@ function resetSimulation() {
     echoSequenceState = 'idle';
     echoSequenceTime = 0;
     gradientFlipped = false;
+    echoEvents = [];
+    echoEventIndex = 0;
+    echoAmplitudes = [];
+    echoComparison = null;
+    echoPathways = [];
+    diffusionRunEcho = null;
 
     // Reset GRE multi-TR state
     greSequenceState = 'idle';
@@ -1911,6 +5734,37 @@ function resetSimulation() {
     rfPhase = 0;
     steadyStateMxy = [];
     steadyStateMz = [];
+    grePulseTrain = [];
+
+    // Reset slice selection state
+    sliceSequenceState = 'idle';
+    sliceRephaseTime = 0;
+
+    // Reset magnetization transfer state
+    mtSequenceState = 'idle';
+    mtTime = 0;
+    mtSaturatedMz = null;
+    if (mtModel) mtModel.reset();
+
+    // Reset inversion recovery state
+    irSequenceState = 'idle';
+    irTime = 0;
+    irTraces = [];
+    irNullTimes = IR_TISSUES.map(() => null);
+    irReadout = null;
+
+    // Reset sequence script state (Run starts it again)
+    scriptSim = null;
+    scriptHistoryIndex = 0;
+
+    // Reset spin lock state
+    slSequenceState = 'idle';
+    slTime = 0;
+    slPrepared = null;
+
+    // Stop any RF pulse in progress
+    activeRFPulse = null;
+    if (b1Arrow) b1Arrow.visible = false;
 
     // Reset signal detection state
     previousMxy = 0;
@@ -1933,10 +5787,35 @@ function resetSimulation() {
     } else {
         updateEnsembleArrows();
         document.getElementById('coherent-count').textContent = '0%';
+        if (CONFIG.currentModule === 'E') updateSliceProfile();
+        if (CONFIG.currentModule === 'B') updateSpeciesChart();
+        if (CONFIG.currentModule === 'F' && mtModel) syncMTDisplay();
+        if (CONFIG.currentModule === 'G') {
+            updateIRReadout();
+            updateIRChart();
+        }
+        if (CONFIG.currentModule === 'H') updateScriptChart();
+        if (CONFIG.currentModule === 'I') {
+            updateSpinLockReadout();
+            updateSpinLockChart();
+        }
     }
 }
 
 function runEchoSequence() {
+    if (CONFIG.echoType === 'multi') {
+        runEchoTrainSequence();
+        return;
+    }
+    if (CONFIG.echoType === 'stimulated') {
+        runStimulatedEchoSequence();
+        return;
+    }
+    if (CONFIG.echoType === 'diffusion') {
+        runDiffusionSequence();
+        return;
+    }
+
     resetSimulation();
 
     // T2* determines B0 inhomogeneity spread
@@ -1974,6 +5853,184 @@ function runEchoSequence() {
     CONFIG.maxTime = Math.max(CONFIG.TE * 3, 300);
 }
 
+/**
+ * Run a CP/CPMG multi-echo train in Module C
+ */
+function runEchoTrainSequence() {
+    resetSimulation();
+
+    const freqSpread = 1000 / (Math.PI * CONFIG.T2starEcho);
+    ensemble = new SpinEnsemble(CONFIG.numSpins, CONFIG.T1, CONFIG.T2echo, freqSpread, CONFIG.B0);
+    // Static intravoxel dephasing (crusher/readout gradient) - refocused like B0 inhomogeneity
+    ensemble.applyGradientFixed(CONFIG.echoTrainDephasingHz);
+    createEnsembleArrows();
+
+    const esp = CONFIG.echoSpacing;
+    const refocusPhase = getRefocusPhase(CONFIG.refocusScheme);
+    const axisLabel = refocusPhase === 90 ? 'y' : 'x';
+
+    // Same spins with the other refocusing phase, for comparison
+    const otherScheme = CONFIG.refocusScheme === 'cpmg' ? 'cp' : 'cpmg';
+    echoComparison = simulateEchoTrain(ensemble.spins, {
+        numEchoes: CONFIG.numEchoes,
+        echoSpacing: esp,
+        refocusFlip: CONFIG.refocusFlip,
+        refocusPhase: getRefocusPhase(otherScheme)
+    });
+
+    ensemble.applyRFPulse(90, 0);
+    addEventMarker(0, 'rf90', '90°x');
+
+    for (let k = 0; k < CONFIG.numEchoes; k++) {
+        const pulseTime = esp / 2 + k * esp;
+        const echoTime = (k + 1) * esp;
+
+        scheduleEchoEvent(pulseTime, () => {
+            ensemble.applyRFPulse(CONFIG.refocusFlip, refocusPhase);
+            addEventMarker(pulseTime, 'rf180', `${CONFIG.refocusFlip}°${axisLabel}`);
+        });
+
+        scheduleEchoEvent(echoTime, () => {
+            const sum = ensemble.getSumMagnetization();
+            echoAmplitudes.push({ time: echoTime, amplitude: Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My) });
+            addEventMarker(echoTime, 'echo', `E${k + 1}`);
+            updateEchoTrainChart();
+        });
+    }
+
+    echoSequenceState = 'dephasing';
+    echoSequenceTime = 0;
+    CONFIG.maxTime = CONFIG.numEchoes * esp + esp / 2;
+    updateEchoTrainChart();
+    CONFIG.isPlaying = true;
+}
+
+/**
+ * Run the three-pulse stimulated echo experiment in Module C
+ * 90°x at 0, τ1 and τ1+τ2; every echo pathway is marked and its peak amplitude recorded
+ */
+function runStimulatedEchoSequence() {
+    resetSimulation();
+
+    const freqSpread = 1000 / (Math.PI * CONFIG.T2starEcho);
+    ensemble = new SpinEnsemble(CONFIG.numSpins, CONFIG.T1echo, CONFIG.T2echo, freqSpread, CONFIG.B0);
+    // Static intravoxel dephasing so the pathways form separate, narrow echoes
+    ensemble.applyGradientFixed(CONFIG.echoTrainDephasingHz);
+    createEnsembleArrows();
+
+    const tau1 = CONFIG.tau1;
+    const tau2 = CONFIG.tau2;
+    echoPathways = calculateStimulatedEchoPathways(tau1, tau2, CONFIG.T1echo, CONFIG.T2echo);
+
+    ensemble.applyRFPulse(90, 0);
+    addEventMarker(0, 'rf90', '90° (1)');
+
+    scheduleEchoEvent(tau1, () => {
+        ensemble.applyRFPulse(90, 0);
+        addEventMarker(tau1, 'rf90', '90° (2)');
+    });
+    scheduleEchoEvent(tau1 + tau2, () => {
+        ensemble.applyRFPulse(90, 0);
+        addEventMarker(tau1 + tau2, 'rf90', '90° (3)');
+    });
+
+    echoPathways.forEach(pathway => {
+        scheduleEchoEvent(pathway.time, () => {
+            const sum = ensemble.getSumMagnetization();
+            pathway.measured = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
+            addEventMarker(pathway.time, pathway.type, pathway.label);
+            updateStimulatedEchoChart();
+        });
+    });
+
+    echoSequenceState = 'dephasing';
+    echoSequenceTime = 0;
+    CONFIG.maxTime = echoPathways[echoPathways.length - 1].time + 20;
+    updateStimulatedEchoChart();
+    CONFIG.isPlaying = true;
+}
+
+/**
+ * Run the diffusion-weighted spin echo in Module C
+ * Random-walking spins see two equal gradient lobes around the 180° pulse;
+ * the b-value sweep is simulated first so the animated echo can be compared with it
+ */
+function runDiffusionSequence() {
+    resetSimulation();
+
+    const freqSpread = 1000 / (Math.PI * CONFIG.T2starEcho);
+    ensemble = createDiffusionEnsemble(CONFIG.numSpins, CONFIG.T1, CONFIG.T2echo, freqSpread, CONFIG.diffusionADC / 1000);
+    createEnsembleArrows();
+
+    const timing = getDiffusionTiming(CONFIG.diffusionDelta, CONFIG.diffusionSpacing);
+    const delta = CONFIG.diffusionDelta;
+    diffusionSweep = simulateDiffusionSweep();
+
+    ensemble.applyRFPulse(90, 0);
+    addEventMarker(0, 'rf90', '90°');
+
+    const scheduleLobe = (start, label) => {
+        scheduleEchoEvent(start, () => {
+            ensemble.applySpatialGradient(CONFIG.diffusionG);
+            addEventMarker(start, 'gradient_flip', `${label} on`);
+        });
+        scheduleEchoEvent(start + delta, () => {
+            ensemble.applySpatialGradient(0);
+            addEventMarker(start + delta, 'gradient_restore', `${label} off`);
+        });
+    };
+
+    scheduleLobe(timing.lobe1Start, 'G1');
+    scheduleEchoEvent(timing.refocusTime, () => {
+        ensemble.applyRFPulse(180, 0);
+        addEventMarker(timing.refocusTime, 'rf180', '180°');
+    });
+    scheduleLobe(timing.lobe2Start, 'G2');
+    scheduleEchoEvent(timing.TE, () => {
+        const sum = ensemble.getSumMagnetization();
+        diffusionRunEcho = Math.sqrt(sum.Mx * sum.Mx + sum.My * sum.My);
+        addEventMarker(timing.TE, 'echo', 'Echo');
+        updateDiffusionChart();
+    });
+
+    echoSequenceState = 'dephasing';
+    echoSequenceTime = 0;
+    CONFIG.maxTime = timing.TE + 40;
+    updateDiffusionChart();
+    CONFIG.isPlaying = true;
+}
+
+/**
+ * Show the controls and analysis panel that belong to the selected echo type
+ */
+function updateEchoTypeControls() {
+    const type = CONFIG.echoType;
+    document.getElementById('multi-echo-controls').style.display = type === 'multi' ? 'block' : 'none';
+    document.getElementById('stimulated-controls').style.display = type === 'stimulated' ? 'block' : 'none';
+    document.getElementById('diffusion-controls').style.display = type === 'diffusion' ? 'block' : 'none';
+    document.getElementById('TE-control').style.display = ['multi', 'stimulated', 'diffusion'].includes(type) ? 'none' : 'block';
+
+    if (CONFIG.currentModule !== 'C') return;
+    if (type === 'multi') {
+        if (CONFIG.showEPGStates) {
+            setAnalysisPanel('EPG Configuration States', 'F±k, Zk before each refocusing pulse and at each echo');
+        } else {
+            setAnalysisPanel('Echo Train', 'S(n·ESP) with T2 fit and EPG prediction');
+        }
+        updateEchoTrainChart();
+    } else if (type === 'stimulated') {
+        setAnalysisPanel('Echo Pathways', '90°-τ1-90°-τ2-90°');
+        echoPathways = calculateStimulatedEchoPathways(CONFIG.tau1, CONFIG.tau2, CONFIG.T1echo, CONFIG.T2echo);
+        updateStimulatedEchoChart();
+    } else if (type === 'diffusion') {
+        setAnalysisPanel('Diffusion Attenuation', 'S(b) = S0·e^(−b·ADC), b = γ²G²δ²(Δ − δ/3)');
+        updateDiffusionReadouts();
+        updateDiffusionChart();
+    } else {
+        setAnalysisPanel(null);
+    }
+}
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
@@ -1982,6 +6039,13 @@ function init() {
     init3D();
     initCharts();
     setupEventListeners();
+    updateRFShapeControls();
+    updateFrameDisplay();
+    updateReceiverReadout();
+    updateGRETypeControls();
+
+    const seed = parseInt(new URLSearchParams(window.location.search).get('seed'));
+    if (Number.isFinite(seed)) CONFIG.randomSeed = seed;
 
     // Start with Module A
     switchModule('A');
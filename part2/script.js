@@ -2,15 +2,134 @@
  * MR Physics Simulation Logic
  */
 
+// Segmentation labels of the brain phantom
+// 1-4 come from the segmentation image, 5-8 are synthetic lesions painted over it (LESION_REGIONS)
+const PHANTOM_LABELS = [
+    { label: 1, name: 'CSF' },
+    { label: 2, name: 'Gray matter' },
+    { label: 3, name: 'White matter' },
+    { label: 4, name: 'Scalp fat' },
+    { label: 5, name: 'Peritumoral rim' },
+    { label: 6, name: 'Tumor core' },
+    { label: 7, name: 'Periventricular plaques' },
+    { label: 8, name: 'Lobar hematoma' }
+];
+
+// Lesion regions as ellipses in 512×512 phantom pixels
+// A lesion only replaces the underlying labels listed in `on`, and only once a tissue is assigned to it
+const LESION_REGIONS = [
+    { label: 5, on: [2, 3], ellipses: [{ cx: 322, cy: 254, rx: 40, ry: 32 }] },
+    { label: 6, on: [1, 2, 3], ellipses: [{ cx: 324, cy: 256, rx: 17, ry: 14 }] },
+    {
+        label: 7, on: [3], ellipses: [
+            { cx: 212, cy: 246, rx: 6, ry: 10 },
+            { cx: 175, cy: 318, rx: 8, ry: 6 },
+            { cx: 358, cy: 322, rx: 6, ry: 5 },
+            { cx: 198, cy: 272, rx: 5, ry: 7 }
+        ]
+    },
+    { label: 8, on: [2, 3], ellipses: [{ cx: 165, cy: 158, rx: 13, ry: 10 }] }
+];
+
+// Relaxation times are given at the reference field; other fields follow the power law
+// T(B0) = T(1.5 T) · (B0 / 1.5 T)^exponent, and the susceptibility part of R2* grows linearly with B0
+const REFERENCE_B0 = 1.5; // T
+
+// Exponents for tissues that do not specify their own (typical brain parenchyma)
+const DEFAULT_FIELD_EXPONENTS = { t1Exponent: 0.35, t2Exponent: -0.15 };
+
+// Default tissue set (1.5 T relaxation times in ms, PD relative to CSF)
+const DEFAULT_TISSUES = [
+    { id: 'fat', name: 'Fat', t1: 250, t2: 60, t2star: 45, pd: 0.9, t1Exponent: 0.15, t2Exponent: -0.1, color: '#fbbf24', label: 4 },
+    { id: 'gm', name: 'Gray Matter', t1: 950, t2: 100, t2star: 70, pd: 0.8, t1Exponent: 0.38, t2Exponent: -0.2, color: '#94a3b8', label: 2 },
+    { id: 'wm', name: 'White Matter', t1: 600, t2: 80, t2star: 60, pd: 0.7, t1Exponent: 0.38, t2Exponent: -0.2, color: '#e2e8f0', label: 3 },
+    // Free water: T1 and T2 depend only weakly on the field
+    { id: 'csf', name: 'CSF', t1: 4500, t2: 2200, t2star: 1500, pd: 1.0, t1Exponent: 0.05, t2Exponent: -0.05, color: '#38bdf8', label: 1 }
+];
+
+// Tissues that can be added from the editor; `label` is the default phantom region
+const TISSUE_LIBRARY = [
+    { id: 'edema', name: 'Edema', t1: 1100, t2: 160, t2star: 120, pd: 0.9, t1Exponent: 0.3, t2Exponent: -0.1, color: '#4ade80', label: 5 },
+    { id: 'tumor', name: 'Tumor', t1: 1200, t2: 130, t2star: 90, pd: 0.85, t1Exponent: 0.3, t2Exponent: -0.1, color: '#f87171', label: 6 },
+    { id: 'ms', name: 'MS Plaque', t1: 1100, t2: 120, t2star: 85, pd: 0.78, t1Exponent: 0.35, t2Exponent: -0.15, color: '#c084fc', label: 7 },
+    // Deoxyhemoglobin: T1 close to brain, strong susceptibility shortens T2 and T2* (more so at high field)
+    { id: 'blood-acute', name: 'Acute Blood', t1: 1000, t2: 40, t2star: 12, pd: 0.8, t1Exponent: 0.34, t2Exponent: -0.8, color: '#b91c1c', label: 8 },
+    // Hemosiderin: dark on every sequence, blooming on GRE
+    { id: 'blood-chronic', name: 'Chronic Blood', t1: 900, t2: 30, t2star: 6, pd: 0.7, t1Exponent: 0.3, t2Exponent: -0.5, color: '#78350f', label: 8 },
+    { id: 'custom', name: 'Custom', t1: 1000, t2: 100, t2star: 70, pd: 0.8, ...DEFAULT_FIELD_EXPONENTS, color: '#f472b6', label: null }
+];
+
+// Starting parameters the first time a sequence family whose timing regime differs from SE/GRE/IR is selected
+// (SE, GRE and IR share TR/TE and keep them when switching between each other; each family's timing is
+// saved when leaving it and restored on return)
+const SEQUENCE_DEFAULTS = {
+    bSSFP: { tr: 5, fa: 50 },                                      // TE = TR/2
+    FSE: { tr: 4000, te: 90, etl: 16, esp: 10 },                   // TE is the effective TE
+    DIR: { tr: 7500, te: 25, ti: 3050, ti2: 410 },                  // CSF and WM nulled at 1.5 T
+    MPRAGE: { tr: 2300, te: 3, ti: 900, fa: 9, etl: 176, esp: 7 }  // TR is the inversion-to-inversion time
+};
+
+// Timing parameters saved and restored per sequence family
+const TIMING_PARAMS = ['tr', 'te', 'ti', 'fa', 'ti2', 'etl', 'esp'];
+
+// Extra contrast chart for the parameter that defines each sequence family
+const SEQUENCE_CHARTS = {
+    FSE: { key: 'etl', title: 'Signal vs Echo Train Length', axis: 'Echo Train Length', min: 1, max: 64, step: 1 },
+    DIR: { key: 'ti2', title: 'Signal vs TI2', axis: 'TI2 (ms)', min: 10, max: 2000, step: 20 },
+    MPRAGE: { key: 'etl', title: 'Signal vs Readouts per Inversion', axis: 'Readouts per Inversion', min: 16, max: 256, step: 8 }
+};
+
+// Contrast optimizer search ranges (grid snapped to `step`), with per-sequence overrides
+const OPTIMIZER_RANGES = {
+    tr: { label: 'TR (ms)', min: 100, max: 6000, step: 10 },
+    te: { label: 'TE (ms)', min: 2, max: 200, step: 1 },
+    ti: { label: 'TI (ms)', min: 50, max: 3500, step: 10 },
+    ti2: { label: 'TI2 (ms)', min: 50, max: 1500, step: 10 },
+    fa: { label: 'Flip Angle (°)', min: 1, max: 90, step: 1 },
+    etl: { label: 'Echo Train Length', min: 1, max: 64, step: 1 },
+    esp: { label: 'Echo Spacing (ms)', min: 4, max: 30, step: 1 }
+};
+const OPTIMIZER_OVERRIDES = {
+    bSSFP: { tr: { min: 2, max: 20, step: 0.5 } },
+    FSE: { te: { label: 'Effective TE (ms)' } },
+    DIR: { tr: { min: 3000, max: 12000 }, ti: { label: 'TI1 (ms)', min: 500, max: 6000 } },
+    MPRAGE: {
+        tr: { label: 'Shot TR (ms)', min: 1000, max: 5000 },
+        te: { min: 1, max: 10, step: 0.5 },
+        ti: { min: 300, max: 2000 },
+        fa: { max: 20 },
+        etl: { label: 'Readouts per Inversion', min: 32, max: 256, step: 16 },
+        esp: { min: 4, max: 15, step: 0.5 }
+    }
+};
+
+// Parameters each sequence offers as optimizer axes (the first two are the default axes)
+const OPTIMIZER_PARAMS = {
+    SE: ['tr', 'te'],
+    GRE: ['tr', 'te', 'fa'],
+    IR: ['ti', 'tr', 'te', 'fa'],
+    bSSFP: ['tr', 'fa'],
+    FSE: ['tr', 'te', 'etl', 'esp'],
+    DIR: ['ti', 'ti2', 'tr', 'te'],
+    MPRAGE: ['ti', 'fa', 'tr', 'etl', 'esp', 'te']
+};
+
+// Noise standard deviation relative to M0, so CNR = |S_A - S_B| / σ
+const OPTIMIZER_NOISE = 0.01;
+
+// Acquisition geometry that defines relative SNR = 1 (2D, 256², 240 mm FOV, 5 mm, 130 Hz/pixel)
+const REFERENCE_GEOMETRY = { nfreq: 256, nphase: 256, fov: 240, thickness: 5, nex: 1, bandwidth: 130, parallel: 1 };
+
+// Slice (2D) or partition (3D) coverage, swapped in when switching to or from MPRAGE
+const GEOMETRY_DIMENSIONS = {
+    '2D': { thickness: 5, slices: 20 },
+    '3D': { thickness: 1, slices: 176 }
+};
+
 class MRPhysics {
     constructor() {
-        // Fixed Tissues for Brain Schematic
-        this.tissues = [
-            { id: 'fat', name: 'Fat', t1: 250, t2: 60, pd: 0.9, color: '#fbbf24', regionId: 'region-fat' },
-            { id: 'gm', name: 'Gray Matter', t1: 950, t2: 100, pd: 0.8, color: '#94a3b8', regionId: 'region-gm' },
-            { id: 'wm', name: 'White Matter', t1: 600, t2: 80, pd: 0.7, color: '#e2e8f0', regionId: 'region-wm' },
-            { id: 'csf', name: 'CSF', t1: 4500, t2: 2200, pd: 1.0, color: '#38bdf8', regionId: 'region-csf' }
-        ];
+        // Editable tissue set (see Tissue Library below)
+        this.tissues = DEFAULT_TISSUES.map(tissue => ({ ...tissue }));
 
         this.params = {
             sequence: 'SE',
@@ -19,10 +138,19 @@ class MRPhysics {
             tr: 500,    // ms
             te: 20,     // ms
             ti: 0,      // ms (for IR)
-            fa: 90      // degrees (for GRE/SE)
+            fa: 90,     // degrees (for GRE/SE)
+            ti2: 0,     // ms (second inversion to readout, DIR)
+            etl: 16,    // echo train length (FSE) / readouts per inversion (MPRAGE)
+            esp: 10     // ms echo spacing (FSE) / readout spacing (MPRAGE)
         };
 
         this.charts = {};
+        this.activePreset = null; // FLAIR/STIR re-null their tissue when B0 changes
+        this.familyTimings = {};  // Timing of sequence families the user has left (see switchSequence)
+
+        // Acquisition geometry for scan time and SNR (ETL comes from params)
+        this.geometryMode = '2D';
+        this.geometry = { ...REFERENCE_GEOMETRY, ...GEOMETRY_DIMENSIONS['2D'] };
 
         // Phase Wheel State
         this.phaseWheelFrame = 0;
@@ -34,6 +162,7 @@ class MRPhysics {
 
         // Brain segmentation data
         this.brainSegData = null;
+        this.lesionData = null; // Lesion label per pixel (0 = none)
         this.canvasSize = 512;
     }
 
@@ -41,6 +170,9 @@ class MRPhysics {
         this.initUI();
         this.initCharts();
         this.initMechanicsVisualizations();
+        this.initTissueEditor();
+        this.initOptimizer();
+        this.initGeometry();
         this.renderParams();
         this.loadBrainSegmentation();
 
@@ -93,6 +225,8 @@ class MRPhysics {
                 this.brainSegData[i] = valueToLabel[rawValue] !== undefined ? valueToLabel[rawValue] : 0;
             }
 
+            this.lesionData = this.buildLesionMask();
+
             console.log('Brain segmentation loaded');
             this.updateSimulation();
         };
@@ -103,6 +237,27 @@ class MRPhysics {
         img.src = brainSegBase64;
     }
 
+    // Lesion label per pixel: each region is painted over the underlying labels it may replace
+    buildLesionMask() {
+        const size = this.canvasSize;
+        const mask = new Uint8Array(size * size);
+        LESION_REGIONS.forEach(region => {
+            region.ellipses.forEach(({ cx, cy, rx, ry }) => {
+                for (let y = Math.max(0, cy - ry); y <= Math.min(size - 1, cy + ry); y++) {
+                    for (let x = Math.max(0, cx - rx); x <= Math.min(size - 1, cx + rx); x++) {
+                        const dx = (x - cx) / rx;
+                        const dy = (y - cy) / ry;
+                        const i = y * size + x;
+                        if (dx * dx + dy * dy <= 1 && region.on.includes(this.brainSegData[i])) {
+                            mask[i] = region.label;
+                        }
+                    }
+                }
+            });
+        });
+        return mask;
+    }
+
     initUI() {
         // Tab Navigation
         document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -128,7 +283,8 @@ class MRPhysics {
 
         // Sequence Selector
         document.getElementById('sequenceType').addEventListener('change', (e) => {
-            this.params.sequence = e.target.value;
+            this.clearActivePreset();
+            this.switchSequence(e.target.value);
             this.renderParams();
             this.updateSimulation();
             this.updateInhomogeneityVisibility();
@@ -140,6 +296,12 @@ class MRPhysics {
             this.params.b0 = parseFloat(e.target.value);
             document.getElementById('b0Value').textContent = `${this.params.b0} T`;
             this.updateB0Frequency();
+            // Relaxation times change with the field; FLAIR/STIR keep nulling their tissue
+            this.renderTissueCards();
+            if (this.activePreset === 'FLAIR' || this.activePreset === 'STIR') {
+                this.params.ti = this.getPresetTI(this.activePreset);
+                this.renderParams();
+            }
             this.updateSimulation();
         });
         // Initialize frequency display
@@ -180,39 +342,40 @@ class MRPhysics {
 
     applyPreset(type) {
         if (type === 'T1') {
-            this.params.sequence = 'SE';
+            this.switchSequence('SE');
             this.params.tr = 500;
             this.params.te = 20;
             this.params.inhomogeneity = 0; // SE doesn't use inhomogeneity
         } else if (type === 'T2') {
-            this.params.sequence = 'SE';
+            this.switchSequence('SE');
             this.params.tr = 3000;
             this.params.te = 100;
             this.params.inhomogeneity = 0; // SE doesn't use inhomogeneity
         } else if (type === 'T2*') {
-            this.params.sequence = 'GRE';
+            this.switchSequence('GRE');
             this.params.tr = 500;
             this.params.te = 20;
             this.params.fa = 20; // Low flip angle for GRE T2*
             this.params.inhomogeneity = 20; // Add some inhomogeneity to show T2* effect
         } else if (type === 'FLAIR') {
-            this.params.sequence = 'IR';
+            this.switchSequence('IR');
             this.params.tr = 9000;
             this.params.te = 100;
-            // CSF nulling: TI = T1_CSF * ln(2) = 4500 * 0.693 ≈ 3120ms
-            this.params.ti = 3120;
             this.params.fa = 90; // Standard readout
+            // CSF nulling at the current field (≈ T1_CSF·ln2 when TR ≫ T1)
+            this.params.ti = this.getPresetTI('FLAIR');
             this.params.inhomogeneity = 0; // IR doesn't use inhomogeneity
         } else if (type === 'STIR') {
-            this.params.sequence = 'IR';
+            this.switchSequence('IR');
             this.params.tr = 4000;
             this.params.te = 50;
-            this.params.ti = 170; // Null Fat (T1 ~250ms -> TI ~ 0.69*T1)
             this.params.fa = 90; // Standard readout
+            this.params.ti = this.getPresetTI('STIR'); // Null Fat (TI ~ 0.69*T1 at the current field)
             this.params.inhomogeneity = 0; // IR doesn't use inhomogeneity
         }
 
         // Update UI - highlight active preset
+        this.activePreset = type;
         document.querySelectorAll('.preset-buttons .btn').forEach(btn => btn.classList.remove('active'));
         const presetMap = { 'T1': 'preset-t1', 'T2': 'preset-t2', 'T2*': 'preset-t2star', 'FLAIR': 'preset-flair', 'STIR': 'preset-stir' };
         const activeBtn = document.getElementById(presetMap[type]);
@@ -239,9 +402,51 @@ class MRPhysics {
         this.updateInhomogeneityVisibility();
     }
 
+    // SE/GRE/IR share one timing family; bSSFP, FSE, DIR and MPRAGE are each their own
+    getSequenceFamily(seq) {
+        return SEQUENCE_DEFAULTS[seq] ? seq : 'conventional';
+    }
+
+    // Leaving a family saves its timing so renderParams' range clamping cannot leak it into another one
+    switchSequence(seq) {
+        const from = this.getSequenceFamily(this.params.sequence);
+        const to = this.getSequenceFamily(seq);
+        this.params.sequence = seq;
+        if (from === to) return;
+
+        this.familyTimings[from] = Object.fromEntries(TIMING_PARAMS.map(key => [key, this.params[key]]));
+        Object.assign(this.params, this.familyTimings[to] || SEQUENCE_DEFAULTS[to]);
+    }
+
+    // Manual parameter changes end a preset (FLAIR/STIR stop following B0)
+    clearActivePreset() {
+        this.activePreset = null;
+        document.querySelectorAll('.preset-buttons .btn').forEach(btn => btn.classList.remove('active'));
+    }
+
+    // Inversion time that nulls CSF (FLAIR) or fat (STIR) with the preset's TR at the current B0
+    // Solved on the same steady-state IR signal the phantom uses, rounded to the TI slider step
+    getPresetTI(type) {
+        const id = type === 'FLAIR' ? 'csf' : 'fat';
+        const tissue = this.tissues.find(t => t.id === id) || DEFAULT_TISSUES.find(t => t.id === id);
+        const { t1, t2 } = this.getRelaxation(tissue);
+        const signal = ti => this.getSignalIR(t1, t2, 1, this.params.tr, this.params.te, ti, this.params.fa);
+
+        // Mz(TI) rises monotonically from −M0, so bisect for the zero crossing
+        let lo = 0;
+        let hi = this.params.tr;
+        if (signal(hi) < 0) return Math.round(hi / 10) * 10;
+        for (let i = 0; i < 40; i++) {
+            const mid = (lo + hi) / 2;
+            if (signal(mid) < 0) lo = mid;
+            else hi = mid;
+        }
+        return Math.round(hi / 10) * 10;
+    }
+
     updateInhomogeneityVisibility() {
         const inhoCtrl = document.getElementById('inhomogeneity-control');
-        if (this.params.sequence === 'GRE') {
+        if (this.params.sequence === 'GRE' || this.params.sequence === 'MPRAGE') {
             inhoCtrl.style.display = 'block';
         } else {
             inhoCtrl.style.display = 'none';
@@ -273,47 +478,372 @@ class MRPhysics {
             const input = div.querySelector('input');
             input.addEventListener('input', (e) => {
                 let newValue = parseFloat(e.target.value);
+                this.clearActivePreset();
 
                 // Safeguard: TI must be less than TR
                 if (id === 'ti' && newValue >= this.params.tr) {
                     newValue = Math.max(10, this.params.tr - 10);
                     e.target.value = newValue;
                 }
-                // Also check when TR changes - adjust TI if needed
-                if (id === 'tr' && this.params.ti && this.params.ti >= newValue) {
+                // Also check when TR changes - adjust TI if needed (MPRAGE's TI is independent of its shot TR)
+                const tiInput = document.getElementById('ti');
+                if (id === 'tr' && tiInput && this.params.sequence !== 'MPRAGE' && this.params.ti >= newValue) {
                     this.params.ti = Math.max(10, newValue - 10);
-                    const tiInput = document.querySelector('input[type="range"][step="10"][min="10"][max="2000"]');
-                    if (tiInput) {
-                        tiInput.value = this.params.ti;
-                        const tiSpan = tiInput.parentElement.querySelector('span');
-                        if (tiSpan) tiSpan.textContent = this.params.ti;
-                    }
+                    tiInput.value = this.params.ti;
+                    document.getElementById('ti-val').textContent = this.params.ti;
+                }
+
+                // DIR: the second inversion sits between the first one and the readout (TI2 < TI1)
+                if (id === 'ti2' && newValue >= this.params.ti) {
+                    newValue = Math.max(10, this.params.ti - 10);
+                    e.target.value = newValue;
                 }
 
                 this.params[id] = newValue;
                 div.querySelector('span').textContent = newValue;
+
+                const ti2Input = document.getElementById('ti2');
+                if (ti2Input && this.params.ti2 >= this.params.ti) {
+                    this.params.ti2 = Math.max(10, this.params.ti - 10);
+                    ti2Input.value = this.params.ti2;
+                    document.getElementById('ti2-val').textContent = this.params.ti2;
+                }
+
                 this.updateSimulation();
             });
             return div;
         };
 
+        // Values carried over from another sequence are clamped into this sequence's slider range
+        const addInput = (id, label, min, max, step) => {
+            const value = Math.min(max, Math.max(min, this.params[id] || min));
+            this.params[id] = value;
+            container.appendChild(createInput(id, label, value, min, max, step));
+        };
+        const seq = this.params.sequence;
+
+        if (seq === 'bSSFP') {
+            // Short TR regime; the echo sits at TE = TR/2, so TE has no control of its own
+            addInput('tr', 'TR (ms)', 2, 20, 0.5);
+            addInput('fa', 'Flip Angle (°)', 1, 90, 1);
+            return;
+        }
+
+        if (seq === 'MPRAGE') {
+            addInput('tr', 'Shot TR (ms)', 500, 5000, 10);
+            addInput('te', 'TE (ms)', 1, 20, 0.5);
+            addInput('ti', 'TI (ms)', 100, 3000, 10);
+            addInput('fa', 'Flip Angle (°)', 1, 30, 1);
+            addInput('etl', 'Readouts per Inversion', 16, 256, 16);
+            addInput('esp', 'Readout Spacing (ms)', 4, 20, 0.5);
+            return;
+        }
+
         // TR and TE are common
-        container.appendChild(createInput('tr', 'TR (ms)', this.params.tr, 10, 12000, 10));
-        container.appendChild(createInput('te', 'TE (ms)', this.params.te, 1, 300, 1));
+        addInput('tr', 'TR (ms)', 10, 12000, 10);
+        addInput('te', seq === 'FSE' ? 'Effective TE (ms)' : 'TE (ms)', 1, 300, 1);
 
-        if (this.params.sequence === 'IR') {
+        if (seq === 'IR') {
             // Extended TI range to 4000ms to support FLAIR (CSF nulling ~3100ms at 3T)
             container.appendChild(createInput('ti', 'TI (ms)', this.params.ti || 150, 10, 4000, 10));
             this.params.ti = this.params.ti || 150;
         }
 
-        // FA only applies to GRE and IR (SE uses fixed 90°/180° pulses)
-        if (this.params.sequence === 'GRE' || this.params.sequence === 'IR') {
+        if (seq === 'DIR') {
+            addInput('ti', 'TI1 (ms)', 20, 6000, 10);
+            this.params.ti2 = Math.min(this.params.ti2, this.params.ti - 10);
+            addInput('ti2', 'TI2 (ms)', 10, 2000, 10);
+        }
+
+        if (seq === 'FSE') {
+            addInput('etl', 'Echo Train Length', 1, 64, 1);
+            addInput('esp', 'Echo Spacing (ms)', 4, 30, 1);
+        }
+
+        // FA only applies to GRE and IR (SE, FSE and DIR use fixed 90°/180° pulses)
+        if (seq === 'GRE' || seq === 'IR') {
             container.appendChild(createInput('fa', 'Flip Angle (°)', this.params.fa || 90, 1, 180, 1));
             this.params.fa = this.params.fa || 90;
         }
     }
 
+    // ========================================
+    // Tissue Library
+    // ========================================
+
+    initTissueEditor() {
+        const librarySelect = document.getElementById('tissue-library');
+        librarySelect.innerHTML = TISSUE_LIBRARY
+            .map(tissue => `<option value="${tissue.id}">${tissue.name}</option>`)
+            .join('');
+
+        document.getElementById('tissue-add').addEventListener('click', () => this.addTissue(librarySelect.value));
+        document.getElementById('tissue-save').addEventListener('click', () => this.saveTissueSet());
+        document.getElementById('tissue-load').addEventListener('click', () => document.getElementById('tissue-file').click());
+        document.getElementById('tissue-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadTissueSet(file);
+            e.target.value = ''; // Allow loading the same file again
+        });
+        document.getElementById('tissue-reset').addEventListener('click', () => {
+            this.setTissues(DEFAULT_TISSUES.map(tissue => ({ ...tissue })));
+            this.setTissueStatus('Default tissues restored');
+        });
+
+        this.renderTissueEditor();
+        this.renderTissueCards();
+    }
+
+    setTissues(tissues) {
+        this.tissues = tissues;
+        this.renderTissueEditor();
+        this.renderTissueCards();
+        this.updateSimulation();
+    }
+
+    addTissue(libraryId) {
+        const template = TISSUE_LIBRARY.find(tissue => tissue.id === libraryId);
+        if (!template) return;
+        const tissue = { ...template, id: this.getUniqueTissueId(template.id) };
+        // Take the default phantom region only if it is still free
+        if (this.tissues.some(other => other.label === tissue.label)) tissue.label = null;
+        this.setTissues([...this.tissues, tissue]);
+    }
+
+    removeTissue(id) {
+        this.setTissues(this.tissues.filter(tissue => tissue.id !== id));
+    }
+
+    getUniqueTissueId(base, taken = this.tissues) {
+        let id = base;
+        for (let n = 2; taken.some(tissue => tissue.id === id); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+
+    // Assign a tissue to a phantom label; a tissue already shown there is taken out of the phantom
+    assignTissueLabel(tissue, label) {
+        if (label !== null) {
+            this.tissues.forEach(other => {
+                if (other !== tissue && other.label === label) other.label = null;
+            });
+        }
+        tissue.label = label;
+        this.renderTissueEditor();
+        this.renderTissueCards();
+        this.updateSimulation();
+    }
+
+    renderTissueEditor() {
+        const list = document.getElementById('tissue-list');
+        list.innerHTML = '';
+
+        const fields = [
+            { key: 't1', label: 'T1 (ms)', min: 1, step: 10 },
+            { key: 't2', label: 'T2 (ms)', min: 1, step: 1 },
+            { key: 't2star', label: 'T2* (ms)', min: 1, step: 1 },
+            { key: 'pd', label: 'PD', min: 0, step: 0.05 },
+            // Power-law exponents of T1 and T2 against B0 (0 = field independent)
+            { key: 't1Exponent', label: 'T1 exp.', min: -2, max: 2, step: 0.05 },
+            { key: 't2Exponent', label: 'T2 exp.', min: -2, max: 2, step: 0.05 }
+        ];
+
+        this.tissues.forEach(tissue => {
+            const item = document.createElement('div');
+            item.className = 'tissue-item';
+            item.innerHTML = `
+                <div class="tissue-header">
+                    <input type="color" class="tissue-color-input" value="${tissue.color}" title="Chart and card color">
+                    <input type="text" class="tissue-name-input">
+                    <span class="tissue-remove" title="Remove tissue">&times;</span>
+                </div>
+                <div class="tissue-props">
+                    ${fields.map(f => `
+                        <div>
+                            <label>${f.label}</label>
+                            <input type="number" data-key="${f.key}" min="${f.min}"${f.max !== undefined ? ` max="${f.max}"` : ''} step="${f.step}" value="${tissue[f.key]}">
+                        </div>`).join('')}
+                    <div class="tissue-region">
+                        <label>Phantom region</label>
+                        <select>
+                            <option value="">Not in phantom</option>
+                            ${PHANTOM_LABELS.map(({ label, name }) =>
+                                `<option value="${label}"${label === tissue.label ? ' selected' : ''}>${label}: ${name}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
+            `;
+
+            // Names may come from a loaded file, so set them as values rather than markup
+            const nameInput = item.querySelector('.tissue-name-input');
+            nameInput.value = tissue.name;
+            nameInput.addEventListener('input', (e) => {
+                tissue.name = e.target.value;
+                this.renderTissueCards();
+                this.updateSimulation();
+            });
+
+            item.querySelector('.tissue-color-input').addEventListener('input', (e) => {
+                tissue.color = e.target.value;
+                this.renderTissueCards();
+                this.updateSimulation();
+            });
+
+            item.querySelectorAll('input[type="number"]').forEach(input => {
+                input.addEventListener('input', (e) => {
+                    const field = fields.find(f => f.key === e.target.dataset.key);
+                    const value = parseFloat(e.target.value);
+                    // Ignore incomplete or invalid entries while typing
+                    if (!isFinite(value) || value < field.min || value > (field.max ?? Infinity)) return;
+                    tissue[field.key] = value;
+                    this.renderTissueCards();
+                    this.updateSimulation();
+                });
+            });
+
+            item.querySelector('.tissue-region select').addEventListener('change', (e) => {
+                this.assignTissueLabel(tissue, e.target.value ? parseInt(e.target.value) : null);
+            });
+
+            item.querySelector('.tissue-remove').addEventListener('click', () => this.removeTissue(tissue.id));
+
+            list.appendChild(item);
+        });
+    }
+
+    renderTissueCards() {
+        const container = document.querySelector('.tissue-cards-container');
+        container.innerHTML = '';
+
+        this.tissues.forEach(tissue => {
+            const region = PHANTOM_LABELS.find(({ label }) => label === tissue.label);
+            // Cards show the relaxation times at the current B0
+            const { t1, t2, t2star } = this.getRelaxation(tissue);
+            const card = document.createElement('div');
+            card.className = 'tissue-card';
+            card.classList.toggle('off-phantom', !region);
+            card.dataset.tissue = tissue.id;
+            card.style.setProperty('--tissue-color', tissue.color);
+            card.title = region ? `Phantom region: ${region.name}` : 'Not shown in the phantom';
+            card.innerHTML = `
+                <div class="tissue-icon"></div>
+                <div class="tissue-info">
+                    <div class="tissue-name"></div>
+                    <div class="tissue-params">T1:${Math.round(t1)} T2:${Math.round(t2)} T2*:${Math.round(t2star)} PD:${tissue.pd}</div>
+                    <div class="tissue-signal" id="signal-${tissue.id}">S: --</div>
+                </div>
+            `;
+            card.querySelector('.tissue-name').textContent = tissue.name;
+            container.appendChild(card);
+        });
+    }
+
+    setTissueStatus(message, isError = false) {
+        const status = document.getElementById('tissue-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    saveTissueSet() {
+        const tissues = this.tissues.map(({ id, name, t1, t2, t2star, pd, t1Exponent, t2Exponent, color, label }) =>
+            ({ id, name, t1, t2, t2star, pd, t1Exponent, t2Exponent, color, label }));
+        const blob = new Blob([JSON.stringify({ tissues }, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'tissues.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+        this.setTissueStatus(`Saved ${tissues.length} tissues`);
+    }
+
+    loadTissueSet(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (err) {
+                this.setTissueStatus(`${file.name}: invalid JSON (${err.message})`, true);
+                return;
+            }
+            const { tissues, errors } = this.parseTissueSet(data);
+            if (errors.length > 0) {
+                this.setTissueStatus(errors.join('\n'), true);
+                return;
+            }
+            this.setTissues(tissues);
+            this.setTissueStatus(`Loaded ${tissues.length} tissues from ${file.name}`);
+        };
+        reader.readAsText(file);
+    }
+
+    // Validate a tissue set ({ tissues: [...] } or a bare array)
+    // Missing T2* defaults to T2, missing field exponents to the soft-tissue defaults and missing ids
+    // are derived from the name; errors name the entry and field
+    parseTissueSet(data) {
+        const entries = Array.isArray(data) ? data : (data && data.tissues);
+        if (!Array.isArray(entries) || entries.length === 0) {
+            return { tissues: [], errors: ['Expected { "tissues": [ ... ] } with at least one tissue'] };
+        }
+
+        const tissues = [];
+        const errors = [];
+        entries.forEach((entry, i) => {
+            const where = `tissues[${i}]`;
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`${where}: not an object`);
+                return;
+            }
+
+            const name = typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : `Tissue ${i + 1}`;
+            const tissue = { name };
+
+            ['t1', 't2', 't2star', 'pd'].forEach(key => {
+                if (key === 't2star' && entry.t2star === undefined) {
+                    tissue.t2star = entry.t2;
+                    return;
+                }
+                const value = entry[key];
+                const valid = typeof value === 'number' && isFinite(value) && (key === 'pd' ? value >= 0 : value > 0);
+                if (!valid) errors.push(`${where}.${key}: expected a ${key === 'pd' ? 'non-negative' : 'positive'} number`);
+                tissue[key] = value;
+            });
+
+            ['t1Exponent', 't2Exponent'].forEach(key => {
+                const value = entry[key] ?? DEFAULT_FIELD_EXPONENTS[key];
+                if (typeof value !== 'number' || !isFinite(value)) errors.push(`${where}.${key}: expected a number`);
+                tissue[key] = value;
+            });
+
+            if (typeof entry.color === 'string' && /^#[0-9a-f]{6}$/i.test(entry.color)) {
+                tissue.color = entry.color;
+            } else {
+                errors.push(`${where}.color: expected a hex color like "#38bdf8"`);
+            }
+
+            if (entry.label === undefined || entry.label === null) {
+                tissue.label = null;
+            } else if (!PHANTOM_LABELS.some(({ label }) => label === entry.label)) {
+                errors.push(`${where}.label: expected one of ${PHANTOM_LABELS.map(({ label }) => label).join(', ')} or null`);
+            } else if (tissues.some(other => other.label === entry.label)) {
+                errors.push(`${where}.label: region ${entry.label} is already used by ${tissues.find(other => other.label === entry.label).name}`);
+            } else {
+                tissue.label = entry.label;
+            }
+
+            // Ids end up in element ids, so keep them to letters, digits, - and _
+            const base = typeof entry.id === 'string' && /^[A-Za-z0-9_-]+$/.test(entry.id)
+                ? entry.id
+                : name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tissue';
+            tissue.id = this.getUniqueTissueId(base, tissues);
+
+            tissues.push(tissue);
+        });
+
+        return { tissues, errors };
+    }
+
     initCharts() {
         // Modern dark theme for charts
         const darkTheme = {
@@ -383,6 +913,7 @@ class MRPhysics {
         this.charts.te = createContrastChart('chartTE', 'TE (ms)');
         this.charts.ti = createContrastChart('chartTI', 'TI (ms)');
         this.charts.fa = createContrastChart('chartFA', 'Flip Angle (°)');
+        this.charts.seq = createContrastChart('chartSeq', ''); // Sequence-specific parameter (SEQUENCE_CHARTS)
     }
 
     updateSimulation() {
@@ -395,6 +926,10 @@ class MRPhysics {
         this.updatePhaseWheel();
         this.updateR2Chart();
         this.updateRFTimeline();
+
+        this.syncOptimizerControls();
+        this.scheduleOptimizer();
+        this.updateScanSummary();
     }
 
     updateVisibility() {
@@ -410,14 +945,55 @@ class MRPhysics {
         setVisible('container-tr', true);
         setVisible('container-te', true);
 
-        // TI only for IR
-        setVisible('container-ti', seq === 'IR');
+        // bSSFP echoes at TE = TR/2
+        setVisible('container-te', seq !== 'bSSFP');
 
-        // FA for GRE and IR only (not SE - we use fixed 90°/180°)
-        setVisible('container-fa', seq === 'GRE' || seq === 'IR');
+        // TI for the inversion-prepared sequences
+        setVisible('container-ti', seq === 'IR' || seq === 'DIR' || seq === 'MPRAGE');
+
+        // FA for GRE-type readouts only (not SE/FSE/DIR - we use fixed 90°/180°)
+        setVisible('container-fa', seq === 'GRE' || seq === 'IR' || seq === 'bSSFP' || seq === 'MPRAGE');
+
+        // Parameter specific to the sequence family (echo train, second inversion, readout train)
+        setVisible('container-seq', !!SEQUENCE_CHARTS[seq]);
     }
 
     // Physics Equations
+    // Relaxation times of a tissue at field b0 (ms)
+    // T1 and T2 follow the tissue's power law; the susceptibility rate R2' = 1/T2* − 1/T2
+    // at the reference field scales linearly with B0
+    getRelaxation(tissue, b0 = this.params.b0) {
+        const scale = b0 / REFERENCE_B0;
+        const t1Exponent = tissue.t1Exponent ?? DEFAULT_FIELD_EXPONENTS.t1Exponent;
+        const t2Exponent = tissue.t2Exponent ?? DEFAULT_FIELD_EXPONENTS.t2Exponent;
+        const t1 = tissue.t1 * Math.pow(scale, t1Exponent);
+        const t2 = tissue.t2 * Math.pow(scale, t2Exponent);
+        const r2prime = Math.max(0, 1000 / tissue.t2star - 1000 / tissue.t2) * scale; // s^-1
+        const t2star = 1000 / (1000 / t2 + r2prime);
+        return { t1, t2, t2star };
+    }
+
+    // Signal of one tissue for a parameter set (signed for IR)
+    getTissueSignal(tissue, p = this.params) {
+        const { t1, t2, t2star } = this.getRelaxation(tissue, p.b0);
+        if (p.sequence === 'SE') {
+            return this.getSignalSE(t1, t2, tissue.pd, p.tr, p.te, p.fa);
+        } else if (p.sequence === 'GRE') {
+            return this.getSignalGRE(t1, t2, tissue.pd, p.tr, p.te, p.fa, p.inhomogeneity, t2star);
+        } else if (p.sequence === 'IR') {
+            return this.getSignalIR(t1, t2, tissue.pd, p.tr, p.te, p.ti, p.fa);
+        } else if (p.sequence === 'bSSFP') {
+            return this.getSignalBSSFP(t1, t2, tissue.pd, p.tr, p.fa);
+        } else if (p.sequence === 'FSE') {
+            return this.getSignalFSE(t1, t2, tissue.pd, p.tr, p.te, p.etl, p.esp);
+        } else if (p.sequence === 'DIR') {
+            return this.getSignalDIR(t1, t2, tissue.pd, p.tr, p.te, p.ti, p.ti2);
+        } else if (p.sequence === 'MPRAGE') {
+            return this.getSignalMPRAGE(t1, t2star, tissue.pd, p.tr, p.te, p.ti, p.fa, p.etl, p.esp, p.inhomogeneity);
+        }
+        return 0;
+    }
+
     getSignalSE(t1, t2, pd, tr, te, faDeg = 90) {
         const b0Factor = this.params.b0 / 1.5;
 
@@ -430,16 +1006,16 @@ class MRPhysics {
         return b0Factor * pd * t1Factor * t2Factor;
     }
 
-    getSignalGRE(t1, t2, pd, tr, te, faDeg, inhomogeneity = this.params.inhomogeneity) {
+    getSignalGRE(t1, t2, pd, tr, te, faDeg, inhomogeneity = this.params.inhomogeneity, tissueT2star = t2) {
         const fa = faDeg * Math.PI / 180;
         const e1 = Math.exp(-tr / t1);
 
         // T2* calculation
-        // R2* = R2 + R2'
-        // R2' = 2 * PI * delta_f
-        const r2 = 1000 / t2; // s^-1
+        // R2* = R2*(tissue) + R2'
+        // R2' = 2 * PI * delta_f (field inhomogeneity slider)
+        const r2tissue = 1000 / tissueT2star; // s^-1
         const r2prime = 2 * Math.PI * inhomogeneity; // s^-1
-        const r2star = r2 + r2prime;
+        const r2star = r2tissue + r2prime;
         const t2star = 1000 / r2star; // ms
 
         const b0Factor = this.params.b0 / 1.5;
@@ -476,32 +1052,135 @@ class MRPhysics {
         return b0Factor * pd * mz_ti * Math.sin(fa) * Math.exp(-te / t2);
     }
 
-    updatePhantom() {
-        // Calculate signal for each tissue
-        // Tissue mapping: segmentation label -> tissue
-        // 0=background, 1=CSF, 2=GM, 3=WM, 4=Fat
-        const tissueByLabel = {
-            1: this.tissues.find(t => t.id === 'csf'),
-            2: this.tissues.find(t => t.id === 'gm'),
-            3: this.tissues.find(t => t.id === 'wm'),
-            4: this.tissues.find(t => t.id === 'fat')
+    getSignalBSSFP(t1, t2, pd, tr, faDeg) {
+        const b0Factor = this.params.b0 / 1.5;
+        const fa = faDeg * Math.PI / 180;
+        const e1 = Math.exp(-tr / t1);
+        const e2 = Math.exp(-tr / t2);
+
+        // On-resonance balanced SSFP, echo at TE = TR/2
+        // Balanced gradients refocus every TR, so transverse coherence carries over (T2/T1 contrast)
+        // S = PD * sin(α) * (1-E1) / (1 - (E1-E2)cos(α) - E1*E2) * exp(-TE/T2)
+        const ss = (1 - e1) / (1 - (e1 - e2) * Math.cos(fa) - e1 * e2);
+
+        return b0Factor * pd * Math.sin(fa) * ss * Math.exp(-tr / 2 / t2);
+    }
+
+    // Echo of an FSE train that lands on the k-space center (closest to the requested TE)
+    getEffectiveTE(te, etl, esp) {
+        const echo = Math.min(etl, Math.max(1, Math.round(te / esp)));
+        return echo * esp;
+    }
+
+    getSignalFSE(t1, t2, pd, tr, te, etl, esp) {
+        const b0Factor = this.params.b0 / 1.5;
+
+        // 90° followed by ETL refocusing pulses; the k-space center echo sets the T2 weighting
+        // Mz is held near zero during the train, so T1 recovery only starts after the last echo
+        // S = PD * (1 - exp(-(TR - ETL*ESP)/T1)) * exp(-TEeff/T2)
+        const teEff = this.getEffectiveTE(te, etl, esp);
+        const recovery = Math.max(0, tr - etl * esp);
+        const t1Factor = 1 - Math.exp(-recovery / t1);
+
+        return b0Factor * pd * t1Factor * Math.exp(-teEff / t2);
+    }
+
+    // Echo-train point spread function along the phase-encode axis (y), in phantom pixels
+    // Lines fan out from the k-space center in order of distance from the effective echo, so each
+    // line is weighted by exp(-(t_echo - TEeff)/T2): short TEeff blurs, long TEeff enhances edges
+    getEchoTrainPSF(t2, p = this.params) {
+        const n = this.canvasSize; // One phase-encode line per phantom row
+        const halfWidth = 16;
+        const effEcho = this.getEffectiveTE(p.te, p.etl, p.esp) / p.esp;
+        const order = Array.from({ length: p.etl }, (_, i) => i + 1)
+            .sort((a, b) => Math.abs(a - effEcho) - Math.abs(b - effEcho) || a - b);
+
+        // k-space filter, symmetric in ky
+        const filter = new Float64Array(n / 2 + 1);
+        for (let k = 0; k <= n / 2; k++) {
+            const echo = order[Math.min(p.etl - 1, Math.floor(k / (n / 2) * p.etl))];
+            filter[k] = Math.exp(-(echo - effEcho) * p.esp / t2);
+        }
+
+        // PSF = inverse DFT of the filter, truncated and normalized so flat regions keep their signal
+        const taps = [];
+        let total = 0;
+        for (let offset = -halfWidth; offset <= halfWidth; offset++) {
+            let weight = 0;
+            for (let k = -n / 2; k < n / 2; k++) {
+                weight += filter[Math.abs(k)] * Math.cos(2 * Math.PI * k * offset / n);
+            }
+            taps.push({ offset, weight });
+            total += weight;
+        }
+        return taps
+            .map(({ offset, weight }) => ({ offset, weight: weight / total }))
+            .filter(({ weight }) => Math.abs(weight) > 0.002);
+    }
+
+    getSignalDIR(t1, t2, pd, tr, te, ti1, ti2) {
+        const b0Factor = this.params.b0 / 1.5;
+
+        // Sequence: 180 -> (TI1-TI2) -> 180 -> TI2 -> 90 readout -> (TR-TI1)
+        // The readout leaves Mz ≈ 0, so each TR starts from saturation recovery
+        const mzStart = 1 - Math.exp(-Math.max(0, tr - ti1) / t1);
+        const mzSecond = 1 - (1 + mzStart) * Math.exp(-Math.max(0, ti1 - ti2) / t1); // Before 2nd inversion
+        const mzReadout = 1 - (1 + mzSecond) * Math.exp(-ti2 / t1);
+
+        // SIGNED, like IR
+        return b0Factor * pd * mzReadout * Math.exp(-te / t2);
+    }
+
+    getSignalMPRAGE(t1, t2star, pd, tr, te, ti, faDeg, nRead, esp, inhomogeneity = this.params.inhomogeneity) {
+        const b0Factor = this.params.b0 / 1.5;
+        const fa = faDeg * Math.PI / 180;
+        const cosA = Math.cos(fa);
+        const e1 = Math.exp(-esp / t1);
+
+        // Sequence: 180 -> TA -> nRead × (α, ESP) -> TD, linear ordering with the k-space center
+        // (readout nRead/2) at TI after the inversion
+        const center = Math.floor(nRead / 2);
+        const ta = Math.max(0, ti - center * esp);
+        const td = Math.max(0, tr - ta - nRead * esp);
+
+        // Each readout maps Mz -> Mz*cos(α)*E1 + (1-E1), approaching M* = (1-E1)/(1-E1*cos(α))
+        const mStar = (1 - e1) / (1 - e1 * cosA);
+        const train = (mz, n) => mStar + (mz - mStar) * Math.pow(e1 * cosA, n);
+
+        // Mz at the center readout and before the next inversion, for Mz = m before this inversion
+        const shot = (m) => {
+            const mzA = 1 - (1 + m) * Math.exp(-ta / t1);
+            const mzEnd = train(mzA, nRead);
+            return { center: train(mzA, center), next: 1 - (1 - mzEnd) * Math.exp(-td / t1) };
         };
 
-        // Calculate signal for each tissue type
-        const signals = {};
+        // The shot is linear in Mz, so the steady state follows from two evaluations
+        const f0 = shot(0).next;
+        const slope = shot(1).next - f0;
+        const mzSteady = f0 / (1 - slope);
+
+        // T2* during the short GRE readout (R2* = R2*(tissue) + 2π·Δf)
+        const r2star = 1000 / t2star + 2 * Math.PI * inhomogeneity;
+
+        // SIGNED: short TI keeps long-T1 tissue (CSF) inverted at the center line
+        return b0Factor * pd * Math.sin(fa) * shot(mzSteady).center * Math.exp(-te * r2star / 1000);
+    }
+
+    updatePhantom() {
+        // Each phantom label shows the tissue assigned to it; lesion labels stay
+        // transparent (underlying anatomy) until a tissue is assigned
+        const tissueByLabel = {};
+        this.tissues.forEach(tissue => {
+            if (tissue.label !== null) tissueByLabel[tissue.label] = tissue;
+        });
+
+        // Calculate signal for every tissue (cards) and every assigned label (phantom)
+        const tissueSignals = {};
         const signalDebug = {};
-        for (const [label, tissue] of Object.entries(tissueByLabel)) {
-            if (!tissue) continue;
-            let s = 0;
-            if (this.params.sequence === 'SE') {
-                s = this.getSignalSE(tissue.t1, tissue.t2, tissue.pd, this.params.tr, this.params.te, this.params.fa);
-            } else if (this.params.sequence === 'GRE') {
-                s = this.getSignalGRE(tissue.t1, tissue.t2, tissue.pd, this.params.tr, this.params.te, this.params.fa, this.params.inhomogeneity);
-            } else if (this.params.sequence === 'IR') {
-                s = this.getSignalIR(tissue.t1, tissue.t2, tissue.pd, this.params.tr, this.params.te, this.params.ti, this.params.fa);
-            }
+        this.tissues.forEach(tissue => {
+            const s = this.getTissueSignal(tissue);
             signalDebug[tissue.id] = { raw: s, abs: Math.abs(s) };
-            signals[label] = Math.abs(s);
+            tissueSignals[tissue.id] = Math.abs(s);
 
             // Update signal display in tissue card
             const signalEl = document.getElementById(`signal-${tissue.id}`);
@@ -511,28 +1190,40 @@ class MRPhysics {
                 // Also update the color intensity based on signal
                 signalEl.style.opacity = Math.max(0.5, Math.min(1, absSignal + 0.3));
             }
+        });
+        const signals = {};
+        for (const [label, tissue] of Object.entries(tissueByLabel)) {
+            signals[label] = tissueSignals[tissue.id];
         }
         console.log('Tissue signals:', signalDebug, 'Params:', this.params);
 
         // Find max signal for auto-scaling (Windowing)
-        const maxSignal = Math.max(...Object.values(signals));
+        const maxSignal = Math.max(0, ...Object.values(signals));
 
         // Update tissue card border brightness based on scaled signal
-        for (const [label, tissue] of Object.entries(tissueByLabel)) {
-            if (!tissue) continue;
-            const scaledBrightness = maxSignal > 0.001 ? Math.round((signals[label] / maxSignal) * 255) : 0;
+        this.tissues.forEach(tissue => {
+            const scaledBrightness = maxSignal > 0.001 ? Math.min(255, Math.round((tissueSignals[tissue.id] / maxSignal) * 255)) : 0;
             const tissueCard = document.querySelector(`.tissue-card[data-tissue="${tissue.id}"]`);
             if (tissueCard) {
                 tissueCard.style.setProperty('--signal-brightness', `rgb(${scaledBrightness}, ${scaledBrightness}, ${scaledBrightness})`);
             }
-        }
+        });
         const scaleFactor = maxSignal > 0.001 ? (255 / maxSignal) : 0;
 
+        // FSE: each tissue is smeared along y by its own echo-train PSF
+        let kernels = null;
+        if (this.params.sequence === 'FSE') {
+            kernels = {};
+            for (const [label, tissue] of Object.entries(tissueByLabel)) {
+                kernels[label] = this.getEchoTrainPSF(this.getRelaxation(tissue).t2);
+            }
+        }
+
         // Render to canvas
-        this.renderBrainCanvas(signals, scaleFactor);
+        this.renderBrainCanvas(signals, scaleFactor, kernels);
     }
 
-    renderBrainCanvas(signals, scaleFactor) {
+    renderBrainCanvas(signals, scaleFactor, kernels = null) {
         const canvas = document.getElementById('brain-canvas');
         if (!canvas) return;
 
@@ -564,10 +1255,26 @@ class MRPhysics {
         const imageData = offCtx.createImageData(srcSize, srcSize);
         const data = imageData.data;
 
+        // Signed image so echo-train ringing can cancel across tissue boundaries
+        const image = new Float32Array(this.brainSegData.length);
         for (let i = 0; i < this.brainSegData.length; i++) {
-            const label = this.brainSegData[i]; // Already mapped to 0-4 in loadBrainSegmentation
+            // Anatomy is already mapped to 0-4 in loadBrainSegmentation; assigned lesions cover it
+            const lesion = this.lesionData ? this.lesionData[i] : 0;
+            const label = lesion && signals[lesion] !== undefined ? lesion : this.brainSegData[i];
             const signal = signals[label] || 0;
-            const grayVal = Math.floor(Math.min(signal * scaleFactor, 255));
+            const kernel = kernels && kernels[label];
+            if (!kernel) {
+                image[i] += signal;
+                continue;
+            }
+            const row = Math.floor(i / srcSize);
+            for (const { offset, weight } of kernel) {
+                if (row + offset >= 0 && row + offset < srcSize) image[i + offset * srcSize] += signal * weight;
+            }
+        }
+
+        for (let i = 0; i < image.length; i++) {
+            const grayVal = Math.floor(Math.min(Math.abs(image[i]) * scaleFactor, 255));
             const idx = i * 4;
             data[idx] = grayVal;
             data[idx + 1] = grayVal;
@@ -592,17 +1299,9 @@ class MRPhysics {
             return this.tissues.map(tissue => {
                 const data = [];
                 for (let x = min; x <= max; x += step) {
-                    let s = 0;
                     let p = { ...this.params };
                     p[paramKey] = x; // Override
-
-                    if (p.sequence === 'SE') {
-                        s = this.getSignalSE(tissue.t1, tissue.t2, tissue.pd, p.tr, p.te, p.fa);
-                    } else if (p.sequence === 'GRE') {
-                        s = this.getSignalGRE(tissue.t1, tissue.t2, tissue.pd, p.tr, p.te, p.fa, p.inhomogeneity);
-                    } else if (p.sequence === 'IR') {
-                        s = this.getSignalIR(tissue.t1, tissue.t2, tissue.pd, p.tr, p.te, p.ti, p.fa);
-                    }
+                    let s = this.getTissueSignal(tissue, p);
 
                     // Apply magnitude unless "Show Signed" is enabled (only relevant for IR)
                     if (!this.showSigned) {
@@ -675,27 +1374,32 @@ class MRPhysics {
             });
         };
 
-        // Update TR Chart
-        const maxTR = Math.max(5000, this.params.tr * 1.1);
-        this.charts.tr.data.datasets = generateData('tr', 0, maxTR, maxTR / 100);
+        const seq = this.params.sequence;
+
+        // Update TR Chart (bSSFP lives at a few ms and is undefined at TR = 0)
+        const maxTR = seq === 'bSSFP' ? Math.max(20, this.params.tr * 1.1) : Math.max(5000, this.params.tr * 1.1);
+        this.charts.tr.data.datasets = generateData('tr', seq === 'bSSFP' ? maxTR / 100 : 0, maxTR, maxTR / 100);
         addIndicator(this.charts.tr, this.params.tr);
         // Update scale to match data
         this.charts.tr.options.scales.x.max = maxTR;
         this.charts.tr.update();
 
-        // Update TE Chart
-        this.charts.te.data.datasets = generateData('te', 0, 300, 5);
+        // Update TE Chart (FSE steps from echo to echo; MPRAGE uses short GRE echoes)
+        const maxTE = seq === 'MPRAGE' ? 30 : 300;
+        this.charts.te.data.datasets = generateData('te', 0, maxTE, maxTE / 60);
+        this.charts.te.options.scales.x.max = maxTE;
 
         // If GRE, add T2 reference curve (dotted) for White Matter (or first tissue)
         if (this.params.sequence === 'GRE' && this.tissues.length > 0) {
             const refTissue = this.tissues[0]; // Use first tissue as reference
+            const refRelax = this.getRelaxation(refTissue);
             const data = [];
             for (let x = 0; x <= 300; x += 5) {
                 // Pure T2 decay: PD * exp(-TE/T2) * (saturation term)
                 // Saturation term depends on TR/T1/FA.
                 // S_GRE_steady = M0 * sin(a)*(1-E1)/(1-E1*cos(a)) * exp(-TE/T2)
                 // We use T2 instead of T2*
-                const s = this.getSignalGRE(refTissue.t1, refTissue.t2, refTissue.pd, this.params.tr, x, this.params.fa, 0); // Inhomogeneity = 0
+                const s = this.getSignalGRE(refRelax.t1, refRelax.t2, refTissue.pd, this.params.tr, x, this.params.fa, 0); // Inhomogeneity = 0
                 data.push({ x: x, y: s });
             }
             this.charts.te.data.datasets.push({
@@ -711,20 +1415,38 @@ class MRPhysics {
         addIndicator(this.charts.te, this.params.te);
         this.charts.te.update();
 
-        // Update TI Chart (only if IR)
-        if (this.params.sequence === 'IR') {
+        // Update TI Chart (only for inversion-prepared sequences; TI1 for DIR)
+        if (seq === 'IR' || seq === 'DIR' || seq === 'MPRAGE') {
             const maxTI = Math.max(2000, this.params.ti * 1.1);
             this.charts.ti.data.datasets = generateData('ti', 0, maxTI, maxTI / 100);
             addIndicator(this.charts.ti, this.params.ti);
             // Update scale to match data
             this.charts.ti.options.scales.x.max = maxTI;
+            this.charts.ti.options.scales.x.title.text = seq === 'DIR' ? 'TI1 (ms)' : 'TI (ms)';
+            document.getElementById('ti-chart-title').textContent = seq === 'DIR' ? 'Signal vs TI1' : 'Signal vs TI';
             this.charts.ti.update();
         }
 
-        // Update FA Chart (for all sequences)
-        this.charts.fa.data.datasets = generateData('fa', 0, 180, 1);
+        // Update FA Chart (for all sequences; bSSFP and MPRAGE use their slider range)
+        const maxFA = seq === 'bSSFP' ? 90 : seq === 'MPRAGE' ? 30 : 180;
+        this.charts.fa.data.datasets = generateData('fa', 0, maxFA, maxFA / 180);
         addIndicator(this.charts.fa, this.params.fa);
+        this.charts.fa.options.scales.x.max = maxFA;
         this.charts.fa.update();
+
+        // Update sequence-specific chart
+        const seqChart = SEQUENCE_CHARTS[seq];
+        if (seqChart) {
+            // TI2 only makes sense below TI1
+            const max = seqChart.key === 'ti2' ? Math.min(seqChart.max, this.params.ti) : seqChart.max;
+            this.charts.seq.data.datasets = generateData(seqChart.key, seqChart.min, max, seqChart.step);
+            addIndicator(this.charts.seq, this.params[seqChart.key]);
+            this.charts.seq.options.scales.x.min = seqChart.min;
+            this.charts.seq.options.scales.x.max = max;
+            this.charts.seq.options.scales.x.title.text = seqChart.axis;
+            document.getElementById('seq-chart-title').textContent = seqChart.title;
+            this.charts.seq.update();
+        }
     }
 
     updateEquation() {
@@ -753,6 +1475,36 @@ class MRPhysics {
             exactHtml = `S = PD &middot;
         <span style="color: #3b82f6;">|1 - 2e<sup>-TI/T1</sup> + e<sup>-TR/T1</sup>|</span> &middot;
         <span style="color: #ef4444;">e<sup>-TE/T2</sup></span>`;
+        } else if (this.params.sequence === 'bSSFP') {
+            approxHtml = `S &approx; PD &middot;
+        <span style="color: #3b82f6;">(T2/T1 Steady State)</span> &middot;
+        <span style="color: #ef4444;">(T2 Decay to TR/2)</span>`;
+            exactHtml = `S = PD &middot; sin&alpha; &middot;
+        <span style="color: #3b82f6;">(1-E<sub>1</sub>)/(1-(E<sub>1</sub>-E<sub>2</sub>)cos&alpha;-E<sub>1</sub>E<sub>2</sub>)</span> &middot;
+        <span style="color: #ef4444;">e<sup>-TR/2T2</sup></span>`;
+        } else if (this.params.sequence === 'FSE') {
+            const teEff = this.getEffectiveTE(this.params.te, this.params.etl, this.params.esp);
+            approxHtml = `S &approx; PD &middot;
+        <span style="color: #3b82f6;">(T1 Recovery after Train)</span> &middot;
+        <span style="color: #ef4444;">(T2 Decay at TE<sub>eff</sub> = ${teEff} ms)</span>`;
+            exactHtml = `S = PD &middot;
+        <span style="color: #3b82f6;">(1 - e<sup>-(TR-ETL&middot;ESP)/T1</sup>)</span> &middot;
+        <span style="color: #ef4444;">e<sup>-TE<sub>eff</sub>/T2</sup></span> &otimes; PSF<sub>T2</sub>`;
+        } else if (this.params.sequence === 'DIR') {
+            approxHtml = `S &approx; PD &middot;
+        <span style="color: #3b82f6;">(Double Inversion Recovery)</span> &middot;
+        <span style="color: #ef4444;">(T2 Decay)</span>`;
+            exactHtml = `S = PD &middot;
+        <span style="color: #3b82f6;">|1 - (1 + M<sub>2</sub>)e<sup>-TI2/T1</sup>|</span> &middot;
+        <span style="color: #ef4444;">e<sup>-TE/T2</sup></span>,
+        M<sub>2</sub> = 1 - (1 + M<sub>0</sub>)e<sup>-(TI1-TI2)/T1</sup>`;
+        } else if (this.params.sequence === 'MPRAGE') {
+            approxHtml = `S &approx; PD &middot; sin&alpha; &middot;
+        <span style="color: #3b82f6;">(Mz at k-space Center)</span> &middot;
+        <span style="color: #ef4444;">(T2* Decay)</span>`;
+            exactHtml = `S = PD &middot; sin&alpha; &middot;
+        <span style="color: #3b82f6;">|M<sup>*</sup> + (M<sub>TA</sub> - M<sup>*</sup>)(E<sub>1</sub>cos&alpha;)<sup>N/2</sup>|</span> &middot;
+        <span style="color: #ef4444;">e<sup>-TE/T2*</sup></span>`;
         }
 
         el.innerHTML = `
@@ -761,6 +1513,412 @@ class MRPhysics {
         `;
     }
 
+    // ========================================
+    // Contrast Optimizer
+    // ========================================
+
+    initOptimizer() {
+        this.optimizerResult = null;
+        this.optimizerTimer = null;
+        this.optimizerStale = true; // Parameters changed since the last grid search
+
+        // The grid search is deferred while the tab is hidden and runs when it is opened
+        document.querySelector('.tab-btn[data-tab="optimizer"]').addEventListener('click', () => {
+            if (this.optimizerStale) this.updateOptimizer();
+        });
+        ['optimizer-tissue-a', 'optimizer-tissue-b', 'optimizer-x', 'optimizer-y', 'optimizer-objective'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateOptimizer());
+        });
+        ['optimizer-max-tr', 'optimizer-min-te'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateOptimizer());
+        });
+        document.getElementById('optimizer-apply').addEventListener('click', () => this.applyOptimum());
+    }
+
+    getOptimizerRange(key, seq = this.params.sequence) {
+        return { ...OPTIMIZER_RANGES[key], ...(OPTIMIZER_OVERRIDES[seq] || {})[key] };
+    }
+
+    // Replace a select's options, keeping the current choice when it is still offered
+    setSelectOptions(select, options, fallback) {
+        const previous = select.value;
+        select.innerHTML = '';
+        options.forEach(({ value, text }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = options.some(({ value }) => value === previous) ? previous : fallback;
+    }
+
+    // Timing that the sequence can actually play out
+    isValidTiming(p) {
+        switch (p.sequence) {
+            case 'SE':
+            case 'GRE':
+                return p.te < p.tr;
+            case 'IR':
+                return p.ti < p.tr && p.te < p.tr;
+            case 'FSE':
+                return p.etl * p.esp < p.tr;
+            case 'DIR':
+                return p.ti2 < p.ti && p.ti < p.tr;
+            case 'MPRAGE': {
+                // The train must start after the inversion and end before the next one
+                const center = Math.floor(p.etl / 2);
+                return center * p.esp <= p.ti && p.ti + (p.etl - center) * p.esp <= p.tr && p.te < p.esp;
+            }
+            default:
+                return true;
+        }
+    }
+
+    // TE at which the k-space center is acquired
+    getActualTE(p) {
+        if (p.sequence === 'bSSFP') return p.tr / 2;
+        if (p.sequence === 'FSE') return this.getEffectiveTE(p.te, p.etl, p.esp);
+        return p.te;
+    }
+
+    // Time spent per k-space line: echo trains and MPRAGE shots fill ETL lines per TR
+    getLineTime(p) {
+        return p.sequence === 'FSE' || p.sequence === 'MPRAGE' ? p.tr / p.etl : p.tr;
+    }
+
+    // CNR between two tissues; 'efficiency' divides by √(time per line in s), since averaging
+    // N times costs N× the time but only gains √N in CNR
+    // Scored on what the phantom shows: magnitude images, so IR signals only count by ||S_A| - |S_B||
+    // ("Show Signed" only changes the plotted curves)
+    getContrastScore(tissueA, tissueB, p, objective) {
+        const magnitudeA = Math.abs(this.getTissueSignal(tissueA, p));
+        const magnitudeB = Math.abs(this.getTissueSignal(tissueB, p));
+        const cnr = Math.abs(magnitudeA - magnitudeB) / OPTIMIZER_NOISE;
+        return objective === 'efficiency' ? cnr / Math.sqrt(this.getLineTime(p) / 1000) : cnr;
+    }
+
+    // Grid searches are too slow for every slider event: skip them while the tab is hidden
+    // and debounce them while it is shown
+    scheduleOptimizer() {
+        clearTimeout(this.optimizerTimer);
+        this.optimizerStale = true;
+        if (!document.getElementById('tab-optimizer').classList.contains('active')) return;
+        this.optimizerTimer = setTimeout(() => this.updateOptimizer(), 150);
+    }
+
+    // Tissue and axis choices follow the tissue library and the current sequence
+    syncOptimizerControls() {
+        const seq = this.params.sequence;
+        const selectA = document.getElementById('optimizer-tissue-a');
+        const selectB = document.getElementById('optimizer-tissue-b');
+        const selectX = document.getElementById('optimizer-x');
+        const selectY = document.getElementById('optimizer-y');
+
+        const tissueOptions = this.tissues.map(tissue => ({ value: tissue.id, text: tissue.name }));
+        const idOr = (id, index) => (this.tissues.some(t => t.id === id) ? id : (this.tissues[index] || {}).id);
+        this.setSelectOptions(selectA, tissueOptions, idOr('gm', 0));
+        this.setSelectOptions(selectB, tissueOptions, idOr('wm', 1));
+
+        const keys = OPTIMIZER_PARAMS[seq];
+        const axisOptions = keys.map(key => ({ value: key, text: this.getOptimizerRange(key).label }));
+        this.setSelectOptions(selectX, axisOptions, keys[0]);
+        this.setSelectOptions(selectY, axisOptions, keys[1]);
+    }
+
+    updateOptimizer() {
+        clearTimeout(this.optimizerTimer);
+        this.optimizerStale = false;
+        this.syncOptimizerControls();
+
+        const selectA = document.getElementById('optimizer-tissue-a');
+        const selectB = document.getElementById('optimizer-tissue-b');
+        const resultEl = document.getElementById('optimizer-result');
+        const tissueA = this.tissues.find(t => t.id === selectA.value);
+        const tissueB = this.tissues.find(t => t.id === selectB.value);
+        const xKey = document.getElementById('optimizer-x').value;
+        const yKey = document.getElementById('optimizer-y').value;
+        this.optimizerResult = null;
+
+        if (!tissueA || !tissueB || tissueA === tissueB || xKey === yKey) {
+            resultEl.textContent = 'Choose two different tissues and two different axes';
+            this.drawCNRHeatmap(null);
+            return;
+        }
+
+        const objective = document.getElementById('optimizer-objective').value;
+        const maxTR = parseFloat(document.getElementById('optimizer-max-tr').value);
+        const minTE = parseFloat(document.getElementById('optimizer-min-te').value);
+
+        // Grid search over the two axes, snapped to each parameter's step
+        const size = 60;
+        const axisValues = (key) => {
+            const { min, max, step } = this.getOptimizerRange(key);
+            const decimals = (String(step).split('.')[1] || '').length;
+            return Array.from({ length: size }, (_, i) =>
+                +Math.min(max, min + Math.round(i * (max - min) / (size - 1) / step) * step).toFixed(decimals));
+        };
+        const xs = axisValues(xKey);
+        const ys = axisValues(yKey);
+
+        const scores = new Float64Array(size * size).fill(NaN);
+        let best = null;
+        let maxScore = 0;
+        ys.forEach((y, iy) => {
+            xs.forEach((x, ix) => {
+                const p = { ...this.params, [xKey]: x, [yKey]: y };
+                if (!this.isValidTiming(p)) return;
+                if (isFinite(maxTR) && p.tr > maxTR) return;
+                if (isFinite(minTE) && this.getActualTE(p) < minTE) return;
+
+                const score = this.getContrastScore(tissueA, tissueB, p, objective);
+                scores[iy * size + ix] = score;
+                maxScore = Math.max(maxScore, score);
+                if (!best || score > best.score) best = { score, x, y, ix, iy };
+            });
+        });
+
+        this.optimizerResult = best && { ...best, xKey, yKey };
+        this.drawCNRHeatmap({ xs, ys, scores, size, maxScore, xKey, yKey, best });
+
+        const unit = objective === 'efficiency' ? 'CNR/√s' : 'CNR';
+        const current = this.getContrastScore(tissueA, tissueB, this.params, objective);
+        if (!best) {
+            resultEl.textContent = 'No valid timing inside the constraints';
+        } else {
+            resultEl.textContent = `Best ${unit} ${best.score.toFixed(1)} at ${xKey.toUpperCase()}=${best.x}, ${yKey.toUpperCase()}=${best.y}` +
+                ` (current ${current.toFixed(1)}) for ${tissueA.name} vs ${tissueB.name}`;
+        }
+    }
+
+    drawCNRHeatmap(map) {
+        const canvas = document.getElementById('cnr-heatmap');
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const left = 60, right = 80, top = 15, bottom = 45;
+        const plotW = width - left - right;
+        const plotH = height - top - bottom;
+
+        ctx.fillStyle = '#0f172a';
+        ctx.fillRect(0, 0, width, height);
+        if (!map) return;
+
+        const { xs, ys, scores, size, maxScore, xKey, yKey, best } = map;
+        const cellW = plotW / size;
+        const cellH = plotH / size;
+
+        // Inferno-like color ramp
+        const stops = [[0, 0, 4], [66, 10, 104], [147, 38, 103], [221, 81, 58], [252, 165, 10], [252, 255, 164]];
+        const colorFor = (v) => {
+            const t = Math.max(0, Math.min(1, v)) * (stops.length - 1);
+            const i = Math.min(stops.length - 2, Math.floor(t));
+            const f = t - i;
+            const c = stops[i].map((a, k) => Math.round(a + (stops[i + 1][k] - a) * f));
+            return `rgb(${c[0]}, ${c[1]}, ${c[2]})`;
+        };
+
+        // Cells (y increases upward); invalid timing or constraint violations stay shaded
+        for (let iy = 0; iy < size; iy++) {
+            for (let ix = 0; ix < size; ix++) {
+                const score = scores[iy * size + ix];
+                ctx.fillStyle = isNaN(score) ? 'rgba(148, 163, 184, 0.12)' : colorFor(maxScore > 0 ? score / maxScore : 0);
+                ctx.fillRect(left + ix * cellW, top + plotH - (iy + 1) * cellH, cellW + 0.5, cellH + 0.5);
+            }
+        }
+
+        // Axes, ticks and titles
+        ctx.strokeStyle = '#64748b';
+        ctx.strokeRect(left, top, plotW, plotH);
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = '11px Inter, sans-serif';
+        const xRange = [xs[0], xs[size - 1]];
+        const yRange = [ys[0], ys[size - 1]];
+        const toX = (v) => left + (v - xRange[0]) / (xRange[1] - xRange[0]) * plotW;
+        const toY = (v) => top + plotH - (v - yRange[0]) / (yRange[1] - yRange[0]) * plotH;
+        for (let i = 0; i <= 4; i++) {
+            const xv = xRange[0] + (xRange[1] - xRange[0]) * i / 4;
+            const yv = yRange[0] + (yRange[1] - yRange[0]) * i / 4;
+            ctx.textAlign = 'center';
+            ctx.fillText(+xv.toFixed(1), toX(xv), top + plotH + 15);
+            ctx.textAlign = 'right';
+            ctx.fillText(+yv.toFixed(1), left - 6, toY(yv) + 4);
+        }
+        ctx.textAlign = 'center';
+        ctx.fillText(this.getOptimizerRange(xKey).label, left + plotW / 2, height - 8);
+        ctx.save();
+        ctx.translate(14, top + plotH / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(this.getOptimizerRange(yKey).label, 0, 0);
+        ctx.restore();
+
+        // Color bar
+        const barX = left + plotW + 20;
+        for (let i = 0; i < plotH; i++) {
+            ctx.fillStyle = colorFor(1 - i / plotH);
+            ctx.fillRect(barX, top + i, 14, 1);
+        }
+        ctx.fillStyle = '#94a3b8';
+        ctx.textAlign = 'left';
+        ctx.fillText(maxScore.toFixed(1), barX + 18, top + 10);
+        ctx.fillText('0', barX + 18, top + plotH);
+
+        // Current parameters (red ring) and optimum (white cross)
+        const cx = toX(this.params[xKey]);
+        const cy = toY(this.params[yKey]);
+        if (cx >= left && cx <= left + plotW && cy >= top && cy <= top + plotH) {
+            ctx.strokeStyle = '#ef4444';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(cx, cy, 6, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        if (best) {
+            const bx = left + (best.ix + 0.5) * cellW;
+            const by = top + plotH - (best.iy + 0.5) * cellH;
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(bx - 8, by);
+            ctx.lineTo(bx + 8, by);
+            ctx.moveTo(bx, by - 8);
+            ctx.lineTo(bx, by + 8);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(bx, by, 10, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.lineWidth = 1;
+    }
+
+    applyOptimum() {
+        // A debounced search may still be pending for the current parameters
+        if (this.optimizerStale) this.updateOptimizer();
+        const result = this.optimizerResult;
+        if (!result) return;
+        this.clearActivePreset();
+        this.params[result.xKey] = result.x;
+        this.params[result.yKey] = result.y;
+        this.renderParams();
+        this.updateSimulation();
+    }
+
+    // ========================================
+    // Scan Time & SNR
+    // ========================================
+
+    initGeometry() {
+        Object.keys(this.geometry).forEach(key => {
+            document.getElementById(`geo-${key}`).addEventListener('input', (e) => {
+                this.geometry[key] = parseFloat(e.target.value);
+                document.getElementById(`geo-${key}-val`).textContent = this.geometry[key];
+                this.updateScanSummary();
+            });
+        });
+        this.syncGeometryInputs();
+    }
+
+    syncGeometryInputs() {
+        Object.entries(this.geometry).forEach(([key, value]) => {
+            document.getElementById(`geo-${key}`).value = value;
+            document.getElementById(`geo-${key}-val`).textContent = value;
+        });
+        const is3D = this.geometryMode === '3D';
+        document.getElementById('geo-thickness-label').textContent = is3D ? 'Partition Thickness (mm)' : 'Slice Thickness (mm)';
+        document.getElementById('geo-slices-label').textContent = is3D ? 'Partitions' : 'Slices';
+    }
+
+    // MPRAGE is a 3D acquisition; everything else is multi-slice 2D
+    syncGeometryMode() {
+        const mode = this.params.sequence === 'MPRAGE' ? '3D' : '2D';
+        if (mode === this.geometryMode) return;
+        this.geometryMode = mode;
+        Object.assign(this.geometry, GEOMETRY_DIMENSIONS[mode]);
+        this.syncGeometryInputs();
+    }
+
+    // Lines acquired per excitation: an FSE echo train or an MPRAGE readout train
+    getEchoTrainLength(p = this.params) {
+        return p.sequence === 'FSE' || p.sequence === 'MPRAGE' ? p.etl : 1;
+    }
+
+    // Scan time = TR · phase lines · NEX / (ETL · R), times the number of TRs needed for all slices
+    // 2D slices interleave within TR: each needs its echo (train) plus half the readout and ~5 ms of spoiling
+    // 3D adds the partition loop instead, with each MPRAGE shot reading ETL lines
+    getScanTime(p = this.params, g = this.geometry) {
+        const etl = this.getEchoTrainLength(p);
+        const lines = Math.ceil(g.nphase / g.parallel) * (this.geometryMode === '3D' ? g.slices : 1);
+        const shots = Math.ceil(lines / etl) * g.nex;
+
+        if (this.geometryMode === '3D') {
+            return { seconds: p.tr * shots / 1000, slicesPerTR: null, concatenations: 1 };
+        }
+
+        const readout = 1000 / g.bandwidth; // ms
+        const sliceTime = (p.sequence === 'FSE' ? p.etl * p.esp : this.getActualTE(p)) + readout / 2 + 5;
+        const slicesPerTR = Math.max(1, Math.floor(p.tr / sliceTime));
+        const concatenations = Math.ceil(g.slices / slicesPerTR);
+        return { seconds: p.tr * shots * concatenations / 1000, slicesPerTR, concatenations };
+    }
+
+    // SNR ∝ voxel volume · √(Nacq / BW) / g, relative to REFERENCE_GEOMETRY
+    // Nacq counts phase lines × NEX (× partitions in 3D); BW per pixel keeps the frequency matrix out of it
+    getRelativeSNR(g = this.geometry) {
+        const ref = REFERENCE_GEOMETRY;
+        const voxel = (geo) => (geo.fov / geo.nfreq) * (geo.fov / geo.nphase) * geo.thickness;
+        const nacq = (g.nphase / g.parallel) * g.nex * (this.geometryMode === '3D' ? g.slices : 1);
+        const gFactor = 1.0 + 0.1 * (g.parallel - 1); // Same g-factor model as Part 4
+
+        const snr = (voxel(g) / voxel(ref)) *
+            Math.sqrt((nacq / g.bandwidth) / (ref.nphase * ref.nex / ref.bandwidth)) / gFactor;
+        return { snr, gFactor, voxel: [g.fov / g.nfreq, g.fov / g.nphase, g.thickness] };
+    }
+
+    formatScanTime(seconds) {
+        const total = Math.round(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const sec = String(total % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+    }
+
+    updateScanSummary() {
+        this.syncGeometryMode();
+
+        const g = this.geometry;
+        const time = this.getScanTime();
+        const { snr, gFactor, voxel } = this.getRelativeSNR();
+
+        // Contrast for the optimizer's tissue pair, scaled by the geometry SNR (same magnitude score as the optimizer)
+        const tissueA = this.tissues.find(t => t.id === document.getElementById('optimizer-tissue-a').value);
+        const tissueB = this.tissues.find(t => t.id === document.getElementById('optimizer-tissue-b').value);
+        let cnrRows = '';
+        if (tissueA && tissueB && tissueA !== tissueB) {
+            const cnr = this.getContrastScore(tissueA, tissueB, this.params, 'cnr') * snr;
+            cnrRows = `
+                <div class="scan-summary-row"><span>CNR</span><span>${cnr.toFixed(1)}</span></div>
+                <div class="scan-summary-row"><span>CNR / &radic;min</span><span>${(cnr / Math.sqrt(time.seconds / 60)).toFixed(1)}</span></div>`;
+        }
+
+        const coverage = this.geometryMode === '3D'
+            ? `3D, ${g.slices} partitions`
+            : `${g.slices} slices, ${Math.min(g.slices, time.slicesPerTR)} per TR` + (time.concatenations > 1 ? ` (${time.concatenations} concatenations)` : '');
+
+        const el = document.getElementById('scan-summary');
+        el.innerHTML = `
+            <div class="scan-summary-title">${this.activePreset ? `${this.activePreset} preset` : this.params.sequence}: time / SNR / contrast</div>
+            <div class="scan-summary-row"><span>Scan Time</span><span>${this.formatScanTime(time.seconds)}</span></div>
+            <div class="scan-summary-row"><span>Relative SNR</span><span>${snr.toFixed(2)}&times;</span></div>
+            ${cnrRows}
+            <div class="scan-summary-row"><span>Voxel (mm)</span><span>${voxel.map(v => v.toFixed(2)).join(' &times; ')}</span></div>
+            <div class="scan-summary-row"><span>ETL / R / g</span><span>${this.getEchoTrainLength()} / ${g.parallel} / ${gFactor.toFixed(1)}</span></div>
+            <div class="scan-summary-note">${coverage}. SNR relative to 256&sup2;, 240 mm, 5 mm, NEX 1, 130 Hz/pixel. <span class="scan-summary-pair"></span></div>
+        `;
+        // Tissue names may come from a loaded file, so set them as text
+        if (cnrRows) {
+            el.querySelector('.scan-summary-pair').textContent = `CNR for ${tissueA.name} vs ${tissueB.name} (Contrast Optimizer pair).`;
+        }
+    }
+
     // ========================================
     // Sequence Mechanics Visualizations
     // ========================================
@@ -877,7 +2035,11 @@ class MRPhysics {
         const seqColors = {
             'SE': { primary: '#3b82f6', secondary: '#93c5fd' },
             'GRE': { primary: '#10b981', secondary: '#6ee7b7' },
-            'IR': { primary: '#a855f7', secondary: '#c4b5fd' }
+            'IR': { primary: '#a855f7', secondary: '#c4b5fd' },
+            'bSSFP': { primary: '#06b6d4', secondary: '#67e8f9' },
+            'FSE': { primary: '#6366f1', secondary: '#a5b4fc' },
+            'DIR': { primary: '#ec4899', secondary: '#f9a8d4' },
+            'MPRAGE': { primary: '#f97316', secondary: '#fdba74' }
         };
         const colors = seqColors[seq] || seqColors['SE'];
 
@@ -1146,7 +2308,7 @@ class MRPhysics {
         // Update parameter badge
         const phaseBadge = document.getElementById('phase-params');
         if (phaseBadge) {
-            phaseBadge.textContent = `${seq}: TE=${this.params.te}ms, TR=${this.params.tr}ms${seq === 'IR' ? `, TI=${this.params.ti}ms` : ''}`;
+            phaseBadge.textContent = `${seq}: ${this.getTimingSummary().join(', ')}`;
         }
     }
 
@@ -1223,6 +2385,112 @@ class MRPhysics {
             } else {
                 return { mz: mzAfter, mxy: mxyMax, spread: 0.3, coherence: 0.6, baseAngle: 0 };
             }
+        } else if (seq === 'bSSFP') {
+            // Balanced SSFP: 16 frames (one TR, echo at TR/2)
+            // 0: Steady state before +α (tilted -α/2 from z)
+            // 1: +α pulse (now tilted +α/2)
+            // 2-7: Readout dephase then rephase -> echo at TE = TR/2 (frame 7)
+            // 8-13: Dephase, then balanced rewinders refocus everything
+            // 14: Coherent again at TR - transverse magnetization carries over
+            // 15: -α pulse (alternating phase)
+            const half = this.params.fa * Math.PI / 360;
+            const mz = Math.cos(half);
+            const mxy = Math.sin(half);
+
+            if (frame === 0) {
+                return { mz, mxy, spread: 0, coherence: 0.9, baseAngle: -Math.PI / 2 };
+            } else if (frame === 1) {
+                return { mz, mxy, spread: 0, coherence: 1, baseAngle: Math.PI / 2 };
+            } else if (frame <= 7) {
+                // Out to max dephase at frame 4, back to the echo at frame 7
+                const phase = frame <= 4 ? (frame - 1) / 3 : (7 - frame) / 3;
+                return { mz, mxy, spread: phase * 0.6, coherence: 1 - phase * 0.6, baseAngle: Math.PI / 2 + phase * Math.PI * 0.3 };
+            } else if (frame <= 13) {
+                const phase = frame <= 10 ? (frame - 7) / 3 : (13 - frame) / 3;
+                return { mz, mxy, spread: phase * 0.6, coherence: 0.95 - phase * 0.55, baseAngle: Math.PI / 2 - phase * Math.PI * 0.3 };
+            } else if (frame === 14) {
+                return { mz, mxy, spread: 0, coherence: 0.9, baseAngle: Math.PI / 2 };
+            } else {
+                return { mz, mxy, spread: 0, coherence: 1, baseAngle: -Math.PI / 2 };
+            }
+        } else if (seq === 'FSE') {
+            // Fast Spin Echo: 16 frames
+            // 0: Equilibrium, 1: 90° excitation
+            // 2-13: Four (dephase, 180°, echo) cycles
+            // 14: Last echo of the train, 15: Mz recovers after the train
+            const t2 = 80; // Approximate T2 for visualization
+            const esp = this.params.esp;
+            const echoAmp = (n) => Math.exp(-n * esp / t2);
+
+            if (frame === 0) {
+                return { mz: 1, mxy: 0, spread: 0, coherence: 1, baseAngle: 0 };
+            } else if (frame === 1) {
+                return { mz: 0, mxy: 1, spread: 0, coherence: 1, baseAngle: 0 };
+            } else if (frame <= 13) {
+                const echo = Math.floor((frame - 2) / 3) + 1;
+                const step = (frame - 2) % 3; // 0: dephase, 1: 180°, 2: echo
+                const amp = echoAmp(echo - 0.5);
+                if (echo > this.params.etl) return { mz: 0.3, mxy: 0, spread: 0, coherence: 0, baseAngle: 0 }; // Short train already over
+                if (step === 0) return { mz: 0, mxy: amp, spread: 0.6, coherence: 0.4, baseAngle: Math.PI * 0.3 };
+                if (step === 1) return { mz: 0, mxy: amp, spread: 0.6, coherence: 0.4, baseAngle: -Math.PI * 0.3 };
+                return { mz: 0, mxy: echoAmp(echo), spread: 0.05, coherence: 0.95, baseAngle: 0 };
+            } else if (frame === 14) {
+                return { mz: 0, mxy: echoAmp(this.params.etl), spread: 0.05, coherence: 0.95, baseAngle: 0 };
+            } else {
+                return { mz: 0.3, mxy: 0, spread: 0, coherence: 0, baseAngle: 0 };
+            }
+        } else if (seq === 'DIR') {
+            // Double Inversion Recovery: 16 frames
+            // 0: Equilibrium, 1: first 180° (Mz = -1)
+            // 2-5: Recovery for TI1-TI2, 6: second 180°
+            // 7-12: Recovery for TI2 (toward the readout), 13: 90° readout, 14-15: echo
+            const t1 = 1000; // Approximate T1 for visualization
+            const gap = Math.max(0, this.params.ti - this.params.ti2);
+            const recover = (m, t) => 1 - (1 - m) * Math.exp(-t / t1);
+            const mzSecond = recover(-1, gap);
+            const mzReadout = recover(-mzSecond, this.params.ti2);
+
+            if (frame === 0) {
+                return { mz: 1, mxy: 0, spread: 0, coherence: 1, baseAngle: 0 };
+            } else if (frame <= 5) {
+                return { mz: recover(-1, gap * (frame - 1) / 4), mxy: 0, spread: 0, coherence: 0, baseAngle: 0 };
+            } else if (frame <= 12) {
+                return { mz: recover(-mzSecond, this.params.ti2 * (frame - 6) / 6), mxy: 0, spread: 0, coherence: 0, baseAngle: 0 };
+            } else if (frame === 13) {
+                return { mz: 0, mxy: Math.abs(mzReadout), spread: 0, coherence: 1, baseAngle: 0 };
+            } else if (frame === 14) {
+                return { mz: 0, mxy: Math.abs(mzReadout), spread: 0.4, coherence: 0.5, baseAngle: Math.PI * 0.2 };
+            } else {
+                return { mz: 0, mxy: Math.abs(mzReadout), spread: 0.05, coherence: 0.9, baseAngle: 0 };
+            }
+        } else if (seq === 'MPRAGE') {
+            // MPRAGE: 16 frames (single shot from equilibrium)
+            // 0: Equilibrium, 1: 180° inversion
+            // 2-6: Recovery during TA (TI minus half the readout train)
+            // 7-13: Readout train of small α pulses, k-space center at frame 10 (= TI)
+            // 14: Recovery during TD, 15: Mz before the next inversion
+            const t1 = 1000; // Approximate T1 for visualization
+            const { tr, ti, fa, etl, esp } = this.params;
+            const alpha = fa * Math.PI / 180;
+            const e1 = Math.exp(-esp / t1);
+            const mStar = (1 - e1) / (1 - e1 * Math.cos(alpha));
+            const ta = Math.max(0, ti - Math.floor(etl / 2) * esp);
+            const td = Math.max(0, tr - ta - etl * esp);
+            const mzA = 1 - 2 * Math.exp(-ta / t1);
+            const train = (n) => mStar + (mzA - mStar) * Math.pow(e1 * Math.cos(alpha), n);
+
+            if (frame === 0) {
+                return { mz: 1, mxy: 0, spread: 0, coherence: 1, baseAngle: 0 };
+            } else if (frame <= 6) {
+                return { mz: 1 - 2 * Math.exp(-ta * (frame - 1) / 5 / t1), mxy: 0, spread: 0, coherence: 0, baseAngle: 0 };
+            } else if (frame <= 13) {
+                // Sample the train at 0, 1/6 ... 6/6 of its length
+                const mz = train(Math.round((frame - 7) / 6 * etl));
+                return { mz, mxy: Math.abs(mz * Math.sin(alpha)), spread: 0.1, coherence: 0.9, baseAngle: mz < 0 ? Math.PI : 0 };
+            } else {
+                const t = frame === 14 ? td / 2 : td;
+                return { mz: 1 - (1 - train(etl)) * Math.exp(-t / t1), mxy: 0, spread: 0, coherence: 0, baseAngle: 0 };
+            }
         } else { // IR
             // Inversion Recovery: 16 frames
             // 0: Equilibrium
@@ -1309,17 +2577,105 @@ class MRPhysics {
                 { label: 'Signal Decay', description: 'Signal decreasing with T2 relaxation' },
                 { label: 'Signal Decay', description: 'Continued T2 decay' },
                 { label: 'Signal Acquired', description: 'IR signal acquired with T1 and T2 contrast' }
+            ],
+            'bSSFP': [
+                { label: 'Steady State', description: `Magnetization alternates ±${this.params.fa / 2}° about z from TR to TR` },
+                { label: '+α Excitation', description: `${this.params.fa}° pulse flips M from -α/2 to +α/2` },
+                { label: 'Readout Prephase', description: 'Prephasing lobe spreads spin phases' },
+                { label: 'Dephasing', description: 'Gradient dephasing - signal drops' },
+                { label: 'Max Dephase', description: 'Readout gradient starts rewinding the phase' },
+                { label: 'Rephasing', description: 'Spins reconverge under the readout gradient' },
+                { label: 'Rephasing', description: 'Approaching the echo at TR/2' },
+                { label: 'Echo (TE = TR/2)', description: 'Echo at the center of the TR - T2 (not T2*) weighted on resonance' },
+                { label: 'Dephasing', description: 'Second half of the readout dephases again' },
+                { label: 'Dephasing', description: 'Phase spread grows toward the end of the readout' },
+                { label: 'Max Dephase', description: 'Rewinder lobes begin on every axis' },
+                { label: 'Rewinding', description: 'Balanced gradients: net gradient area per TR is zero' },
+                { label: 'Rewinding', description: 'Spins rephase before the next pulse' },
+                { label: 'Refocused', description: 'Transverse magnetization is coherent again' },
+                { label: 'End of TR', description: 'Mxy survives into the next TR - signal builds from both T1 and T2 (T2/T1 contrast)' },
+                { label: '-α Excitation', description: 'Alternating -α pulse returns M to the -α/2 side' }
+            ],
+            'FSE': this.getFSEStepInfo(),
+            'DIR': [
+                { label: 'Equilibrium', description: 'Mz at maximum (+M0), aligned with B0' },
+                { label: '1st 180° Inversion', description: 'First inversion flips Mz to -M0' },
+                { label: 'T1 Recovery', description: `Recovering for TI1 - TI2 = ${this.params.ti - this.params.ti2}ms` },
+                { label: 'T1 Recovery', description: 'Long-T1 tissue (CSF) stays strongly negative' },
+                { label: 'T1 Recovery', description: 'Short-T1 tissue recovers past zero' },
+                { label: 'T1 Recovery', description: 'Timed so the second inversion sets up the double null' },
+                { label: '2nd 180° Inversion', description: 'Second inversion flips every tissue again' },
+                { label: 'T1 Recovery', description: `Recovering for TI2 = ${this.params.ti2}ms` },
+                { label: 'T1 Recovery', description: 'Each tissue follows its own recovery curve' },
+                { label: 'T1 Recovery', description: 'WM approaches its null point' },
+                { label: 'T1 Recovery', description: 'CSF approaches its null point' },
+                { label: 'T1 Recovery', description: 'Both suppressed tissues near zero' },
+                { label: 'At TI1', description: `TI1=${this.params.ti}ms after the first inversion - CSF and WM nulled, GM remains` },
+                { label: '90° Readout', description: 'Excitation converts remaining Mz into Mxy' },
+                { label: 'Refocusing', description: '180° refocusing pulse forms a spin echo' },
+                { label: 'Signal Acquired', description: 'Gray matter (and lesions) stand out on a dark background' }
+            ],
+            'MPRAGE': [
+                { label: 'Equilibrium', description: 'Mz at maximum (+M0), aligned with B0' },
+                { label: '180° Inversion', description: 'Non-selective inversion flips Mz to -M0' },
+                { label: 'T1 Recovery', description: 'Mz recovers before the readout train starts' },
+                { label: 'T1 Recovery', description: 'Tissue T1 differences build up' },
+                { label: 'T1 Recovery', description: 'Recovery continues' },
+                { label: 'T1 Recovery', description: 'Readout train about to begin' },
+                { label: 'Train Starts', description: `First of ${this.params.etl} α=${this.params.fa}° readouts, ${this.params.esp}ms apart` },
+                { label: 'Readout Train', description: 'Each small α pulse samples one k-space line' },
+                { label: 'Readout Train', description: 'Mz keeps recovering between pulses' },
+                { label: 'Readout Train', description: 'Approaching the k-space center' },
+                { label: 'k-Space Center', description: `Center line at TI=${this.params.ti}ms - sets the T1 contrast` },
+                { label: 'Readout Train', description: 'Outer lines: Mz drifts toward the train steady state' },
+                { label: 'Readout Train', description: 'Small flip angles limit saturation' },
+                { label: 'Train Ends', description: 'Last readout of this inversion' },
+                { label: 'Recovery (TD)', description: 'Mz recovers before the next inversion' },
+                { label: 'Next Inversion', description: `Shot TR=${this.params.tr}ms - Mz here sets the steady state` }
             ]
         };
         return steps[seq][frame] || { label: 'Unknown', description: '' };
     }
 
 
+    // FSE step labels depend on which echo lands on the k-space center
+    getFSEStepInfo() {
+        const { te, etl, esp } = this.params;
+        const effEcho = this.getEffectiveTE(te, etl, esp) / esp;
+        const steps = [
+            { label: 'Equilibrium', description: 'Mz aligned with B0, no transverse magnetization' },
+            { label: '90° Excitation', description: 'RF pulse tips Mz into transverse plane (Mxy)' }
+        ];
+        for (let echo = 1; echo <= 4; echo++) {
+            if (echo > etl) {
+                const done = { label: 'Train Over', description: `ETL=${etl}: no more refocusing pulses, Mz recovers` };
+                steps.push(done, done, done);
+                continue;
+            }
+            const kSpace = echo === effEcho
+                ? 'fills the k-space center (effective TE)'
+                : 'fills outer k-space lines';
+            steps.push(
+                { label: 'Dephasing', description: 'Spins dephase between refocusing pulses' },
+                { label: `180° Refocus #${echo}`, description: 'Refocusing pulse flips spin phases' },
+                { label: `Echo ${echo}`, description: `Echo at ${echo * esp}ms ${kSpace}` }
+            );
+        }
+        steps.push(
+            { label: `Echo ${etl}`, description: `Last echo of the train at ${etl * esp}ms - lines from late echoes are T2-attenuated (blurring)` },
+            { label: 'T1 Recovery', description: `Mz recovers for TR - ETL·ESP = ${Math.max(0, this.params.tr - etl * esp)}ms` }
+        );
+        return steps;
+    }
+
     updateR2Chart() {
         // Calculate T2 and T2* decay curves
-        const t2 = 80; // White matter T2 (ms)
+        // White matter at the current field
+        const wm = this.tissues.find(t => t.id === 'wm') || DEFAULT_TISSUES.find(t => t.id === 'wm');
+        const relaxation = this.getRelaxation(wm);
+        const t2 = Math.round(relaxation.t2); // ms
         const r2 = 1000 / t2; // s^-1
-        const r2prime = 2 * Math.PI * this.params.inhomogeneity; // s^-1
+        const r2prime = 1000 / relaxation.t2star - 1000 / relaxation.t2 + 2 * Math.PI * this.params.inhomogeneity; // s^-1
         const r2star = r2 + r2prime;
         const t2star = 1000 / r2star; // ms
 
@@ -1337,8 +2693,8 @@ class MRPhysics {
         this.r2Chart.data.datasets[0].data = t2Data;
         this.r2Chart.data.datasets[1].data = t2starData;
 
-        // Highlight current sequence's curve
-        const isSE = this.params.sequence === 'SE';
+        // Highlight current sequence's curve (refocused echoes decay with T2, GRE readouts with T2*)
+        const isSE = ['SE', 'FSE', 'DIR', 'bSSFP'].includes(this.params.sequence);
         this.r2Chart.data.datasets[0].borderWidth = isSE ? 4 : 2;
         this.r2Chart.data.datasets[1].borderWidth = isSE ? 2 : 4;
         this.r2Chart.data.datasets[0].borderDash = isSE ? [] : [5, 5];
@@ -1363,7 +2719,7 @@ class MRPhysics {
         // Update annotations
         const seAnnotation = document.getElementById('se-annotation');
         const greAnnotation = document.getElementById('gre-annotation');
-        if (this.params.sequence === 'SE' || this.params.sequence === 'IR') {
+        if (this.params.sequence !== 'GRE' && this.params.sequence !== 'MPRAGE') {
             seAnnotation.style.display = 'block';
             greAnnotation.style.display = 'none';
         } else {
@@ -1374,7 +2730,7 @@ class MRPhysics {
         // Update parameter badge with T2 values
         const r2Badge = document.getElementById('r2-params');
         if (r2Badge) {
-            r2Badge.textContent = `T2=${t2}ms → T2*=${t2star.toFixed(0)}ms (ΔB₀=${this.params.inhomogeneity}Hz)`;
+            r2Badge.textContent = `WM @ ${this.params.b0}T: T2=${t2}ms → T2*=${t2star.toFixed(0)}ms (ΔB₀=${this.params.inhomogeneity}Hz)`;
         }
     }
 
@@ -1388,7 +2744,11 @@ class MRPhysics {
         const seqColors = {
             'SE': '#3b82f6',
             'GRE': '#10b981',
-            'IR': '#a855f7'
+            'IR': '#a855f7',
+            'bSSFP': '#06b6d4',
+            'FSE': '#6366f1',
+            'DIR': '#ec4899',
+            'MPRAGE': '#f97316'
         };
         const seqColor = seqColors[seq];
 
@@ -1541,6 +2901,169 @@ class MRPhysics {
             // TE marker
             this.addTimeMarkerDark(svg, teX, 12, axisY, 'TE', seqColor);
 
+        } else if (seq === 'bSSFP') {
+            // Balanced SSFP timing: +α at 0, -α at TR, echo halfway between
+            const fa = Math.round(this.params.fa);
+            const nextX = endX - 50;
+            const teX = (startX + nextX) / 2 + 15;
+            const pulseHeight = 12 + (this.params.fa / 90) * 16;
+
+            // RF: alternating ±α
+            this.addRFPulseDark(svg, startX, rfY, pulseHeight, `+${fa}°`, '#f59e0b');
+            this.addRFPulseDark(svg, nextX, rfY, pulseHeight, `-${fa}°`, '#f59e0b');
+
+            // Gz: slice select with rephaser, and its mirror before the next pulse
+            this.addGradientLobeDark(svg, startX - 5, gzY, 40, 16, '#22c55e', 'up');
+            this.addGradientLobeDark(svg, startX + 35, gzY, 20, 8, '#22c55e', 'down');
+            this.addGradientLobeDark(svg, nextX - 25, gzY, 20, 8, '#22c55e', 'down');
+            this.addGradientLobeDark(svg, nextX - 5, gzY, 40, 16, '#22c55e', 'up');
+
+            // Gy: phase encode and rewinder
+            this.addGradientLobeDark(svg, teX - 185, gyY, 50, 12, '#eab308', 'up');
+            this.addGradientLobeDark(svg, teX + 135, gyY, 50, 12, '#eab308', 'down');
+
+            // Gx: prephaser, readout centered on TR/2, rewinder (zero net area)
+            this.addGradientLobeDark(svg, teX - 200, gxY, 90, 16, '#60a5fa', 'down');
+            this.addGradientLobeDark(svg, teX - 100, gxY, 200, 16, '#60a5fa', 'up');
+            this.addGradientLobeDark(svg, teX + 110, gxY, 90, 16, '#60a5fa', 'down');
+            this.addTimelineText(svg, teX + 155, gxY + 30, 'balanced: zero net area', 'middle', '8px', '#60a5fa');
+
+            // Signal echo (on resonance: T2 weighted)
+            this.addSignalEchoDark(svg, teX, signalY, seqColor);
+
+            // TE and TR markers
+            this.addTimeMarkerDark(svg, teX, 12, axisY, 'TE=TR/2', seqColor);
+            this.addTimeMarkerDark(svg, nextX + 15, 12, axisY, 'TR');
+
+        } else if (seq === 'FSE') {
+            // Fast Spin Echo timing: 90° then a train of 180°s, one echo between each pair
+            const { etl, esp } = this.params;
+            const effEcho = this.getEffectiveTE(this.params.te, etl, esp) / esp;
+            const nShow = Math.min(etl, 6);
+            const exciteX = startX + 15;
+            const espPx = (endX - 60 - exciteX) / nShow;
+            const t2 = 80; // Approximate T2 for the echo envelope
+
+            // RF: 90° excitation
+            this.addRFPulseDark(svg, startX, rfY, 20, '90°', '#f59e0b');
+            this.addGradientLobeDark(svg, startX - 5, gzY, 40, 16, '#22c55e', 'up');
+            this.addGradientLobeDark(svg, startX + 35, gzY, 20, 8, '#22c55e', 'down');
+
+            // Gx: prephaser before the first echo
+            this.addGradientLobeDark(svg, startX + 35, gxY, 25, 14, '#60a5fa', 'down');
+
+            for (let echo = 1; echo <= nShow; echo++) {
+                const pulseX = exciteX + (echo - 0.5) * espPx;
+                const echoX = exciteX + echo * espPx;
+
+                // RF: refocusing pulse with its slice select
+                this.addRFPulseDark(svg, pulseX - 15, rfY, 26, '180°', '#a855f7');
+                this.addGradientLobeDark(svg, pulseX - 20, gzY, 40, 16, '#22c55e', 'up');
+
+                // Gy: blip sized by the line's distance from the k-space center, then its rewinder
+                const blip = 3 + 11 * Math.abs(echo - effEcho) / Math.max(1, etl - 1);
+                this.addGradientLobeDark(svg, echoX - espPx * 0.32, gyY, 14, blip, '#eab308', 'up');
+                this.addGradientLobeDark(svg, echoX + espPx * 0.32 - 14, gyY, 14, blip, '#eab308', 'down');
+
+                // Gx: readout under each echo
+                this.addGradientLobeDark(svg, echoX - espPx * 0.18, gxY, espPx * 0.36, 14, '#60a5fa', 'up');
+
+                // Signal: echo amplitudes follow the T2 envelope
+                const scale = Math.max(0.3, Math.exp(-echo * esp / t2));
+                this.addSignalEchoDark(svg, echoX, signalY, echo === effEcho ? seqColor : '#94a3b8', Math.min(scale, espPx / 60));
+                if (echo === effEcho) this.addTimeMarkerDark(svg, echoX, 12, axisY, 'TEeff', seqColor);
+            }
+
+            if (etl > nShow) {
+                this.addTimelineText(svg, endX - 55, signalY - 4, `… ${etl} echoes`, 'start', '9px', '#94a3b8');
+            }
+            if (effEcho > nShow) {
+                this.addTimelineText(svg, endX - 55, signalY + 10, `TEeff = echo ${effEcho}`, 'start', '9px', seqColor);
+            }
+            this.addTimeMarkerDark(svg, exciteX + espPx, 12, axisY, 'ESP');
+
+        } else if (seq === 'DIR') {
+            // Double Inversion Recovery timing, inversions spaced in proportion to TI1 - TI2 : TI2
+            const readoutX = startX + 0.6 * totalWidth;
+            const inv2X = Math.max(startX + 60, readoutX - (this.params.ti2 / this.params.ti) * (readoutX - startX));
+            const refocusX = readoutX + 0.12 * totalWidth;
+            const teX = readoutX + 0.24 * totalWidth;
+
+            // RF: two inversions, 90° readout, 180° refocus
+            this.addRFPulseDark(svg, startX, rfY, 28, '180°', '#ef4444');
+            this.addTimelineText(svg, startX + 17, rfY - 22, 'Inv1', 'middle', '8px', '#ef4444');
+            this.addRFPulseDark(svg, inv2X, rfY, 28, '180°', '#ef4444');
+            this.addTimelineText(svg, inv2X + 17, rfY - 22, 'Inv2', 'middle', '8px', '#ef4444');
+            this.addRFPulseDark(svg, readoutX, rfY, 20, '90°', '#f59e0b');
+            this.addRFPulseDark(svg, refocusX, rfY, 26, '180°', '#a855f7');
+
+            // Intervals between the inversions and the readout
+            this.addTimelineText(svg, (startX + 30 + inv2X) / 2, rfY + 16, 'TI1 − TI2', 'middle', '9px', '#f9a8d4');
+            this.addTimelineText(svg, (inv2X + 30 + readoutX) / 2, rfY + 16, 'TI2', 'middle', '9px', '#f9a8d4');
+
+            // Gz: slice select for every pulse
+            [startX, inv2X, readoutX, refocusX].forEach(x => {
+                this.addGradientLobeDark(svg, x - 5, gzY, 40, 14, '#22c55e', 'up');
+            });
+            this.addGradientLobeDark(svg, readoutX + 35, gzY, 18, 7, '#22c55e', 'down');
+
+            // Gy: phase encoding between excitation and refocusing
+            this.addGradientLobeDark(svg, readoutX + 45, gyY, 25, 12, '#eab308', 'up');
+
+            // Gx: prephaser and readout centered on the echo
+            this.addGradientLobeDark(svg, readoutX + 45, gxY, 30, 14, '#60a5fa', 'up');
+            this.addGradientLobeDark(svg, teX - 35, gxY, 70, 14, '#60a5fa', 'up');
+
+            // Signal echo
+            this.addSignalEchoDark(svg, teX, signalY, seqColor);
+
+            // TI1 and TE markers
+            this.addTimeMarkerDark(svg, readoutX + 15, 12, axisY, 'TI1', seqColor);
+            this.addTimeMarkerDark(svg, teX, 12, axisY, 'TE', seqColor);
+
+        } else if (seq === 'MPRAGE') {
+            // MPRAGE timing drawn to scale over one shot TR
+            const { tr, ti, fa, etl, esp } = this.params;
+            const toX = (t) => startX + Math.min(1, t / tr) * (endX - 30 - startX);
+            const ta = Math.max(0, ti - Math.floor(etl / 2) * esp);
+            const trainStartX = toX(ta);
+            const trainEndX = toX(ta + etl * esp);
+
+            // RF: non-selective inversion (no slice gradient)
+            this.addRFPulseDark(svg, startX, rfY, 28, '180°', '#ef4444');
+            this.addTimelineText(svg, startX + 17, rfY - 22, 'Inv', 'middle', '8px', '#ef4444');
+
+            // Readout train: a representative subset of the α pulses (odd count, center pulse = TI)
+            let nShow = Math.max(3, Math.min(9, Math.floor((trainEndX - trainStartX) / 40)));
+            if (nShow % 2 === 0) nShow--;
+            const centerIdx = (nShow - 1) / 2;
+            const slotPx = (trainEndX - trainStartX) / nShow;
+            for (let i = 0; i < nShow; i++) {
+                const x = trainStartX + i * slotPx;
+                const isCenter = i === centerIdx;
+                this.addRFPulseDark(svg, x, rfY, 8 + (fa / 30) * 10, isCenter ? `${Math.round(fa)}°` : '', '#f59e0b');
+
+                // Gz: slab select; Gy: linear ordering steps through k-space, zero at the center line
+                this.addGradientLobeDark(svg, x - 3, gzY, 36, 7, '#22c55e', 'up');
+                const step = i - centerIdx;
+                if (step !== 0) {
+                    this.addGradientLobeDark(svg, x + 2, gyY, 12, 3 + 10 * Math.abs(step) / centerIdx, '#eab308', step < 0 ? 'down' : 'up');
+                }
+
+                // Gx: short readout and a small echo per line
+                this.addGradientLobeDark(svg, x + 14, gxY, Math.max(12, slotPx - 18), 10, '#60a5fa', 'up');
+                this.addSignalEchoDark(svg, x + 14 + Math.max(12, slotPx - 18) / 2, signalY, seqColor, isCenter ? 0.6 : 0.3);
+            }
+            if (etl > nShow) {
+                this.addTimelineText(svg, (trainStartX + trainEndX) / 2, signalY + 14, `${etl} readouts × ${esp}ms`, 'middle', '8px', '#94a3b8');
+            }
+
+            // TI to the center line, TD after the train
+            this.addTimeMarkerDark(svg, trainStartX + centerIdx * slotPx + 15, 12, axisY, 'TI', seqColor);
+            if (endX - 30 - trainEndX > 30) {
+                this.addTimelineText(svg, (trainEndX + endX - 30) / 2, rfY + 16, 'TD (recovery)', 'middle', '9px', '#94a3b8');
+            }
+
         } else { // IR
             // Inversion Recovery timing
             const tiFrac = 0.5;
@@ -1600,13 +3123,29 @@ class MRPhysics {
         // Update parameter badge
         const timelineBadge = document.getElementById('timeline-params');
         if (timelineBadge) {
-            const params = [`TR=${this.params.tr}ms`, `TE=${this.params.te}ms`];
-            if (seq === 'IR') params.push(`TI=${this.params.ti}ms`);
-            if (seq === 'GRE' || seq === 'IR') params.push(`FA=${Math.round(this.params.fa)}°`);
-            timelineBadge.textContent = params.join(' | ');
+            timelineBadge.textContent = this.getTimingSummary().join(' | ');
         }
     }
 
+    // Timing parameters that apply to the current sequence, for the mechanics badges
+    getTimingSummary() {
+        const seq = this.params.sequence;
+        const { tr, te, ti, ti2, fa, etl, esp } = this.params;
+        if (seq === 'bSSFP') return [`TR=${tr}ms`, `TE=TR/2=${tr / 2}ms`, `FA=${Math.round(fa)}°`];
+        if (seq === 'FSE') {
+            return [`TR=${tr}ms`, `TEeff=${this.getEffectiveTE(te, etl, esp)}ms`, `ETL=${etl}`, `ESP=${esp}ms`];
+        }
+        if (seq === 'DIR') return [`TR=${tr}ms`, `TE=${te}ms`, `TI1=${ti}ms`, `TI2=${ti2}ms`];
+        if (seq === 'MPRAGE') {
+            return [`TR=${tr}ms`, `TE=${te}ms`, `TI=${ti}ms`, `FA=${Math.round(fa)}°`, `${etl} readouts × ${esp}ms`];
+        }
+
+        const params = [`TR=${tr}ms`, `TE=${te}ms`];
+        if (seq === 'IR') params.push(`TI=${ti}ms`);
+        if (seq === 'GRE' || seq === 'IR') params.push(`FA=${Math.round(fa)}°`);
+        return params;
+    }
+
     // Dark theme versions of timeline helpers
     addRFPulseDark(svg, x, y, height, label, color) {
         const ns = 'http://www.w3.org/2000/svg';
@@ -1786,7 +3325,11 @@ class MRPhysics {
         const colors = {
             'SE': '#3b82f6',   // Blue
             'GRE': '#10b981',  // Green
-            'IR': '#a855f7'    // Purple
+            'IR': '#a855f7',   // Purple
+            'bSSFP': '#06b6d4', // Cyan
+            'FSE': '#6366f1',  // Indigo
+            'DIR': '#ec4899',  // Pink
+            'MPRAGE': '#f97316' // Orange
         };
         const color = colors[seq] || '#3b82f6';
 